@@ -1,13 +1,83 @@
 import React, { useEffect, useMemo, useState, useRef } from 'react';
 import { io, Socket } from 'socket.io-client';
+import { verifyDeal } from './fairness';
 
 type Card = { id: string; r: string; s: string };
 
+type RuleProfile = {
+  id: string;
+  name: string;
+  description: string;
+  suitOrder: string[]; // ascending
+  flushOrder: 'suit' | 'rank';
+  straightA2345: boolean;
+  straight23456: boolean;
+  triples: boolean;
+  fourOfAKind: boolean;
+  bombs: boolean;
+  duplicatesBeat: boolean;
+};
+
+type BotLevel = { id: string; name: string; description: string; rating: number };
+
+// Scoring and room timers chosen by the creator (server/roomSettings.js, server/scoring.js)
+type Scoring = {
+  mode: 'classic' | 'chips' | 'perCard';
+  // classic
+  goal: 'score' | 'matches'; // lowest score once someone goes over targetScore, or first to matchesToWin match wins
+  targetScore: number;
+  matchesToWin: number;
+  penaltyMultipliers: number[]; // per card left, for 1-4, 5-9 and 10-13 cards
+  twosDouble: boolean; // penalty doubles while holding a 2
+  // chips: game ends when someone runs out
+  startingChips: number;
+  chipsPerCard: number;
+  // perCard: game ends after this many matches
+  matchesToPlay: number;
+};
+
+type ScoringMode = { id: Scoring['mode']; name: string; description: string };
+
+// One seat's line in a matchEnded ledger: what they were charged and how their total moved
+type MatchLedgerEntry = { cardsLeft: number; charged: number; reasons: string[]; change: number; total: number };
+
+// One seat's line in the gameOver ledger
+type FinalLedgerEntry = { total: number; matchesWon: number; place: number };
+
+type RoomSettings = Scoring & { autoPassSeconds: number; reconnectSeconds: number; spectatorDelayMoves: number };
+
+type ClockPreset = { id: string; name: string; turnSeconds: number; bankSeconds: number };
+
+// Turn clock in a state payload; times were measured when the server sent it
+type ClockState = {
+  preset: string;
+  turnSeconds: number;
+  seat: number | null; // seat on the clock
+  turnLeftMs: number | null;
+  banks: number[]; // time bank left per seat, in ms
+};
+
 type WaitingRoomState = {
   roomId: string;
-  players: Array<{ id: string; name: string; isBot?: boolean }>;
+  players: Array<{ id: string; name: string; isBot?: boolean; botLevel?: string | null; rating: number; provisional: boolean; seat: number; ready: boolean }>;
+  name: string; // table name shown in the lobby
+  code: string | null; // join code of a private room, null for a public one
+  locked: boolean; // a locked private room takes nobody else
+  rating: number | null; // average of the humans in the room, what matchmaking matches newcomers against
+  botFallbackMs: number | null; // until bots fill the empty seats, measured when the server sent it
+  seats: number;
+  botLevels: string[]; // difficulty per seat, used for seats filled with bots
+  botLevelOptions: BotLevel[];
+  decks: number;
   playersNeeded: number;
-  isReady: boolean;
+  isReady: boolean; // every seat is taken
+  hostId: string;
+  rules: RuleProfile;
+  ruleProfiles: Array<{ id: string; name: string }>;
+  clock: ClockPreset;
+  clockPresets: ClockPreset[];
+  settings: RoomSettings;
+  scoringModes: ScoringMode[];
   isCreator?: boolean;
 };
 
@@ -20,22 +90,140 @@ type GameState = {
   passed: boolean[];
   disconnected: boolean[]; // Add disconnected status
   isBot?: boolean[]; // Add bot status
+  standIn?: boolean[]; // a bot is playing for a disconnected player
+  botLevels?: Array<string | null>; // difficulty of each bot-played seat
+  takeoverVotes?: Array<number[] | null>; // seats voting to hand a disconnected seat to a bot
+  takeoverVotesNeeded?: number;
   lastPlay: { by: number; type: string; count: number; cards: Card[] } | null;
-  history: Array<{ by: number; type: string; count: number; cards: Card[] }>;
+  history: Array<{ by: number; type: string; count: number; cards: Card[]; bomb?: boolean }>;
   scores: number[];
+  matchWins: number[];
+  scoring: Scoring;
   matchNumber: number;
-  turn: number;
+  rules: RuleProfile;
+  seats: number;
+  decks: number;
+  undealtCount: number;
+  startCard: string | null; // card the first lead must include, while that applies
+  dealCommitment: string | null;
+  turn: number | null; // null between matches
   leader: number;
+  playable: string[] | null; // cards that appear in some legal play (your turn only)
+  hasLegalMove: boolean | null; // false when you can only pass (your turn only)
   finished: boolean;
+  clock: ClockState | null; // null when the table plays without a clock
+  spectatorCount: number;
+  spectating?: boolean; // we are watching: no hand, you is -1
+  spectatorDelay?: number; // moves the spectators' view runs behind the table
+};
+
+type HandPlan = { count: number; controls: number; turns: number };
+
+// Tournament channel (server/tournamentManager.js): standings and the round's tables, sent on every change
+type TournamentState = {
+  id: string;
+  name: string;
+  format: { id: 'swiss' | 'elimination'; name: string; description: string };
+  status: 'registering' | 'playing' | 'break' | 'finished';
+  round: number;
+  rounds: number | null; // swiss only
+  tableSize: number;
+  advancePerTable: number | null; // elimination only
+  settings: RoomSettings;
+  players: number;
+  standings: Array<{ rank: number; name: string; points: number; matchesWon: number; tablesPlayed: number; out: number | null; withdrawn: boolean }>;
+  tables: Array<{ number: number; roomId: string | null; names: string[]; finished: boolean; matchNumber: number; scores: number[] | null; places: number[] | null }>;
+  byes: string[]; // sitting this round out
+  champion: string | null;
+  nextRoundAt: number | null;
+  isDirector: boolean;
+  you: string | null; // our name when we are registered
+};
+
+type TournamentOptions = {
+  name: string;
+  format: TournamentState['format']['id'];
+  rounds: number;
+  tableSize: number;
+  advancePerTable: number;
+  settings: { matchesToPlay: number };
 };
 
+// Game record as sent at gameOver (server/gameRecord.js)
+type RecordMove = { seat: number; play: string[]; type: string; lead?: boolean } | { seat: number; pass: true; auto?: boolean };
+
+type RecordMatch = {
+  number: number;
+  seed: string;
+  commitment: string;
+  hands: string[][]; // card ids per seat, in deal order
+  leader: number;
+  moves: RecordMove[];
+  winner: number;
+  pointsAdded: number[];
+  scores: number[];
+};
+
+type GameRecord = {
+  format: string;
+  version: number;
+  startedAt: string;
+  players: string[];
+  seats: number;
+  rules: RuleProfile;
+  scoring?: Scoring; // missing from version 1 records
+  matches: RecordMatch[];
+  result: { scores: number[]; busted: number[]; champion: number } | null;
+};
+
+// An open public table in the lobby (lobbyState / GET /api/lobby)
+type LobbyTable = {
+  roomId: string;
+  name: string;
+  host: string | null;
+  seats: Array<{ name: string; isBot: boolean; botLevel: string | null; rating: number } | null>; // null: free
+  botLevels: string[]; // who takes each free seat if bots fill the table
+  rating: number | null;
+  rules: { id: string; name: string };
+  decks: number;
+  clock: string;
+  settings: RoomSettings;
+  botFallbackMs: number | null;
+};
+
+// A private room as GET /api/rooms/<code> describes it, for the /r/<code> invite page
+type PrivateRoomInfo = { code: string; host: string | null; players: number; seats: number; locked: boolean };
+
+// Lifetime stats from the REST API (server/statsStore.js)
+type LeaderboardLine = { rank: number; name: string; games: number; championships: number; matchesPlayed: number; matchesWon: number; winRate: number; penaltyTotal: number; rating: number; provisional: boolean };
+
+type PlayerStats = {
+  name: string;
+  games: number;
+  championships: number;
+  matchesPlayed: number;
+  matchesWon: number;
+  winRate: number;
+  penaltyTotal: number; // classic penalty points taken
+  cardsLeftTotal: number;
+  combos: Record<string, number>; // plays made, by combo type
+  recentGames: string[];
+  lastPlayedAt: string | null;
+  rating: number;
+  ratedGames: number;
+  provisional: boolean; // too few rated games for the rating to have settled
+};
+
+// localStorage key for the signed token that resumes our seat after a reload or network drop
+const SESSION_TOKEN_KEY = 'big2.sessionToken';
+
 type ChatMessage = {
   id?: string;
   playerIndex: number;
   playerName: string;
   message: string;
   timestamp: number;
-  type?: 'player' | 'system';
+  type?: 'player' | 'system' | 'spectator';
 };
 
 export default function App() {
@@ -43,7 +231,10 @@ export default function App() {
   const [socket, setSocket] = useState<Socket | null>(null);
   const [queuedPos, setQueuedPos] = useState<number | null>(null);
   const [waitingRoom, setWaitingRoom] = useState<WaitingRoomState | null>(null);
+  const [waitingRoomAt, setWaitingRoomAt] = useState<number>(0); // when the last waitingRoomState arrived, for the bot countdown
   const [state, setState] = useState<GameState | null>(null);
+  const [stateAt, setStateAt] = useState<number>(0); // when the last state arrived, for the turn clock
+  const [now, setNow] = useState<number>(() => Date.now());
   const [selected, setSelected] = useState<Record<string, boolean>>({});
   const [message, setMessage] = useState<string>('');
   const [warnings, setWarnings] = useState<string[]>([]);
@@ -59,17 +250,50 @@ export default function App() {
   const [unreadMessages, setUnreadMessages] = useState<number>(0);
   const [isReconnecting, setIsReconnecting] = useState<boolean>(false);
   const [reconnectMessage, setReconnectMessage] = useState<string>('');
+  const [dealCheck, setDealCheck] = useState<{ matchNumber: number; valid: boolean; reason?: string } | null>(null);
+  const [matchLedger, setMatchLedger] = useState<{ matchNumber: number; entries: MatchLedgerEntry[] } | null>(null); // settlement of the last match
+  const [finalLedger, setFinalLedger] = useState<FinalLedgerEntry[] | null>(null); // places once the game is over
+  const [matchAnalysis, setMatchAnalysis] = useState<{ matchNumber: number; plans: HandPlan[] } | null>(null); // starting-hand plans of the last match
+  const [gameRecord, setGameRecord] = useState<GameRecord | null>(null); // record of the finished game, for download
+  const [replay, setReplay] = useState<GameRecord | null>(null); // record open in the replay viewer
+  const [watchRoomId, setWatchRoomId] = useState<string>(() => new URLSearchParams(window.location.search).get('watch') || ''); // from a ?watch= link
+  const [tournament, setTournament] = useState<TournamentState | null>(null); // tournament whose channel we follow
+  const [showLeaderboard, setShowLeaderboard] = useState<boolean>(false);
+  const [showLobby, setShowLobby] = useState<boolean>(false);
+  const [lobby, setLobby] = useState<LobbyTable[] | null>(null); // open tables while the lobby is shown
+  const [tournamentId, setTournamentId] = useState<string>(() => new URLSearchParams(window.location.search).get('tournament') || ''); // from a ?tournament= link
+  const [roomCode, setRoomCode] = useState<string>(() => inviteCode() || '');
+  const [invite, setInvite] = useState<PrivateRoomInfo | null>(null); // the room an /r/<code> link points at
+  const [inviteError, setInviteError] = useState<string>('');
   const warningTimeoutRef = useRef<number | null>(null);
   const playersWithOneCardRef = useRef<Set<number>>(new Set());
   const chatEndRef = useRef<HTMLDivElement | null>(null);
   const typingTimeoutRef = useRef<number | null>(null);
-  const playerNameRef = useRef<string>(''); // Store player name for reconnection
+  const inGameRef = useRef<boolean>(false); // Whether we are seated in an unfinished game (socket handlers see only refs)
+  const reconnectingRef = useRef<boolean>(false);
+  const dealRef = useRef<{ commitment: string; seat: number; seats: number; handIds: string[] } | null>(null); // Committed deal for the current match
 
   // Sync state to ref
   useEffect(() => {
     playersWithOneCardRef.current = playersWithOneCard;
   }, [playersWithOneCard]);
 
+  useEffect(() => {
+    inGameRef.current = !!state && !state.finished;
+  }, [state]);
+
+  useEffect(() => {
+    reconnectingRef.current = isReconnecting;
+  }, [isReconnecting]);
+
+  // Tick while someone is on the clock, or while bots are due to fill the waiting room
+  const clockRunning = (state?.clock?.seat != null && !state.finished) || waitingRoom?.botFallbackMs != null;
+  useEffect(() => {
+    if (!clockRunning) return;
+    const timer = window.setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [clockRunning]);
+
   // Auto-scroll chat to bottom
   useEffect(() => {
     chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -91,7 +315,8 @@ export default function App() {
     // Handle socket disconnection
     s.on('disconnect', (reason) => {
       console.log('Disconnected from server:', reason);
-      if (state && playerNameRef.current) {
+      if (inGameRef.current && localStorage.getItem(SESSION_TOKEN_KEY)) {
+        reconnectingRef.current = true;
         setIsReconnecting(true);
         setReconnectMessage('Connection lost. Attempting to reconnect...');
       }
@@ -100,16 +325,18 @@ export default function App() {
     // Handle socket reconnection
     s.on('connect', () => {
       console.log('Connected to server');
-      // If we were in a game and got disconnected, try to rejoin
-      if (isReconnecting && playerNameRef.current) {
-        console.log('Attempting to reconnect as:', playerNameRef.current);
-        s.emit('reconnect', { name: playerNameRef.current });
+      // After a network drop or a page reload, resume our seat if this browser holds a token for one
+      const token = localStorage.getItem(SESSION_TOKEN_KEY);
+      if (token) {
+        s.emit('reconnect', { token });
       }
     });
     
-    // Handle successful reconnection from server
-    s.on('reconnected', (data: { message: string; roomId: string; playerIndex: number }) => {
-      console.log('Successfully reconnected:', data);
+    s.on('sessionToken', (p: { token: string }) => localStorage.setItem(SESSION_TOKEN_KEY, p.token));
+
+    // Handle successful reconnection from server (with a fresh token; the old one no longer works)
+    s.on('reconnected', (data: { message: string; roomId: string; playerIndex: number; token: string }) => {
+      localStorage.setItem(SESSION_TOKEN_KEY, data.token);
       setIsReconnecting(false);
       setReconnectMessage('');
       setMessage('Reconnected successfully!');
@@ -117,9 +344,13 @@ export default function App() {
     });
     
     s.on('queued', (p: { position: number }) => setQueuedPos(p.position));
+    s.on('lobbyState', (p: { tables: LobbyTable[] }) => setLobby(p.tables));
     s.on('waitingRoomState', (wr: WaitingRoomState) => {
       console.log('Received waiting room state:', wr);
       setWaitingRoom(wr);
+      setWaitingRoomAt(Date.now());
+      if (inviteCode()) window.history.replaceState(null, '', '/'); // links built from this page should not carry the invite
+      setNow(Date.now());
       setQueuedPos(null);
     });
     s.on('leftWaitingRoom', () => {
@@ -127,8 +358,9 @@ export default function App() {
       setChatMessages([]);
       setTypingUsers(new Set());
     });
-    s.on('gameStarted', (p: { matchNumber?: number; leader?: number }) => {
+    s.on('gameStarted', (p: { matchNumber?: number; leader?: number; seat: number; seats: number; hand: Card[]; dealCommitment: string }) => {
       setQueuedPos(null);
+      dealRef.current = { commitment: p.dealCommitment, seat: p.seat, seats: p.seats, handIds: p.hand.map(c => c.id) };
       setWaitingRoom(null);
       setIsReconnecting(false); // Clear reconnecting state when new game starts
       if (typeof p?.matchNumber === 'number') {
@@ -141,6 +373,8 @@ export default function App() {
     });
     s.on('state', (st: GameState) => {
       setState(st);
+      setStateAt(Date.now());
+      setNow(Date.now());
       // Clear warnings for players who no longer have exactly 1 card
       const newPlayersWithOneCard = new Set<number>();
       playersWithOneCardRef.current.forEach(playerIdx => {
@@ -158,26 +392,61 @@ export default function App() {
         setWarnings(newWarnings);
       }
     });
-    s.on('matchEnded', (p: { winner: number; pointsAdded: number[]; scores: number[]; matchNumber: number }) => {
+    s.on('matchEnded', (p: { winner: number; pointsAdded: number[]; scores: number[]; ledger: MatchLedgerEntry[]; matchNumber: number; deal: { seed: string; commitment: string }; analysis?: HandPlan[] }) => {
       const nm = state?.names?.[p.winner] ?? `Player ${p.winner+1}`;
       const scoreboard = (state?.names || []).map((n, i) => `${n}:${p.scores?.[i] ?? 0}`).join(' | ');
       setMessage(`Match ${p.matchNumber} winner: ${nm}. Scores -> ${scoreboard}`);
+      // Re-run the deal from the revealed seed and check it against what we were dealt
+      const dealt = dealRef.current;
+      if (dealt && p.deal) {
+        const check = p.deal.commitment !== dealt.commitment
+          ? Promise.resolve({ valid: false, reason: 'Commitment changed during the match' })
+          : verifyDeal(p.deal.seed, dealt.commitment, dealt.seat, dealt.handIds, dealt.seats);
+        check.then(res => setDealCheck({ matchNumber: p.matchNumber, ...res }));
+      }
+      if (p.analysis) setMatchAnalysis({ matchNumber: p.matchNumber, plans: p.analysis });
+      if (p.ledger) setMatchLedger({ matchNumber: p.matchNumber, entries: p.ledger });
       // Clear warnings when match ends
       setWarnings([]);
       setPlayersWithOneCard(new Set());
       setHighestCardWarnings([]);
     });
-    s.on('gameOver', (p: { scores: number[]; busted: number[]; champion: number }) => {
+    s.on('gameOver', (p: { scores: number[]; busted: number[]; champion: number; ledger?: FinalLedgerEntry[]; record?: GameRecord }) => {
       const names = state?.names || [];
       const champName = names[p.champion] ?? `Player ${p.champion+1}`;
       setMessage(`Game over. Champion: ${champName}. Final scores: ${names.map((n,i)=>`${n}:${p.scores[i]}`).join(' | ')}`);
+      if (p.record) setGameRecord(p.record);
+      if (p.ledger) setFinalLedger(p.ledger);
+      localStorage.removeItem(SESSION_TOKEN_KEY);
     });
-    s.on('gameAborted', (p: { reason: string }) => setMessage(p.reason));
+    // The server saves our game before a restart; the reconnect overlay takes over when the socket drops
+    s.on('serverShutdown', (p: { message: string }) => setMessage(p.message));
+    s.on('recordLoaded', (record: GameRecord) => setReplay(record));
+    s.on('recordRejected', (p: { error: string }) => setMessage(`Could not load game record: ${p.error}`));
+    s.on('reconnectFailed', (p: { error: string }) => {
+      localStorage.removeItem(SESSION_TOKEN_KEY);
+      setIsReconnecting(false);
+      setReconnectMessage('');
+      setState(null);
+      setMessage(`Could not rejoin: ${p.error}`);
+    });
+    // Another window resumed our seat with the same token
+    s.on('sessionReplaced', (p: { message: string }) => {
+      inGameRef.current = false;
+      setState(null);
+      setMessage(p.message);
+    });
+    s.on('gameAborted', (p: { reason: string }) => {
+      localStorage.removeItem(SESSION_TOKEN_KEY);
+      setMessage(p.reason);
+    });
+    s.on('tournamentState', (t: TournamentState) => setTournament(t));
+    s.on('spectateFailed', (p: { error: string }) => setMessage(`Could not watch: ${p.error}`));
     s.on('playRejected', (p: { error: string }) => setMessage(p.error));
     s.on('errorMessage', (msg: string) => {
       setMessage(typeof msg === 'string' ? msg : 'Error');
       // If we're trying to reconnect and get an error, clear the reconnecting state
-      if (isReconnecting) {
+      if (reconnectingRef.current) {
         setIsReconnecting(false);
         setReconnectMessage('');
       }
@@ -219,6 +488,19 @@ export default function App() {
       // Always show only the latest highest card warning
       setHighestCardWarnings([newWarning]);
     });
+    s.on('hint', (p: { cardIds: string[]; type: string | null; moveCount: number; plan?: HandPlan }) => {
+      if (p.cardIds.length === 0) {
+        setMessage('No legal play — you have to pass.');
+        return;
+      }
+      setSelected(Object.fromEntries(p.cardIds.map(id => [id, true])));
+      const plan = p.plan ? ` · your hand splits into ${p.plan.count} plays, ${p.plan.controls} of them sure winners` : '';
+      setMessage(`Hint: ${p.type} (${p.moveCount} legal play${p.moveCount !== 1 ? 's' : ''})${plan}`);
+    });
+    s.on('bombPlayed', (p: { playerIndex: number; playerName: string; combo: string; bombed: { by: number; type: string } }) => {
+      const target = p.bombed.type === 'pair' ? 'pair of 2s' : 'single 2';
+      setMessage(`💣 ${p.playerName} cut the ${target} with a ${p.combo}!`);
+    });
     s.on('autoPassCountdown', (p: { countdown: number; exemptPlayer: number | null }) => {
       console.log('Received autoPassCountdown event:', p);
       setAutoPassCountdown(p.countdown);
@@ -260,20 +542,117 @@ export default function App() {
 
   const joined = useMemo(() => !!queuedPos || !!state || !!waitingRoom, [queuedPos, state, waitingRoom]);
 
+  // Follow the lobby while it is on screen; joining a table stops it on the server
+  useEffect(() => {
+    if (!socket || !showLobby || joined) return;
+    socket.emit('watchLobby');
+    return () => { socket.emit('stopWatchingLobby'); };
+  }, [socket, showLobby, joined]);
+
+  // An /r/<code> link: look the room up so the start page can offer to join it
+  useEffect(() => {
+    const code = inviteCode();
+    if (!code) return;
+    fetchJson<PrivateRoomInfo>(`/api/rooms/${encodeURIComponent(code)}`).then(setInvite, e => setInviteError(e.message));
+  }, []);
+
   function join() {
     if (!socket) return;
     if (!name.trim()) { setMessage('Please enter a name'); return; }
-    playerNameRef.current = name.trim(); // Store name for reconnection
     socket.emit('join', { name: name.trim() });
   }
 
-  function rejoin() {
+  function createPrivateRoom() {
+    if (!socket) return;
+    if (!name.trim()) { setMessage('Please enter a name'); return; }
+    socket.emit('createPrivateRoom', { name: name.trim() });
+  }
+
+  function joinByCode(code: string) {
+    if (!socket) return;
+    if (!name.trim()) { setMessage('Please enter a name'); return; }
+    if (!code.trim()) { setMessage('Enter the room code'); return; }
+    socket.emit('joinByCode', { name: name.trim(), code: code.trim() });
+  }
+
+  function joinTable(roomId: string, seat: number) {
+    if (!socket) return;
+    if (!name.trim()) { setMessage('Please enter a name'); return; }
+    socket.emit('joinTable', { name: name.trim(), roomId, seat });
+  }
+
+  function createTable(tableName: string) {
     if (!socket) return;
     if (!name.trim()) { setMessage('Please enter a name'); return; }
-    playerNameRef.current = name.trim(); // Store name for reconnection
+    socket.emit('createTable', { name: name.trim(), tableName });
+  }
+
+  function rejoin() {
+    if (!socket) return;
+    const token = localStorage.getItem(SESSION_TOKEN_KEY);
+    if (!token) { setMessage('No game to rejoin from this browser'); return; }
     setIsReconnecting(true);
     setReconnectMessage('Attempting to rejoin your game...');
-    socket.emit('reconnect', { name: name.trim() });
+    socket.emit('reconnect', { token });
+  }
+
+  function spectate() {
+    if (!watchRoomId.trim()) { setMessage('Enter the id of the game to watch'); return; }
+    spectateRoom(watchRoomId.trim());
+  }
+
+  function spectateRoom(roomId: string) {
+    if (!socket) return;
+    setChatMessages([]);
+    socket.emit('spectate', { roomId, name: name.trim() });
+  }
+
+  function createTournament(options: TournamentOptions) {
+    socket?.emit('createTournament', options);
+  }
+
+  function watchTournament() {
+    if (!tournamentId.trim()) { setMessage('Enter the id of the tournament'); return; }
+    socket?.emit('watchTournament', { tournamentId: tournamentId.trim() });
+  }
+
+  function registerTournament(id: string) {
+    if (!name.trim()) { setMessage('Please enter a name'); return; }
+    socket?.emit('registerTournament', { tournamentId: id, name: name.trim() });
+  }
+
+  function closeTournament() {
+    socket?.emit('stopWatchingTournament');
+    setTournament(null);
+  }
+
+  function stopSpectating() {
+    if (!socket) return;
+    socket.emit('stopSpectating');
+    setState(null);
+    setChatMessages([]);
+    setGameRecord(null);
+    setMatchLedger(null);
+    setFinalLedger(null);
+    setMessage('');
+  }
+
+  // Link that opens this game in spectator mode
+  function copyWatchLink() {
+    if (!state) return;
+    const link = `${window.location.origin}${window.location.pathname}?watch=${encodeURIComponent(state.roomId)}`;
+    navigator.clipboard?.writeText(link).then(
+      () => setMessage('Spectator link copied'),
+      () => setMessage(`Spectators can watch at ${link}`)
+    );
+  }
+
+  function copyInviteLink(code: string) {
+    const link = `${window.location.origin}/r/${code}`;
+    navigator.clipboard?.writeText(link).then(
+      () => setMessage('Invite link copied'),
+      () => setMessage(`Friends can join at ${link}`)
+    );
   }
 
   function leaveWaitingRoom() {
@@ -286,6 +665,67 @@ export default function App() {
     socket.emit('startGameWithBots');
   }
 
+  function setTableSize(seats: number) {
+    if (!socket) return;
+    socket.emit('setTableSize', { seats });
+  }
+
+  function setBotLevel(seat: number, level: string) {
+    if (!socket) return;
+    socket.emit('setBotLevel', { seat, level });
+  }
+
+  function voteBotTakeover(seat: number) {
+    if (!socket) return;
+    socket.emit('voteBotTakeover', { seat });
+  }
+
+  function setTurnClock(preset: string) {
+    if (!socket) return;
+    socket.emit('setTurnClock', { preset });
+  }
+
+  function setRoomSettings(changes: Partial<RoomSettings>) {
+    if (!socket) return;
+    socket.emit('setRoomSettings', changes);
+  }
+
+  function setRuleProfile(profile: string) {
+    if (!socket) return;
+    socket.emit('setRuleProfile', { profile });
+  }
+
+  function setRuleOptions(options: { bombs?: boolean; duplicatesBeat?: boolean }) {
+    if (!socket) return;
+    socket.emit('setRuleOptions', options);
+  }
+
+  function downloadRecord() {
+    if (!gameRecord) return;
+    const blob = new Blob([JSON.stringify(gameRecord, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `big2-game-${gameRecord.startedAt.slice(0, 19).replace(/[:T]/g, '-')}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Sends an uploaded record to the server, which replays it through the engine before we show it
+  function loadRecord(file: File) {
+    if (!socket) return;
+    file.text().then(text => {
+      let record: unknown;
+      try {
+        record = JSON.parse(text);
+      } catch {
+        setMessage('Could not load game record: not a JSON file');
+        return;
+      }
+      socket.emit('loadRecord', record);
+    });
+  }
+
   function toggleCard(id: string) {
     setSelected((prev: Record<string, boolean>) => ({ ...prev, [id]: !prev[id] }));
   }
@@ -299,6 +739,11 @@ export default function App() {
     setSelected({});
   }
 
+  function requestHint() {
+    if (!socket || !state) return;
+    socket.emit('requestHint');
+  }
+
   function pass() {
     if (!socket || !state) return;
     setMessage('');
@@ -371,11 +816,33 @@ export default function App() {
     });
   }
 
+  if (replay) {
+    return <ReplayViewer record={replay} onClose={() => setReplay(null)} />;
+  }
+
   if (!joined) {
     return (
       <div style={styles.container}>
         <h1>Big Two</h1>
         <div style={styles.card}>
+          {(invite || inviteError) && (
+            <div className="panel" style={{ ...styles.panel, marginBottom: 12 }}>
+              {invite ? (
+                <>
+                  <p style={{ margin: '0 0 8px' }}>
+                    You're invited to {invite.host ? `${invite.host}'s` : 'a'} private room ({invite.players}/{invite.seats} players)
+                  </p>
+                  {invite.locked
+                    ? <p style={{ color: '#dc2626', fontSize: '0.875em' }}>The host has locked the room.</p>
+                    : invite.players >= invite.seats
+                      ? <p style={{ color: '#dc2626', fontSize: '0.875em' }}>The room is full.</p>
+                      : <button onClick={() => joinByCode(invite.code)}>Join room {invite.code}</button>}
+                </>
+              ) : (
+                <p style={{ color: '#dc2626', fontSize: '0.875em', margin: 0 }}>{inviteError}. The game may have started already.</p>
+              )}
+            </div>
+          )}
           <label>
             Your name
             <input 
@@ -429,8 +896,88 @@ export default function App() {
             </button>
           </div>
           <p style={{ fontSize: '0.875em', color: '#9ca3af', marginTop: 16, maxWidth: 400 }}>
-            Use "Join New Game" to start fresh, or "Rejoin Game" to reconnect to a game you were disconnected from (using the same name).
+            Use "Join New Game" to start fresh, or "Rejoin Game" to get back to a game this browser was disconnected from.
           </p>
+          <div style={{ display: 'flex', gap: 8, marginTop: 12, justifyContent: 'center', alignItems: 'center', fontSize: '0.875em' }}>
+            <button className="secondary" onClick={createPrivateRoom}>Create private room</button>
+            or join one:
+            <input
+              style={{ ...styles.input, marginTop: 0, width: 100, textTransform: 'uppercase' }}
+              value={roomCode}
+              onChange={(e: React.ChangeEvent<HTMLInputElement>) => setRoomCode(e.target.value)}
+              placeholder="code"
+              maxLength={6}
+              onKeyPress={(e) => {
+                if (e.key === 'Enter') {
+                  joinByCode(roomCode);
+                }
+              }}
+            />
+            <button className="secondary" onClick={() => joinByCode(roomCode)}>Join</button>
+          </div>
+          <div style={{ display: 'flex', gap: 8, marginTop: 12, justifyContent: 'center', alignItems: 'center', fontSize: '0.875em' }}>
+            Watch a game:
+            <input
+              style={{ ...styles.input, marginTop: 0, width: 220 }}
+              value={watchRoomId}
+              onChange={(e: React.ChangeEvent<HTMLInputElement>) => setWatchRoomId(e.target.value)}
+              placeholder="game id"
+              onKeyPress={(e) => {
+                if (e.key === 'Enter') {
+                  spectate();
+                }
+              }}
+            />
+            <button className="secondary" onClick={spectate}>Watch</button>
+          </div>
+          <label style={{ display: 'block', fontSize: '0.875em', marginTop: 12 }}>
+            Watch a replay:{' '}
+            <input
+              type="file"
+              accept="application/json,.json"
+              onChange={(e: React.ChangeEvent<HTMLInputElement>) => {
+                const file = e.target.files?.[0];
+                if (file) loadRecord(file);
+                e.target.value = '';
+              }}
+            />
+          </label>
+          <div style={{ marginTop: 12 }}>
+            <button className="secondary" onClick={() => setShowLobby(v => !v)} style={{ marginRight: 8 }}>{showLobby ? 'Hide tables' : 'Browse tables'}</button>
+            <button className="secondary" onClick={() => setShowLeaderboard(v => !v)}>{showLeaderboard ? 'Hide leaderboard' : 'Leaderboard'}</button>
+          </div>
+          {showLobby && <Lobby tables={lobby} onSit={joinTable} onCreate={createTable} />}
+          {showLeaderboard && <Leaderboard />}
+          {tournament ? (
+            <TournamentPanel
+              tournament={tournament}
+              onRegister={() => registerTournament(tournament.id)}
+              onLeave={() => socket?.emit('leaveTournament')}
+              onStart={() => socket?.emit('startTournament')}
+              onWatchTable={spectateRoom}
+              onClose={closeTournament}
+            />
+          ) : (
+            <>
+              <div style={{ display: 'flex', gap: 8, marginTop: 12, justifyContent: 'center', alignItems: 'center', fontSize: '0.875em' }}>
+                Tournament:
+                <input
+                  style={{ ...styles.input, marginTop: 0, width: 160 }}
+                  value={tournamentId}
+                  onChange={(e: React.ChangeEvent<HTMLInputElement>) => setTournamentId(e.target.value)}
+                  placeholder="tournament id"
+                  onKeyPress={(e) => {
+                    if (e.key === 'Enter') {
+                      watchTournament();
+                    }
+                  }}
+                />
+                <button className="secondary" onClick={watchTournament}>Open</button>
+              </div>
+              <TournamentCreator onCreate={createTournament} />
+            </>
+          )}
+          {message && <p className="message">{message}</p>}
         </div>
       </div>
     );
@@ -439,21 +986,88 @@ export default function App() {
   if (!state) {
     // Show waiting room if available
     if (waitingRoom) {
+      const me = waitingRoom.players.find(p => p.id === socket?.id);
+      const notReady = waitingRoom.players.filter(p => !p.ready).length;
+      const smallButton = { padding: '2px 8px', fontSize: '0.75em' };
       return (
         <div style={styles.container}>
           <h1>Big Two - Waiting Room</h1>
           <div style={{ maxWidth: 800, margin: '0 auto' }}>
             <div className="panel" style={{ ...styles.panel, marginBottom: 20 }}>
-              <h2>Waiting for Players</h2>
+              <h2>{waitingRoom.name}</h2>
               <p style={{ fontSize: '1.2em', color: '#2563eb', fontWeight: 'bold', margin: '16px 0' }}>
                 {waitingRoom.playersNeeded > 0 
                   ? `Waiting for ${waitingRoom.playersNeeded} more player${waitingRoom.playersNeeded !== 1 ? 's' : ''}...`
-                  : 'Starting game...'}
+                  : notReady > 0
+                    ? `Waiting for ${notReady} player${notReady !== 1 ? 's' : ''} to get ready...`
+                    : 'Starting game...'}
               </p>
+              {me && (
+                <button
+                  onClick={() => socket?.emit('setReady', { ready: !me.ready })}
+                  className={me.ready ? 'secondary' : undefined}
+                  title="The game starts when every seat is taken and everyone is ready"
+                >
+                  {me.ready ? 'Not ready' : "I'm ready"}
+                </button>
+              )}
+              {waitingRoom.botFallbackMs != null && waitingRoom.playersNeeded > 0 && (
+                <p style={{ fontSize: '0.875em', color: '#6b7280' }}>
+                  Looking for players near rating {waitingRoom.rating}; bots take the empty seats in{' '}
+                  {Math.max(0, Math.ceil((waitingRoom.botFallbackMs - (now - waitingRoomAt)) / 1000))}s
+                </p>
+              )}
+              {waitingRoom.code && (
+                <div style={{ display: 'flex', gap: 8, justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap', fontSize: '0.875em' }}>
+                  Private room · code <strong style={{ letterSpacing: 2 }}>{waitingRoom.code}</strong>
+                  <button className="secondary" onClick={() => copyInviteLink(waitingRoom.code!)}>Copy invite link</button>
+                  {waitingRoom.isCreator ? (
+                    <label>
+                      <input type="checkbox" checked={waitingRoom.locked} onChange={(e) => socket?.emit('setRoomLocked', { locked: e.target.checked })} />
+                      {' '}Locked
+                    </label>
+                  ) : waitingRoom.locked && <span style={{ color: '#6b7280' }}>🔒 Locked by the host</span>}
+                </div>
+              )}
+              {message && <p className="message">{message}</p>}
               <div style={{ marginTop: 16 }}>
-                <h3>Players in Room ({waitingRoom.players.length}/4)</h3>
-                <ul style={{ textAlign: 'left', maxWidth: 300, margin: '12px auto', listStyle: 'none', padding: 0 }}>
-                  {waitingRoom.players.map((player, idx) => (
+                <h3>Players in Room ({waitingRoom.players.length}/{waitingRoom.seats})</h3>
+                {waitingRoom.isCreator && (
+                  <label style={{ fontSize: '0.875em', marginRight: 12 }}>
+                    Table name{' '}
+                    <input
+                      key={waitingRoom.name}
+                      defaultValue={waitingRoom.name}
+                      maxLength={40}
+                      onBlur={(e) => { if (e.target.value.trim() !== waitingRoom.name) socket?.emit('setRoomName', { name: e.target.value }); }}
+                      onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                      style={{ padding: 4, borderRadius: 6, border: '1px solid #d1d5db', width: 160 }}
+                    />
+                  </label>
+                )}
+                {waitingRoom.isCreator && (
+                  <label style={{ fontSize: '0.875em' }}>
+                    Table size{' '}
+                    <select
+                      value={waitingRoom.seats}
+                      onChange={(e) => setTableSize(Number(e.target.value))}
+                      style={{ padding: 4, borderRadius: 6, border: '1px solid #d1d5db' }}
+                    >
+                      {[2, 3, 4, 5, 6, 7, 8].map(n => (
+                        <option key={n} value={n} disabled={n < waitingRoom.players.length}>
+                          {n} players{n >= 5 ? ' (two decks)' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+                {!waitingRoom.isCreator && waitingRoom.decks > 1 && (
+                  <p style={{ fontSize: '0.875em', color: '#6b7280' }}>Two-deck game</p>
+                )}
+                <ul style={{ textAlign: 'left', maxWidth: 460, margin: '12px auto', listStyle: 'none', padding: 0 }}>
+                  {[...Array(waitingRoom.seats)].map((_, seat) => {
+                    const player = waitingRoom.players.find(p => p.seat === seat);
+                    return player ? (
                     <li key={player.id} style={{ 
                       padding: '8px 12px', 
                       margin: '4px 0', 
@@ -475,14 +1089,43 @@ export default function App() {
                         fontWeight: 'bold',
                         fontSize: '0.875em'
                       }}>
-                        {player.isBot ? '🤖' : idx + 1}
+                        {player.isBot ? '🤖' : seat + 1}
                       </span>
                       <span style={{ fontWeight: '500' }}>{player.name}</span>
-                      {player.isBot && <span style={{ color: '#92400e', fontSize: '0.75em', marginLeft: 'auto' }}>(AI)</span>}
+                      <span style={{ color: '#6b7280', fontSize: '0.75em' }} title={player.provisional ? 'Provisional rating: fewer than 10 rated games' : 'Rating'}>
+                        {player.rating}{player.provisional ? '?' : ''}
+                      </span>
+                      {player.id === waitingRoom.hostId && <span title="Host">👑</span>}
+                      {!player.isBot && (
+                        <span style={{ fontSize: '0.75em', color: player.ready ? '#059669' : '#9ca3af' }}>{player.ready ? '✓ ready' : 'not ready'}</span>
+                      )}
+                      {player.isBot && (
+                        <span style={{ color: '#92400e', fontSize: '0.75em', marginLeft: 'auto' }}>
+                          (AI{player.botLevel ? ` · ${botLevelName(waitingRoom.botLevelOptions, player.botLevel)}` : ''})
+                        </span>
+                      )}
+                      {waitingRoom.isCreator && (
+                        <span style={{ display: 'flex', gap: 4, marginLeft: player.isBot ? 0 : 'auto' }}>
+                          <select
+                            value={seat}
+                            onChange={(e) => socket?.emit('moveSeat', { playerId: player.id, seat: Number(e.target.value) })}
+                            title="Move to another seat (swaps with whoever sits there)"
+                            style={{ padding: 2, fontSize: '0.75em', borderRadius: 4, border: '1px solid #d1d5db' }}
+                          >
+                            {[...Array(waitingRoom.seats)].map((_, to) => <option key={to} value={to}>Seat {to + 1}</option>)}
+                          </select>
+                          {player.isBot && <button className="secondary" style={smallButton} onClick={() => socket?.emit('removeBot', { seat })}>Remove</button>}
+                          {!player.isBot && player.id !== socket?.id && (
+                            <>
+                              <button className="secondary" style={smallButton} onClick={() => socket?.emit('transferHost', { playerId: player.id })}>Make host</button>
+                              <button className="secondary" style={smallButton} onClick={() => socket?.emit('kickPlayer', { playerId: player.id })}>Kick</button>
+                            </>
+                          )}
+                        </span>
+                      )}
                     </li>
-                  ))}
-                  {[...Array(4 - waitingRoom.players.length)].map((_, idx) => (
-                    <li key={`empty-${idx}`} style={{ 
+                    ) : (
+                    <li key={`empty-${seat}`} style={{ 
                       padding: '8px 12px', 
                       margin: '4px 0', 
                       backgroundColor: '#f9fafb',
@@ -504,13 +1147,91 @@ export default function App() {
                         fontWeight: 'bold',
                         fontSize: '0.875em'
                       }}>
-                        {waitingRoom.players.length + idx + 1}
+                        {seat + 1}
                       </span>
                       <span style={{ color: '#9ca3af', fontStyle: 'italic' }}>Waiting...</span>
+                      <button className="secondary" style={smallButton} onClick={() => socket?.emit('changeSeat', { seat })}>Sit here</button>
+                      {waitingRoom.isCreator && (
+                        <select
+                          value={waitingRoom.botLevels[seat]}
+                          onChange={(e) => setBotLevel(seat, e.target.value)}
+                          title="Difficulty if a bot takes this seat"
+                          style={{ marginLeft: 'auto', padding: 2, fontSize: '0.75em', borderRadius: 4, border: '1px solid #d1d5db' }}
+                        >
+                          {waitingRoom.botLevelOptions.map(l => (
+                            <option key={l.id} value={l.id} title={l.description}>🤖 {l.name} ({l.rating})</option>
+                          ))}
+                        </select>
+                      )}
+                      {waitingRoom.isCreator && (
+                        <button className="secondary" style={smallButton} onClick={() => socket?.emit('addBot', { seat })}>Add bot</button>
+                      )}
                     </li>
-                  ))}
+                    );
+                  })}
                 </ul>
               </div>
+
+              <div style={{ marginTop: 16, textAlign: 'left', maxWidth: 420, marginLeft: 'auto', marginRight: 'auto' }}>
+                <h3>Rules</h3>
+                {waitingRoom.isCreator ? (
+                  <select
+                    value={waitingRoom.rules.id}
+                    onChange={(e) => setRuleProfile(e.target.value)}
+                    style={{ padding: 6, fontSize: 14, borderRadius: 6, border: '1px solid #d1d5db', marginBottom: 8 }}
+                  >
+                    {waitingRoom.ruleProfiles.map(p => (
+                      <option key={p.id} value={p.id}>{p.name}</option>
+                    ))}
+                  </select>
+                ) : null}
+                {waitingRoom.isCreator ? (
+                  <label style={{ display: 'block', marginBottom: 8, fontSize: '0.875em' }}>
+                    <input
+                      type="checkbox"
+                      checked={waitingRoom.rules.bombs}
+                      onChange={(e) => setRuleOptions({ bombs: e.target.checked })}
+                      style={{ marginRight: 6 }}
+                    />
+                    Bombs (four of a kind / straight flush cut 2s)
+                  </label>
+                ) : null}
+                {waitingRoom.isCreator && waitingRoom.decks > 1 ? (
+                  <label style={{ display: 'block', marginBottom: 8, fontSize: '0.875em' }}>
+                    <input
+                      type="checkbox"
+                      checked={waitingRoom.rules.duplicatesBeat}
+                      onChange={(e) => setRuleOptions({ duplicatesBeat: e.target.checked })}
+                      style={{ marginRight: 6 }}
+                    />
+                    Second identical card beats the first
+                  </label>
+                ) : null}
+                <RulesSummary rules={waitingRoom.rules} decks={waitingRoom.decks} />
+                <h3>Turn clock</h3>
+                {waitingRoom.isCreator ? (
+                  <select
+                    value={waitingRoom.clock.id}
+                    onChange={(e) => setTurnClock(e.target.value)}
+                    style={{ padding: 6, fontSize: 14, borderRadius: 6, border: '1px solid #d1d5db', marginBottom: 8 }}
+                  >
+                    {waitingRoom.clockPresets.map(p => (
+                      <option key={p.id} value={p.id}>{p.name}</option>
+                    ))}
+                  </select>
+                ) : null}
+                <p style={{ fontSize: '0.875em', margin: 0 }}>
+                  {waitingRoom.clock.turnSeconds
+                    ? `${waitingRoom.clock.turnSeconds}s a turn, plus a ${waitingRoom.clock.bankSeconds}s time bank per player for the long ones. Out of time, you pass (or lead your lowest card).`
+                    : 'No time limit.'}
+                </p>
+                <h3>Scoring and timers</h3>
+                {waitingRoom.isCreator ? (
+                  <RoomSettingsEditor settings={waitingRoom.settings} modes={waitingRoom.scoringModes} onChange={setRoomSettings} />
+                ) : (
+                  <p style={{ fontSize: '0.875em', margin: 0 }}>{describeScoring(waitingRoom.settings)}. {waitingRoom.settings.autoPassSeconds}s auto-pass countdown, {waitingRoom.settings.reconnectSeconds}s to reconnect, spectators {waitingRoom.settings.spectatorDelayMoves ? `${waitingRoom.settings.spectatorDelayMoves} moves behind` : 'live'}.</p>
+                )}
+              </div>
               
               {/* Show "Start with Bots" button if creator and not enough players */}
               {waitingRoom.isCreator && waitingRoom.playersNeeded > 0 && (
@@ -793,9 +1514,42 @@ export default function App() {
       )}
       
       <h1>Big Two</h1>
+
+      {/* Spectators: who is watching, and the way in */}
+      <div style={{ display: 'flex', gap: 8, justifyContent: 'center', alignItems: 'center', marginBottom: 12, fontSize: '0.875em', color: '#6b7280' }}>
+        {state.spectating ? (
+          <>
+            <span>👀 You are watching{state.spectatorDelay ? `, ${state.spectatorDelay} move${state.spectatorDelay !== 1 ? 's' : ''} behind the table` : ''}</span>
+            <button className="secondary" onClick={stopSpectating}>Stop watching</button>
+          </>
+        ) : (
+          <>
+            <span>👀 {state.spectatorCount} watching</span>
+            {!state.finished && <button className="secondary" onClick={copyWatchLink}>Copy spectator link</button>}
+          </>
+        )}
+      </div>
       
       {/* Notifications section */}
       {message && <p className="message">{message}</p>}
+      {state.finished && gameRecord && (
+        <div style={{ display: 'flex', gap: 8, justifyContent: 'center', marginBottom: 16 }}>
+          <button className="secondary" onClick={downloadRecord}>Download game record</button>
+          <button className="secondary" onClick={() => setReplay(gameRecord)}>Watch replay</button>
+        </div>
+      )}
+      {state.finished && tournament && (
+        <div style={{ display: 'flex', justifyContent: 'center', marginBottom: 16 }}>
+          <TournamentPanel
+            tournament={tournament}
+            onRegister={() => registerTournament(tournament.id)}
+            onLeave={() => socket?.emit('leaveTournament')}
+            onStart={() => socket?.emit('startTournament')}
+            onWatchTable={(roomId) => { setState(null); spectateRoom(roomId); }}
+            onClose={closeTournament}
+          />
+        </div>
+      )}
       
       {/* Combined highest card + auto-pass countdown */}
       {autoPassCountdown > 0 && autoPassExemptPlayer !== null && highestCardWarnings.length > 0 && (
@@ -853,7 +1607,7 @@ export default function App() {
             {state.history.slice(-3).map((h, idx) => (
               <div key={idx} style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
                 <div style={{ minWidth: 140 }}>
-                  <strong>{state.names[h.by]}</strong>: {h.type} ({h.count})
+                  <strong>{state.names[h.by]}</strong>: {h.bomb ? '💣 ' : ''}{h.type} ({h.count})
                 </div>
                 <div className="cards-row">
                   {h.cards.map(c => (
@@ -872,13 +1626,38 @@ export default function App() {
       <div style={{ display: 'flex', gap: 16, flexWrap: 'wrap', justifyContent: 'center' }}>
         <div className="panel" style={styles.panel}>
           <h3>Scores {typeof state.matchNumber === 'number' ? `(Match ${state.matchNumber})` : ''}</h3>
+          <div style={{ fontSize: '0.75em', color: '#6b7280' }}>{describeScoring(state.scoring)}</div>
           <ul>
             {state.names.map((n, i) => (
               <li key={i} style={{ fontWeight: i === state.you ? 'bold' as const : 'normal' }}>
-                {i === state.you ? '(You) ' : ''}{n}: {state.scores?.[i] ?? 0}
+                {i === state.you ? '(You) ' : ''}{n}: {state.scores?.[i] ?? 0} {scoreUnit(state.scoring)}
+                {state.scoring.mode === 'classic' && state.scoring.goal === 'matches' && ` · ${state.matchWins[i]}/${state.scoring.matchesToWin} wins`}
+                {state.finished && finalLedger?.[i] && ` · ${ordinal(finalLedger[i].place)} place, ${finalLedger[i].matchesWon} won`}
               </li>
             ))}
           </ul>
+          {state.dealCommitment && (
+            <div style={{ fontSize: '0.75em', color: '#6b7280' }} title={state.dealCommitment}>
+              Deal commitment: {state.dealCommitment.slice(0, 12)}…
+            </div>
+          )}
+          {dealCheck && (
+            <div style={{ fontSize: '0.75em', color: dealCheck.valid ? '#059669' : '#dc2626' }}>
+              Match {dealCheck.matchNumber} deal {dealCheck.valid ? 'verified ✅' : `failed verification ❌ (${dealCheck.reason})`}
+            </div>
+          )}
+          {matchLedger && (
+            <div style={{ fontSize: '0.75em', color: '#6b7280', marginTop: 4 }}>
+              Match {matchLedger.matchNumber} settlement:{' '}
+              {matchLedger.entries.map((e, i) => `${state.names[i] ?? `P${i + 1}`} ${e.change > 0 ? '+' : ''}${e.change}${e.reasons.length ? ` (${e.reasons.join(', ')})` : ''}`).join(' · ')}
+            </div>
+          )}
+          {matchAnalysis && (
+            <div style={{ fontSize: '0.75em', color: '#6b7280', marginTop: 4 }}>
+              Match {matchAnalysis.matchNumber} starting hands (plays / sure winners):{' '}
+              {matchAnalysis.plans.map((p, i) => `${state.names[i] ?? `P${i + 1}`} ${p.count}/${p.controls}`).join(' · ')}
+            </div>
+          )}
         </div>
         <div className="panel" style={{
           ...styles.panel,
@@ -892,9 +1671,14 @@ export default function App() {
             {state.names.map((n, i) => (
               <li key={i} style={{ fontWeight: i === state.turn ? 'bold' as const : 'normal' }}>
                 {i === state.you ? '(You) ' : ''}{n}
-                {state.isBot && state.isBot[i] && <span style={{ color: '#f59e0b', marginLeft: 4 }}>🤖</span>}
+                {state.isBot && state.isBot[i] && (
+                  <span style={{ color: '#f59e0b', marginLeft: 4 }} title={state.botLevels?.[i] ? `${botLevelName([], state.botLevels[i])} bot` : 'Bot'}>
+                    🤖{state.botLevels?.[i] ? ` ${botLevelName([], state.botLevels[i])}` : ''}
+                  </span>
+                )}
                 {' '}— cards: {state.counts[i]} {state.passed[i] ? ' (passed)' : ''}
-                {state.disconnected && state.disconnected[i] && (
+                {state.clock && <TurnClock clock={state.clock} seat={i} elapsed={state.finished ? 0 : now - stateAt} />}
+                {state.disconnected && state.disconnected[i] && !state.standIn?.[i] && (
                   <span style={{ 
                     color: '#dc2626', 
                     fontWeight: 'bold', 
@@ -904,6 +1688,22 @@ export default function App() {
                     🔌 DISCONNECTED
                   </span>
                 )}
+                {state.disconnected?.[i] && !state.standIn?.[i] && state.takeoverVotes?.[i] && (
+                  <button
+                    className="secondary"
+                    style={{ marginLeft: 8, fontSize: '0.8em', padding: '2px 8px' }}
+                    disabled={state.takeoverVotes[i]!.includes(state.you)}
+                    onClick={() => voteBotTakeover(i)}
+                    title="Hand this seat to a bot now instead of waiting; they can take it back when they rejoin"
+                  >
+                    Play on with a bot ({state.takeoverVotes[i]!.length}/{state.takeoverVotesNeeded ?? 1})
+                  </button>
+                )}
+                {state.standIn?.[i] && (
+                  <span style={{ color: '#f59e0b', marginLeft: 8 }} title="A bot is playing this seat until its player rejoins">
+                    🤖 playing for them
+                  </span>
+                )}
                 {playersWithOneCard.has(i) && (
                   <span style={{ 
                     color: '#dc2626', 
@@ -918,6 +1718,13 @@ export default function App() {
             ))}
           </ul>
         </div>
+        <div className="panel" style={{ ...styles.panel, textAlign: 'left', maxWidth: 320 }}>
+          <h3>Rules</h3>
+          <RulesSummary rules={state.rules} decks={state.decks} />
+          {state.undealtCount > 0 && (
+            <p style={{ fontSize: '0.875em', color: '#6b7280', margin: '8px 0 0' }}>{state.undealtCount} cards were not dealt this match.</p>
+          )}
+        </div>
         <div className="panel" style={styles.panel}>
           <h3>Current trick</h3>
           {state.lastPlay ? (
@@ -947,7 +1754,7 @@ export default function App() {
             alignItems: 'center',
             marginBottom: isChatMinimized ? 0 : 8
           }}>
-            <h3 style={{ margin: 0 }}>Chat</h3>
+            <h3 style={{ margin: 0 }}>{state.spectating ? 'Spectator chat' : 'Chat'}</h3>
             <button
               onClick={toggleChatMinimize}
               style={{
@@ -1127,13 +1934,17 @@ export default function App() {
       </div>
 
       {/* Your Hand */}
-      <div style={styles.hand}>
+      {!state.spectating && <div style={styles.hand}>
         <h3>Your hand {yourTurn ? '(Your turn)' : ''}</h3>
+        {yourTurn && state.hasLegalMove === false && (
+          <p style={{ color: '#92400e', fontWeight: 'bold' }}>No legal play — you have to pass.</p>
+        )}
         <div className="cards-row">
           {state.hand.map(c => {
             const isSel = !!selected[c.id];
+            const unplayable = yourTurn && !!state.playable && !state.playable.includes(c.id);
             return (
-              <button key={c.id} className={`card-btn${isSel ? ' selected' : ''}`} onClick={() => toggleCard(c.id)} title={c.id}>
+              <button key={c.id} className={`card-btn${isSel ? ' selected' : ''}${unplayable ? ' unplayable' : ''}`} onClick={() => toggleCard(c.id)} title={c.id}>
                 <span className="ring" />
                 <CardImage id={c.id} alt={`${c.r}${c.s}`} />
               </button>
@@ -1143,19 +1954,538 @@ export default function App() {
         <div className="controls" style={{ marginTop: 12, display: 'flex', gap: 8, justifyContent: 'center' }}>
           <button className="primary" disabled={!yourTurn} onClick={play}>Play</button>
           <button className="secondary" disabled={!yourTurn || !state.lastPlay} onClick={pass}>Pass</button>
+          <button className="secondary" disabled={!yourTurn} onClick={requestHint}>Hint</button>
+        </div>
+      </div>}
+    </div>
+  );
+}
+
+// How the game is won and what a card left in hand costs
+function describeScoring(scoring: Scoring) {
+  if (scoring.mode === 'chips') {
+    return `Everyone starts with ${scoring.startingChips} chips and pays the winner ${scoring.chipsPerCard} per card left, doubled when holding a 2 and again when they never played. Game ends when someone runs out`;
+  }
+  if (scoring.mode === 'perCard') {
+    return `Losers pay the winner 1 point per card left. Best total after ${scoring.matchesToPlay} match${scoring.matchesToPlay !== 1 ? 'es' : ''} wins`;
+  }
+  const end = scoring.goal === 'matches'
+    ? `First to win ${scoring.matchesToWin} match${scoring.matchesToWin !== 1 ? 'es' : ''} takes the game`
+    : `Lowest score wins once someone goes over ${scoring.targetScore}`;
+  const [a, b, c] = scoring.penaltyMultipliers;
+  return `${end}. Penalty per card left: ×${a} (1–4), ×${b} (5–9), ×${c} (10–13)${scoring.twosDouble ? ', doubled when holding a 2' : ''}`;
+}
+
+// What a score counts under each mode
+function scoreUnit(scoring: Scoring) {
+  return scoring.mode === 'chips' ? 'chips' : scoring.mode === 'perCard' ? 'net' : 'pts';
+}
+
+function ordinal(n: number) {
+  const suffix = n % 10 === 1 && n % 100 !== 11 ? 'st' : n % 10 === 2 && n % 100 !== 12 ? 'nd' : n % 10 === 3 && n % 100 !== 13 ? 'rd' : 'th';
+  return `${n}${suffix}`;
+}
+
+function RoomSettingsEditor({ settings, modes, onChange }: { settings: RoomSettings; modes: ScoringMode[]; onChange: (changes: Partial<RoomSettings>) => void }) {
+  const row = { display: 'flex', alignItems: 'center', gap: 6, marginBottom: 6, fontSize: '0.875em' } as const;
+  const selectStyle = { padding: 4, borderRadius: 6, border: '1px solid #d1d5db' };
+  return (
+    <div>
+      <div style={row}>
+        <select
+          value={settings.mode}
+          onChange={(e) => onChange({ mode: e.target.value as Scoring['mode'] })}
+          style={selectStyle}
+        >
+          {modes.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+        </select>
+        <span style={{ color: '#6b7280' }}>{modes.find(m => m.id === settings.mode)?.description}</span>
+      </div>
+      {settings.mode === 'chips' && (
+        <div style={row}>
+          Starting chips <NumberSetting value={settings.startingChips} min={10} max={10000} onChange={startingChips => onChange({ startingChips })} />
+          chips per card <NumberSetting value={settings.chipsPerCard} min={1} max={100} onChange={chipsPerCard => onChange({ chipsPerCard })} />
+        </div>
+      )}
+      {settings.mode === 'perCard' && (
+        <div style={row}>
+          Matches to play <NumberSetting value={settings.matchesToPlay} min={1} max={50} onChange={matchesToPlay => onChange({ matchesToPlay })} />
+        </div>
+      )}
+      {settings.mode === 'classic' && <>
+        <div style={row}>
+          <select
+            value={settings.goal}
+            onChange={(e) => onChange({ goal: e.target.value as Scoring['goal'] })}
+            style={selectStyle}
+          >
+            <option value="score">Game ends when a score goes over</option>
+            <option value="matches">First to win this many matches</option>
+          </select>
+          {settings.goal === 'score'
+            ? <NumberSetting value={settings.targetScore} min={10} max={500} onChange={targetScore => onChange({ targetScore })} />
+            : <NumberSetting value={settings.matchesToWin} min={1} max={20} onChange={matchesToWin => onChange({ matchesToWin })} />}
+        </div>
+        <div style={row}>
+          Penalty per card:
+          {['1–4', '5–9', '10–13'].map((band, i) => (
+            <label key={band} style={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+              {band} ×
+              <NumberSetting
+                value={settings.penaltyMultipliers[i]}
+                min={0}
+                max={10}
+                onChange={m => onChange({ penaltyMultipliers: settings.penaltyMultipliers.map((x, j) => j === i ? m : x) })}
+              />
+            </label>
+          ))}
+        </div>
+        <label style={row}>
+          <input type="checkbox" checked={settings.twosDouble} onChange={(e) => onChange({ twosDouble: e.target.checked })} />
+          Penalty doubles when a 2 is left in hand
+        </label>
+      </>}
+      <div style={row}>
+        Auto-pass after <NumberSetting value={settings.autoPassSeconds} min={3} max={60} onChange={autoPassSeconds => onChange({ autoPassSeconds })} /> s,
+        reconnect within <NumberSetting value={settings.reconnectSeconds} min={15} max={600} onChange={reconnectSeconds => onChange({ reconnectSeconds })} /> s
+      </div>
+      <div style={row}>
+        Spectators watch <NumberSetting value={settings.spectatorDelayMoves} min={0} max={10} onChange={spectatorDelayMoves => onChange({ spectatorDelayMoves })} /> moves behind
+      </div>
+    </div>
+  );
+}
+
+// Sends its value when the field loses focus or on Enter, not on every keystroke
+function NumberSetting({ value, min, max, onChange }: { value: number; min: number; max: number; onChange: (value: number) => void }) {
+  const [text, setText] = useState(String(value));
+  useEffect(() => setText(String(value)), [value]);
+  const commit = () => {
+    const n = Number(text);
+    if (Number.isInteger(n) && n >= min && n <= max && n !== value) onChange(n);
+    else setText(String(value));
+  };
+  return (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => { if (e.key === 'Enter') commit(); }}
+      style={{ width: 56, padding: 2, borderRadius: 4, border: '1px solid #d1d5db' }}
+    />
+  );
+}
+
+// REST endpoints live on the same server as the socket
+// The code in an /r/<code> invite link, if the page was opened from one
+function inviteCode() {
+  return window.location.pathname.match(/^\/r\/([A-Za-z0-9]+)\/?$/)?.[1].toUpperCase() ?? null;
+}
+
+function apiUrl(path: string) {
+  return `${(import.meta.env.VITE_BACKEND_URL || '').replace(/\/$/, '')}${path}`;
+}
+
+async function fetchJson<T>(path: string): Promise<T> {
+  const res = await fetch(apiUrl(path));
+  const body = await res.json();
+  if (!res.ok) throw new Error(body?.error || `Request failed (${res.status})`);
+  return body as T;
+}
+
+// Top players by the chosen order; click a name for their lifetime stats
+// Open public tables, updated live: sit in any free seat, or open a table of your own
+function Lobby({ tables, onSit, onCreate }: { tables: LobbyTable[] | null; onSit: (roomId: string, seat: number) => void; onCreate: (tableName: string) => void }) {
+  const [tableName, setTableName] = useState('');
+  return (
+    <div className="panel" style={{ ...styles.panel, marginTop: 12, textAlign: 'left' }}>
+      <h3>Open tables</h3>
+      <div style={{ display: 'flex', gap: 6, alignItems: 'center', fontSize: '0.875em', marginBottom: 8 }}>
+        <input value={tableName} maxLength={40} placeholder="Table name (optional)" onChange={(e) => setTableName(e.target.value)} style={{ padding: 4, borderRadius: 4, border: '1px solid #d1d5db' }} />
+        <button className="secondary" onClick={() => onCreate(tableName)}>Open a table</button>
+      </div>
+      {!tables && <p style={{ fontSize: '0.875em', color: '#6b7280' }}>Loading…</p>}
+      {tables && tables.length === 0 && <p style={{ fontSize: '0.875em', color: '#6b7280' }}>No open tables right now.</p>}
+      {tables?.map(t => (
+        <div key={t.roomId} style={{ borderTop: '1px solid #e5e7eb', padding: '6px 0', fontSize: '0.875em' }}>
+          <div>
+            <strong>{t.name}</strong>
+            <span style={{ color: '#6b7280' }}>
+              {t.host ? ` · host ${t.host}` : ''} · {t.rules.name}{t.decks > 1 ? ' · two decks' : ''} · {describeScoring(t.settings)} · clock {t.clock}
+              {t.rating !== null ? ` · rating ~${t.rating}` : ''}
+            </span>
+          </div>
+          <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', marginTop: 4 }}>
+            {t.seats.map((p, seat) => p?.isBot ? (
+              <button key={seat} className="secondary" style={{ padding: '2px 8px', backgroundColor: '#fef3c7' }} onClick={() => onSit(t.roomId, seat)} title="Take this seat; the bot makes way">
+                {seat + 1}. 🤖 {p.name} ({p.rating}) · take seat
+              </button>
+            ) : p ? (
+              <span key={seat} style={{ padding: '2px 8px', borderRadius: 4, backgroundColor: '#f3f4f6' }}>
+                {seat + 1}. {p.name} ({p.rating})
+              </span>
+            ) : (
+              <button key={seat} className="secondary" style={{ padding: '2px 8px' }} onClick={() => onSit(t.roomId, seat)} title={`A ${t.botLevels[seat]} bot takes this seat if the table fills with bots`}>
+                {seat + 1}. Sit here
+              </button>
+            ))}
+          </div>
         </div>
+      ))}
+    </div>
+  );
+}
+
+function Leaderboard() {
+  const [sort, setSort] = useState<'championships' | 'matchesWon' | 'winRate' | 'games' | 'rating'>('championships');
+  const [lines, setLines] = useState<LeaderboardLine[] | null>(null);
+  const [player, setPlayer] = useState<PlayerStats | null>(null);
+  const [error, setError] = useState<string>('');
+  useEffect(() => {
+    fetchJson<LeaderboardLine[]>(`/api/leaderboard?sort=${sort}`).then(setLines, e => setError(e.message));
+  }, [sort]);
+  const showPlayer = (name: string) => {
+    fetchJson<PlayerStats>(`/api/players/${encodeURIComponent(name)}`).then(setPlayer, e => setError(e.message));
+  };
+  const percent = (x: number) => `${Math.round(x * 100)}%`;
+  return (
+    <div className="panel" style={{ ...styles.panel, marginTop: 12, textAlign: 'left' }}>
+      <h3>Leaderboard</h3>
+      <label style={{ fontSize: '0.875em' }}>
+        Ranked by{' '}
+        <select value={sort} onChange={(e) => { setSort(e.target.value as typeof sort); setPlayer(null); }} style={{ padding: 4, borderRadius: 6, border: '1px solid #d1d5db' }}>
+          <option value="championships">Games won</option>
+          <option value="matchesWon">Matches won</option>
+          <option value="winRate">Match win rate (10+ matches)</option>
+          <option value="games">Games played</option>
+          <option value="rating">Rating</option>
+        </select>
+      </label>
+      {error && <p style={{ color: '#dc2626', fontSize: '0.875em' }}>{error}</p>}
+      {lines && lines.length === 0 && <p style={{ fontSize: '0.875em', color: '#6b7280' }}>Nobody on this board yet.</p>}
+      {lines && lines.length > 0 && (
+        <table style={{ fontSize: '0.875em', borderCollapse: 'collapse', width: '100%', marginTop: 8 }}>
+          <thead>
+            <tr style={{ textAlign: 'left', color: '#6b7280' }}><th>#</th><th>Player</th><th>Games</th><th>Won</th><th>Matches</th><th>Win rate</th><th>Rating</th></tr>
+          </thead>
+          <tbody>
+            {lines.map(l => (
+              <tr key={l.name} onClick={() => showPlayer(l.name)} style={{ cursor: 'pointer', fontWeight: player?.name === l.name ? 'bold' : 'normal' }}>
+                <td>{l.rank}</td>
+                <td>{l.name}</td>
+                <td>{l.games}</td>
+                <td>{l.championships}</td>
+                <td>{l.matchesWon}/{l.matchesPlayed}</td>
+                <td>{percent(l.winRate)}</td>
+                <td>{l.rating}{l.provisional ? '?' : ''}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {player && (
+        <div style={{ fontSize: '0.875em', marginTop: 8 }}>
+          <strong>{player.name}</strong> ({player.rating}{player.provisional ? ', provisional' : ''}): {player.games} game{player.games !== 1 ? 's' : ''}, {player.championships} won ·{' '}
+          {player.matchesWon}/{player.matchesPlayed} matches ({percent(player.winRate)}) ·{' '}
+          {player.matchesPlayed ? (player.cardsLeftTotal / player.matchesPlayed).toFixed(1) : 0} cards left per match · {player.penaltyTotal} penalty points
+          {Object.keys(player.combos).length > 0 && (
+            <div style={{ color: '#6b7280' }}>
+              Plays: {Object.entries(player.combos).sort((a, b) => b[1] - a[1]).map(([type, n]) => `${type} ${n}`).join(' · ')}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Settings for a new tournament; whoever creates it directs it and starts it once everyone has registered
+function TournamentCreator({ onCreate }: { onCreate: (options: TournamentOptions) => void }) {
+  const [open, setOpen] = useState(false);
+  const [options, setOptions] = useState<TournamentOptions>({ name: '', format: 'swiss', rounds: 3, tableSize: 4, advancePerTable: 2, settings: { matchesToPlay: 4 } });
+  const row = { display: 'flex', alignItems: 'center', gap: 6, marginBottom: 6, fontSize: '0.875em' } as const;
+  const selectStyle = { padding: 4, borderRadius: 6, border: '1px solid #d1d5db' };
+  if (!open) {
+    return <button className="secondary" style={{ marginTop: 12 }} onClick={() => setOpen(true)}>Run a tournament…</button>;
+  }
+  return (
+    <div className="panel" style={{ ...styles.panel, marginTop: 12, textAlign: 'left' }}>
+      <h3>New tournament</h3>
+      <div style={row}>
+        Name
+        <input value={options.name} maxLength={40} placeholder="Club night" onChange={(e) => setOptions({ ...options, name: e.target.value })} style={{ padding: 4, borderRadius: 4, border: '1px solid #d1d5db' }} />
+      </div>
+      <div style={row}>
+        <select value={options.format} onChange={(e) => setOptions({ ...options, format: e.target.value as TournamentOptions['format'] })} style={selectStyle}>
+          <option value="swiss">Swiss</option>
+          <option value="elimination">Elimination</option>
+        </select>
+        {options.format === 'swiss'
+          ? <>rounds <NumberSetting value={options.rounds} min={1} max={10} onChange={rounds => setOptions({ ...options, rounds })} /></>
+          : <>going through per table <NumberSetting value={options.advancePerTable} min={1} max={options.tableSize - 1} onChange={advancePerTable => setOptions({ ...options, advancePerTable })} /></>}
+      </div>
+      <div style={row}>
+        Table size
+        <select
+          value={options.tableSize}
+          onChange={(e) => {
+            const tableSize = Number(e.target.value);
+            setOptions({ ...options, tableSize, advancePerTable: Math.min(options.advancePerTable, tableSize - 1) });
+          }}
+          style={selectStyle}
+        >
+          {[2, 3, 4, 5, 6, 7, 8].map(n => <option key={n} value={n}>{n} players</option>)}
+        </select>
+        matches per round <NumberSetting value={options.settings.matchesToPlay} min={1} max={50} onChange={matchesToPlay => setOptions({ ...options, settings: { matchesToPlay } })} />
+      </div>
+      <div style={{ display: 'flex', gap: 8 }}>
+        <button onClick={() => onCreate(options)}>Create</button>
+        <button className="secondary" onClick={() => setOpen(false)}>Cancel</button>
       </div>
     </div>
   );
 }
 
+// Live standings and the round's tables; players register and the director starts the first round from here
+function TournamentPanel({ tournament: t, onRegister, onLeave, onStart, onWatchTable, onClose }: {
+  tournament: TournamentState;
+  onRegister: () => void;
+  onLeave: () => void;
+  onStart: () => void;
+  onWatchTable: (roomId: string) => void;
+  onClose: () => void;
+}) {
+  const link = `${window.location.origin}${window.location.pathname}?tournament=${encodeURIComponent(t.id)}`;
+  const status = {
+    registering: `Registration open · ${t.players} registered`,
+    playing: `Round ${t.round}${t.rounds ? ` of ${t.rounds}` : ''} in play`,
+    break: `Round ${t.round} done${t.nextRoundAt ? ` · next round at ${new Date(t.nextRoundAt).toLocaleTimeString()}` : ''}`,
+    finished: `Finished · champion: ${t.champion ?? 'nobody'}`
+  }[t.status];
+  return (
+    <div className="panel" style={{ ...styles.panel, marginTop: 12, textAlign: 'left', maxWidth: 560 }}>
+      <h3>🏆 {t.name}</h3>
+      <div style={{ fontSize: '0.75em', color: '#6b7280' }}>
+        {t.format.name}{t.advancePerTable ? `, ${t.advancePerTable} through per table` : ''} · tables of {t.tableSize} · {describeScoring(t.settings)} · id {t.id}
+      </div>
+      <p style={{ fontWeight: 'bold', margin: '8px 0' }}>{status}</p>
+      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginBottom: 8 }}>
+        {t.status === 'registering' && !t.you && <button onClick={onRegister}>Register</button>}
+        {t.status === 'registering' && t.isDirector && <button onClick={onStart} disabled={t.players < 2}>Start round 1</button>}
+        {t.you && t.status !== 'finished' && <button className="secondary" onClick={onLeave}>{t.status === 'registering' ? 'Unregister' : 'Withdraw'}</button>}
+        <button className="secondary" onClick={() => navigator.clipboard?.writeText(link)}>Copy link</button>
+        <button className="secondary" onClick={onClose}>Close</button>
+      </div>
+      {t.tables.length > 0 && (
+        <div style={{ fontSize: '0.875em', marginBottom: 8 }}>
+          {t.tables.map(table => (
+            <div key={table.number} style={{ display: 'flex', gap: 8, alignItems: 'center', padding: '2px 0' }}>
+              <span>
+                Table {table.number}: {table.names.map((n, i) => `${n}${table.places ? ` (${ordinal(table.places[i])})` : table.scores ? ` ${table.scores[i]}` : ''}`).join(', ')}
+                {!table.finished && table.matchNumber > 0 && <span style={{ color: '#6b7280' }}> · after match {table.matchNumber}</span>}
+              </span>
+              {!table.finished && table.roomId && !table.names.includes(t.you ?? '') && (
+                <button className="secondary" onClick={() => onWatchTable(table.roomId!)}>Watch</button>
+              )}
+            </div>
+          ))}
+          {t.byes.length > 0 && <div style={{ color: '#6b7280', padding: '2px 0' }}>Bye this round: {t.byes.join(', ')}</div>}
+        </div>
+      )}
+      {t.standings.length > 0 && (
+        <table style={{ fontSize: '0.875em', borderCollapse: 'collapse', width: '100%' }}>
+          <thead>
+            <tr style={{ textAlign: 'left', color: '#6b7280' }}><th>#</th><th>Player</th><th>Points</th><th>Matches won</th><th>Tables</th><th></th></tr>
+          </thead>
+          <tbody>
+            {t.standings.map(line => (
+              <tr key={line.name} style={{ fontWeight: line.name === t.you ? 'bold' : 'normal', color: line.out !== null || line.withdrawn ? '#9ca3af' : undefined }}>
+                <td>{line.rank}</td>
+                <td>{line.name}</td>
+                <td>{line.points}</td>
+                <td>{line.matchesWon}</td>
+                <td>{line.tablesPlayed}</td>
+                <td>{line.withdrawn ? 'withdrawn' : line.out !== null ? `out in round ${line.out}` : ''}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// Countdown for the seat on the clock (turn time, then bank), or just the bank left for anyone else
+function TurnClock({ clock, seat, elapsed }: { clock: ClockState; seat: number; elapsed: number }) {
+  const onClock = clock.seat === seat && clock.turnLeftMs !== null;
+  const turnLeft = onClock ? Math.max(0, clock.turnLeftMs! - elapsed) : 0;
+  const bankLeft = onClock ? Math.max(0, clock.banks[seat] - Math.max(0, elapsed - clock.turnLeftMs!)) : clock.banks[seat];
+  const low = onClock && turnLeft === 0;
+  return (
+    <span
+      style={{ marginLeft: 8, fontVariantNumeric: 'tabular-nums', color: low ? '#dc2626' : onClock ? '#1f2937' : '#9ca3af', fontWeight: onClock ? 'bold' : 'normal' }}
+      title="Time left this turn, then time bank"
+    >
+      ⏱️ {onClock ? `${formatClock(turnLeft)} + ` : ''}{formatClock(bankLeft)}
+    </span>
+  );
+}
+
+function formatClock(ms: number) {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
 function suitEmoji(s: string) {
   return s === 'S' ? '♠' : s === 'H' ? '♥' : s === 'C' ? '♣' : '♦';
 }
 
+// Display name for a bot difficulty id (falls back to the id, capitalised)
+function botLevelName(levels: BotLevel[], id: string) {
+  return levels.find(l => l.id === id)?.name || id.charAt(0).toUpperCase() + id.slice(1);
+}
+
+function RulesSummary({ rules, decks }: { rules: RuleProfile; decks: number }) {
+  const yesNo = (b: boolean) => b ? 'allowed' : 'not allowed';
+  return (
+    <div style={{ fontSize: '0.875em' }}>
+      <div><strong>{rules.name}</strong></div>
+      <p style={{ color: '#6b7280', margin: '4px 0 8px' }}>{rules.description}</p>
+      <ul style={{ margin: 0, paddingLeft: 18 }}>
+        <li>Suits (low → high): {rules.suitOrder.map(suitEmoji).join(' < ')}</li>
+        <li>First lead must include the lowest card dealt (3{suitEmoji(rules.suitOrder[0])} when it is in play)</li>
+        <li>Flushes ranked by {rules.flushOrder === 'suit' ? 'suit, then highest card' : 'highest card, then suit'}</li>
+        <li>A-2-3-4-5 straight: {yesNo(rules.straightA2345)}</li>
+        <li>2-3-4-5-6 straight: {yesNo(rules.straight23456)}</li>
+        <li>Triples: {yesNo(rules.triples)}</li>
+        <li>Four of a kind + kicker: {yesNo(rules.fourOfAKind)}</li>
+        <li>Bombs: {rules.bombs ? 'four of a kind or a straight flush can cut a single 2 or a pair of 2s' : 'off'}</li>
+        {decks > 1 && (
+          <li>Two decks: an identical play {rules.duplicatesBeat ? 'beats' : 'does not beat'} the previous one</li>
+        )}
+      </ul>
+    </div>
+  );
+}
+
+// Steps through a game record move by move; everyone's cards are shown
+function ReplayViewer({ record, onClose }: { record: GameRecord; onClose: () => void }) {
+  const [matchIdx, setMatchIdx] = useState(0);
+  const [step, setStep] = useState(0);
+  const match = record.matches[matchIdx];
+  const total = match.moves.length;
+  const names = record.players;
+
+  // Table after the first `step` moves of the match
+  const frame = useMemo(() => {
+    const hands = match.hands.map(h => h.slice());
+    const passed = hands.map(() => false);
+    let trick: { seat: number; cards: string[]; type: string } | null = null;
+    for (const move of match.moves.slice(0, step)) {
+      if ('play' in move) {
+        if (move.lead) passed.fill(false);
+        hands[move.seat] = hands[move.seat].filter(id => !move.play.includes(id));
+        trick = { seat: move.seat, cards: move.play, type: move.type };
+      } else {
+        passed[move.seat] = true;
+      }
+    }
+    return { hands: hands.map(h => sortCardIds(h, record.rules.suitOrder)), passed, trick };
+  }, [match, step, record.rules.suitOrder]);
+
+  function describe(move: RecordMove) {
+    const who = names[move.seat] ?? `Player ${move.seat + 1}`;
+    if ('play' in move) return `${who} ${move.lead ? 'leads' : 'plays'} ${move.type}: ${move.play.map(cardText).join(' ')}`;
+    return `${who} passes${move.auto ? ' (auto)' : ''}`;
+  }
+
+  function goToMatch(idx: number) {
+    setMatchIdx(idx);
+    setStep(0);
+  }
+
+  return (
+    <div style={styles.container}>
+      <h1>Big Two - Replay</h1>
+      <p style={{ color: '#6b7280', margin: '0 0 12px' }}>
+        {names.join(', ')} · {record.rules.name}{record.rules.bombs ? ' + bombs' : ''} · {new Date(record.startedAt).toLocaleString()}
+      </p>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, justifyContent: 'center', marginBottom: 12 }}>
+        {record.matches.map((m, i) => (
+          <button key={m.number} className={i === matchIdx ? 'primary' : 'secondary'} onClick={() => goToMatch(i)}>
+            Match {m.number}
+          </button>
+        ))}
+      </div>
+      <div className="controls" style={{ display: 'flex', gap: 8, justifyContent: 'center', alignItems: 'center' }}>
+        <button className="secondary" disabled={step === 0} onClick={() => setStep(0)}>⏮</button>
+        <button className="secondary" disabled={step === 0} onClick={() => setStep(step - 1)}>◀</button>
+        <span style={{ minWidth: 90 }}>Move {step} / {total}</span>
+        <button className="secondary" disabled={step === total} onClick={() => setStep(step + 1)}>▶</button>
+        <button className="secondary" disabled={step === total} onClick={() => setStep(total)}>⏭</button>
+      </div>
+      <input type="range" min={0} max={total} value={step} onChange={(e) => setStep(Number(e.target.value))} style={{ width: '100%', maxWidth: 480, marginTop: 8 }} />
+      <p style={{ fontWeight: 'bold', minHeight: '1.5em' }}>
+        {step === 0
+          ? `Dealt. ${names[match.leader] ?? `Player ${match.leader + 1}`} leads.`
+          : describe(match.moves[step - 1])}
+      </p>
+      {step === total && (
+        <p>
+          {names[match.winner]} wins match {match.number}. Scores:{' '}
+          {names.map((n, i) => `${n} ${match.scores[i]} (+${match.pointsAdded[i]})`).join(' · ')}
+        </p>
+      )}
+      <div style={{ ...styles.panel, marginBottom: 12 }}>
+        <h3>Current trick</h3>
+        {frame.trick ? (
+          <>
+            <div>{names[frame.trick.seat]} — {frame.trick.type}</div>
+            <div className="cards-row">{frame.trick.cards.map(id => <CardImage key={id} id={id} />)}</div>
+          </>
+        ) : <div style={{ color: '#6b7280' }}>No cards on the table</div>}
+      </div>
+      {names.map((n, i) => (
+        <div key={i} style={{ ...styles.panel, marginBottom: 8, textAlign: 'left' }}>
+          <strong>{n}</strong> — {frame.hands[i].length} card{frame.hands[i].length !== 1 ? 's' : ''}
+          {frame.passed[i] ? ' (passed)' : ''}
+          <div className="cards-row" style={{ justifyContent: 'flex-start' }}>
+            {frame.hands[i].map(id => <CardImage key={id} id={id} />)}
+          </div>
+        </div>
+      ))}
+      {record.result && (
+        <p>
+          Champion: {names[record.result.champion]}. Final scores: {names.map((n, i) => `${n} ${record.result!.scores[i]}`).join(' · ')}
+        </p>
+      )}
+      <button className="secondary" onClick={onClose}>Close replay</button>
+    </div>
+  );
+}
+
+// Card ids low to high: by rank, then by the rules' suit order
+function sortCardIds(ids: string[], suitOrder: string[]) {
+  const ranks = ['3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A', '2'];
+  const key = (id: string) => {
+    const plain = id.split('#')[0];
+    return ranks.indexOf(plain.slice(0, -1)) * 4 + suitOrder.indexOf(plain.slice(-1));
+  };
+  return ids.slice().sort((a, b) => key(a) - key(b));
+}
+
+function cardText(id: string) {
+  const plain = id.split('#')[0];
+  return plain.slice(0, -1) + suitEmoji(plain.slice(-1));
+}
+
 function cardAssetUrl(id: string) {
-  const r = id.slice(0, -1);
-  const s = id.slice(-1);
+  const plain = id.split('#')[0]; // second-deck cards ('3D#2') use the same image
+  const r = plain.slice(0, -1);
+  const s = plain.slice(-1);
   const suit = s === 'S' ? 'spades' : s === 'H' ? 'hearts' : s === 'C' ? 'clubs' : 'diamonds';
   const rank = r === 'A' ? 'ace' : r === 'K' ? 'king' : r === 'Q' ? 'queen' : r === 'J' ? 'jack' : r;
   return `https://www.tekeye.uk/playing_cards/images/svg_playing_cards/fronts/${suit}_${rank}.svg`;
@@ -0,0 +1,72 @@
+// Client-side deal verification (commit-reveal).
+// Mirrors createRng/shuffle/makeDeck/dealHands in server/engine.js exactly, so a revealed
+// seed can be re-dealt in the browser and compared with the hand this player was given.
+
+const RANKS = ['3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A', '2'];
+const SUITS = ['D', 'C', 'H', 'S'];
+
+export function createRng(seed: string): () => number {
+  let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+  for (let i = 0; i < seed.length; i++) {
+    const k = seed.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  let a = (h1 ^ h2 ^ h3 ^ h4) >>> 0, b = (h2 ^ h1) >>> 0, c = (h3 ^ h1) >>> 0, d = (h4 ^ h1) >>> 0;
+  return function rng() {
+    a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+    const t = (a + b) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    d = (d + 1) | 0;
+    const r = (t + d) | 0;
+    c = (c + r) | 0;
+    return (r >>> 0) / 4294967296;
+  };
+}
+
+// Card ids per seat for a seed and table size, in deal order (5+ seats use two decks)
+export function dealFromSeed(seed: string, seats = 4): string[][] {
+  const decks = seats >= 5 ? 2 : 1;
+  const deck: string[] = [];
+  for (let d = 0; d < decks; d++) {
+    for (const s of SUITS) {
+      for (const r of RANKS) deck.push(d === 0 ? r + s : `${r}${s}#${d + 1}`);
+    }
+  }
+  const rng = createRng(seed);
+  for (let i = deck.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [deck[i], deck[j]] = [deck[j], deck[i]];
+  }
+  const hands: string[][] = Array.from({ length: seats }, () => []);
+  for (let i = 0; i < seats * 13; i++) hands[i % seats].push(deck[i]);
+  return hands;
+}
+
+async function sha256Hex(text: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Checks the revealed seed against the commitment from gameStarted and against this seat's hand
+export async function verifyDeal(
+  seed: string,
+  commitment: string,
+  seat: number,
+  handIds: string[],
+  seats = 4
+): Promise<{ valid: boolean; reason?: string }> {
+  if (!crypto?.subtle) return { valid: false, reason: 'This browser cannot compute SHA-256 here' };
+  if (await sha256Hex(seed) !== commitment) return { valid: false, reason: 'Seed does not match commitment' };
+  const expected = dealFromSeed(seed, seats)[seat]?.slice().sort().join(',');
+  if (expected !== handIds.slice().sort().join(',')) return { valid: false, reason: 'Your hand does not match the seed' };
+  return { valid: true };
+}
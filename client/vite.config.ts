@@ -10,6 +10,10 @@ export default defineConfig({
         target: 'http://localhost:10000',
         ws: true,
         changeOrigin: true
+      },
+      '/api': {
+        target: 'http://localhost:10000',
+        changeOrigin: true
       }
     }
   },
@@ -0,0 +1,54 @@
+// Benchmark: fiveCardCombos (rank/suit indexes) vs. the old brute-force enumeration
+// Usage: node server/bench/fiveCardCombos.js [hands]
+// bruteForceFiveCardCombos is also the reference for the equivalence test in test.js.
+import { fileURLToPath } from 'url';
+import { classify, fiveCardCombos, makeDeck, shuffle, createRng, dealHands } from '../engine.js';
+
+const FIVE_TYPES = ['straight', 'flush', 'fullhouse', 'fourkind', 'straightflush'];
+
+// The pre-index implementation: classify every 5-card subset of the hand
+export function bruteForceFiveCardCombos(hand, rules) {
+  const combos = [];
+  for (let i = 0; i < hand.length - 4; i++) {
+    for (let j = i + 1; j < hand.length - 3; j++) {
+      for (let k = j + 1; k < hand.length - 2; k++) {
+        for (let l = k + 1; l < hand.length - 1; l++) {
+          for (let m = l + 1; m < hand.length; m++) {
+            const fiveCards = [hand[i], hand[j], hand[k], hand[l], hand[m]];
+            const combo = classify(fiveCards, rules);
+            if (combo && FIVE_TYPES.includes(combo.type)) {
+              combos.push(fiveCards);
+            }
+          }
+        }
+      }
+    }
+  }
+  return combos;
+}
+
+function time(label, hands, fn) {
+  const start = process.hrtime.bigint();
+  let combos = 0;
+  for (const hand of hands) combos += fn(hand).length;
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${label.padEnd(12)} ${ms.toFixed(1).padStart(9)} ms  ${(ms * 1000 / hands.length).toFixed(1).padStart(8)} µs/hand  ${combos} combos`);
+  return ms;
+}
+
+function run(count) {
+  const rng = createRng('five-card-bench');
+  const hands = [];
+  while (hands.length < count) {
+    hands.push(...dealHands(shuffle(makeDeck(), rng), 4).hands);
+  }
+  hands.length = count;
+  console.log(`Five-card combo generation over ${count} 13-card hands`);
+  const brute = time('brute force', hands, h => bruteForceFiveCardCombos(h));
+  const indexed = time('indexed', hands, h => fiveCardCombos(h));
+  console.log(`Speed-up: ${(brute / indexed).toFixed(1)}x`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  run(Number(process.argv[2]) || 2000);
+}
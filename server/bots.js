@@ -0,0 +1,75 @@
+// Bot difficulty levels
+// Every level is a strategy over the same view of the table (see playerView in gameCore.js):
+//   { seat, hand, handCounts, played, lastPlay: { by, combo } | null, passed, rules, decks, mustInclude }
+// - beginner: mostly leads single cards, picks plays at random, sometimes passes when it could play,
+//   and spends a 2 as soon as one is legal
+// - standard: getAIPlay, the original greedy heuristic
+// - expert: plans the whole hand by card counting and Monte Carlo search (expertBot.js)
+// rating: the fixed skill rating a level plays at, for rating the humans at its table (ratings.js)
+
+import { getAIPlay, legalMoves, sortHand } from './engine.js';
+import { getExpertPlay, EXPERT_TIME_BUDGET_MS } from './expertBot.js';
+import { DEFAULT_RULES } from './rules.js';
+
+export const BOT_LEVELS = {
+  beginner: {
+    id: 'beginner',
+    name: 'Beginner',
+    description: 'Plays whatever catches its eye, sometimes passes for no reason and throws 2s away early.',
+    rating: 1200
+  },
+  standard: {
+    id: 'standard',
+    name: 'Standard',
+    description: 'Sheds its lowest cards and plays high when someone is close to going out.',
+    rating: 1450
+  },
+  expert: {
+    id: 'expert',
+    name: 'Expert',
+    description: 'Counts cards and plays out the rest of the match in its head before every move.',
+    rating: 1700
+  }
+};
+
+export const DEFAULT_BOT_LEVEL = 'standard';
+
+export function isBotLevel(id) {
+  return Object.prototype.hasOwnProperty.call(BOT_LEVELS, id);
+}
+
+// Short list for pickers
+export function listBotLevels() {
+  return Object.values(BOT_LEVELS);
+}
+
+// Cards for the bot to play, or null to pass
+// Options: timeBudgetMs / maxSamples bound the expert's search (a sample cap keeps seeded runs reproducible)
+export function getBotPlay(level, view, { timeBudgetMs = EXPERT_TIME_BUDGET_MS, maxSamples, rng = Math.random } = {}) {
+  if (level === 'beginner') return getBeginnerPlay(view, rng);
+  if (level === 'expert') return getExpertPlay(view, { timeBudgetMs, maxSamples, rng });
+  const counts = view.handCounts.map((n, i) => i === view.seat ? -1 : n);
+  const lastPlay = view.lastPlay || null;
+  return getAIPlay(view.hand, lastPlay, lastPlay ? lastPlay.combo : null, counts, view.rules || DEFAULT_RULES, view.mustInclude, rng);
+}
+
+export function getBeginnerPlay(view, rng = Math.random) {
+  const rules = view.rules || DEFAULT_RULES;
+  const hand = sortHand(view.hand, rules);
+  const lastCombo = view.lastPlay ? view.lastPlay.combo : null;
+  const moves = legalMoves(hand, lastCombo, { rules, mustInclude: lastCombo ? null : view.mustInclude });
+  if (moves.length === 0) return null;
+
+  if (!lastCombo) {
+    // Rarely looks past single cards
+    const singles = moves.filter(m => m.cards.length === 1);
+    if (singles.length > 0 && rng() < 0.7) return singles[0].cards;
+    return moves[Math.floor(rng() * moves.length)].cards;
+  }
+
+  // Never holds back a 2
+  const withTwo = moves.find(m => m.cards.some(c => c.r === '2'));
+  if (withTwo) return withTwo.cards;
+  if (rng() < 0.2) return null;
+  return moves[Math.floor(rng() * moves.length)].cards;
+}
@@ -1,76 +1,166 @@
-// Big Two game engine (baseline rules)
+// Big Two game engine
 // - Ranks high->low: 2 A K Q J 10 9 8 7 6 5 4 3
-// - Suits high->low: S H C D
+// - Suits, flush ranking, low straights, triples and four-of-a-kind come from a rule profile (see rules.js);
+//   every rule-dependent function takes an optional `rules` argument that defaults to the Hong Kong profile.
 // - Valid plays: single, pair, triple, five-card: straight < flush < fullhouse < fourkind < straightflush
-// - Straights: 2 ranks below 3; A can be high or low; A-2-3-4-5 is allowed as the lowest straight; 3-2-A-K-Q invalid.
+// - Straights: 2 ranks below 3; A can be high or low; A-2-3-4-5 is the lowest straight; 3-2-A-K-Q invalid.
+// - Bombs (optional): four of a kind or a straight flush may cut a single 2 or a pair of 2s.
+// - Tables seat 2-8 players with 13 cards each; 5+ players use two decks (second-deck ids end in '#2').
+//   Identical plays from the two decks tie, and a tie does not beat unless rules.duplicatesBeat is set.
+
+import { DEFAULT_RULES } from './rules.js';
 
 export const RANKS = ['3','4','5','6','7','8','9','10','J','Q','K','A','2'];
-export const SUITS = ['D','C','H','S']; // ascending
-const SUIT_VALUE = Object.fromEntries(SUITS.map((s, i) => [s, i]));
+export const SUITS = ['D','C','H','S']; // ascending (default profile)
 const RANK_VALUE = Object.fromEntries(RANKS.map((r, i) => [r, i]));
 
-export function makeDeck() {
+function suitValue(s, rules) { return rules.suitOrder.indexOf(s); }
+
+export const MIN_SEATS = 2;
+export const MAX_SEATS = 8;
+export const HAND_SIZE = 13;
+
+// Seats, decks and hand size for a table; 5 or more players need a second deck
+export function tableConfig(seats = 4) {
+  if (!Number.isInteger(seats) || seats < MIN_SEATS || seats > MAX_SEATS) {
+    throw new Error(`Tables seat ${MIN_SEATS} to ${MAX_SEATS} players`);
+  }
+  return { seats, decks: seats >= 5 ? 2 : 1, handSize: HAND_SIZE };
+}
+
+// Card id for a rank/suit in a given deck (0-based); the first deck keeps the plain id
+export function cardId(r, s, deck = 0) {
+  return deck === 0 ? r + s : `${r}${s}#${deck + 1}`;
+}
+
+// Card object for an id, e.g. '10H' or '3D#2'
+export function cardFromId(id) {
+  const base = id.split('#')[0];
+  return { id, r: base.slice(0, -1), s: base.slice(-1) };
+}
+
+export function makeDeck(decks = 1) {
   const deck = [];
-  for (const s of SUITS) {
-    for (const r of RANKS) deck.push({ id: r + s, r, s });
+  for (let d = 0; d < decks; d++) {
+    for (const s of SUITS) {
+      for (const r of RANKS) deck.push({ id: cardId(r, s, d), r, s });
+    }
   }
   return deck;
 }
 
-export function shuffle(arr) {
+// Seeded PRNG: the seed string is hashed with cyrb128 into the state of sfc32.
+// Returns a Math.random-style function; the same seed gives the same sequence everywhere
+// (client/src/fairness.ts carries an identical copy so players can re-run deals).
+export function createRng(seed) {
+  let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+  const str = String(seed);
+  for (let i = 0; i < str.length; i++) {
+    const k = str.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  let a = (h1 ^ h2 ^ h3 ^ h4) >>> 0, b = (h2 ^ h1) >>> 0, c = (h3 ^ h1) >>> 0, d = (h4 ^ h1) >>> 0;
+  return function rng() {
+    a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+    const t = (a + b) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    d = (d + 1) | 0;
+    const r = (t + d) | 0;
+    c = (c + r) | 0;
+    return (r >>> 0) / 4294967296;
+  };
+}
+
+// Fisher-Yates; pass an rng from createRng for a reproducible shuffle
+export function shuffle(arr, rng = Math.random) {
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [arr[i], arr[j]] = [arr[j], arr[i]];
   }
   return arr;
 }
 
+// Deals handSize cards to each seat round-robin; whatever is left stays undealt
+export function dealHands(deckShuffled, seats = 4, handSize = HAND_SIZE) {
+  const hands = Array.from({ length: seats }, () => []);
+  const dealt = seats * handSize;
+  for (let i = 0; i < dealt; i++) hands[i % seats].push(deckShuffled[i]);
+  return { hands: hands.map(h => sortHand(h)), undealt: deckShuffled.slice(dealt) };
+}
+
 export function dealToFour(deckShuffled) {
-  const hands = [[], [], [], []];
-  for (let i = 0; i < 52; i++) hands[i % 4].push(deckShuffled[i]);
-  return hands.map(sortHand);
+  return dealHands(deckShuffled, 4).hands;
 }
 
-export function sortHand(hand) {
-  return hand.slice().sort((a, b) => compareCard(a, b));
+export function sortHand(hand, rules = DEFAULT_RULES) {
+  return hand.slice().sort((a, b) => compareCard(a, b, rules));
 }
 
-export function compareCard(a, b) {
+export function compareCard(a, b, rules = DEFAULT_RULES) {
   const ra = RANK_VALUE[a.r];
   const rb = RANK_VALUE[b.r];
   if (ra !== rb) return ra - rb; // ascending (3 low); higher value means higher rank index
-  return SUIT_VALUE[a.s] - SUIT_VALUE[b.s];
+  return suitValue(a.s, rules) - suitValue(b.s, rules);
+}
+
+// The lowest card under a profile; whoever holds it opens the first match and must play it
+export function startingCardId(rules = DEFAULT_RULES) {
+  return '3' + rules.suitOrder[0];
+}
+
+// Lowest card actually dealt (with fewer than four players the lowest 3 may be undealt).
+// Between two identical cards the first deck's copy wins. Returns { seat, card }.
+export function findStartingCard(hands, rules = DEFAULT_RULES) {
+  let best = null;
+  hands.forEach((hand, seat) => {
+    for (const card of hand) {
+      if (!best) { best = { seat, card }; continue; }
+      const cmp = compareCard(card, best.card, rules);
+      if (cmp < 0 || (cmp === 0 && card.id.length < best.card.id.length)) best = { seat, card };
+    }
+  });
+  return best;
 }
 
 // Types
 // single, pair, triple, five: straight, flush, fullhouse, fourkind, straightflush
-export function classify(cards) {
+export function classify(cards, rules = DEFAULT_RULES) {
   const n = cards.length;
-  const sorted = sortHand(cards);
-  if (n === 1) return { type: 'single', key: keyCard(sorted[0]), info: { top: sorted[0] } };
-  if (n === 2 && sameRank(sorted)) return { type: 'pair', key: keyPair(sorted), info: { rank: sorted[0].r, topSuit: maxSuit(sorted) } };
-  if (n === 3 && sameRank(sorted)) return { type: 'triple', key: RANK_VALUE[sorted[0].r], info: { rank: sorted[0].r } };
-  if (n === 5) return classifyFive(sorted);
+  const sorted = sortHand(cards, rules);
+  if (n === 1) return { type: 'single', key: keyCard(sorted[0], rules), info: { top: sorted[0] } };
+  if (n === 2 && sameRank(sorted)) return { type: 'pair', key: keyPair(sorted, rules), info: { rank: sorted[0].r, topSuit: maxSuit(sorted, rules) } };
+  if (n === 3 && sameRank(sorted) && rules.triples) return { type: 'triple', key: RANK_VALUE[sorted[0].r], info: { rank: sorted[0].r } };
+  if (n === 5) return classifyFive(sorted, rules);
   return null;
 }
 
 function sameRank(cards) { return cards.every(c => c.r === cards[0].r); }
-function keyCard(c) { return RANK_VALUE[c.r] * 10 + SUIT_VALUE[c.s]; }
-function keyPair(cards) {
+function keyCard(c, rules) { return RANK_VALUE[c.r] * 10 + suitValue(c.s, rules); }
+function keyPair(cards, rules) {
   // Rank primary; tiebreaker by highest suit among the pair
-  return RANK_VALUE[cards[0].r] * 10 + Math.max(SUIT_VALUE[cards[0].s], SUIT_VALUE[cards[1].s]);
+  return RANK_VALUE[cards[0].r] * 10 + Math.max(suitValue(cards[0].s, rules), suitValue(cards[1].s, rules));
 }
-function maxSuit(cards) { return cards.reduce((m, c) => Math.max(m, SUIT_VALUE[c.s]), -1); }
+function maxSuit(cards, rules) { return cards.reduce((m, c) => Math.max(m, suitValue(c.s, rules)), -1); }
 
-function classifyFive(sorted) {
+function classifyFive(sorted, rules) {
   const isFlush = sorted.every(c => c.s === sorted[0].s);
-  const straightInfo = straightRank(sorted);
+  const straightInfo = straightRank(sorted, rules);
   if (isFlush && straightInfo.valid) return { type: 'straightflush', key: straightInfo.key, info: straightInfo };
   // count ranks
   const counts = countByRank(sorted);
   const ranks = Object.keys(counts).sort((a,b)=> RANK_VALUE[b]-RANK_VALUE[a]);
   const values = ranks.map(r=>counts[r]).sort((a,b)=>b-a);
   if (values[0] === 4) {
+    if (!rules.fourOfAKind) return null;
     const quadRank = parseIntRank(Object.keys(counts).find(r => counts[r] === 4));
     return { type: 'fourkind', key: quadRank, info: { quadRank } };
   }
@@ -79,10 +169,8 @@ function classifyFive(sorted) {
     return { type: 'fullhouse', key: tripleRank, info: { tripleRank } };
   }
   if (isFlush) {
-    // In baseline: higher suit beats lower; within suit, compare highest card
     const top = sorted[4];
-    const key = SUIT_VALUE[top.s] * 100 + RANK_VALUE[top.r];
-    return { type: 'flush', key, info: { suit: top.s, top } };
+    return { type: 'flush', key: flushKey(sorted, rules), info: { suit: top.s, top } };
   }
   if (straightInfo.valid) return { type: 'straight', key: straightInfo.key, info: straightInfo };
   return null;
@@ -90,6 +178,16 @@ function classifyFive(sorted) {
 
 function parseIntRank(r) { return RANK_VALUE[r]; }
 
+function flushKey(sorted, rules) {
+  const top = sorted[4];
+  // 'suit': higher suit beats lower; within suit, compare highest card
+  if (rules.flushOrder === 'suit') return suitValue(top.s, rules) * 100 + RANK_VALUE[top.r];
+  // 'rank': compare cards from the highest down, then suit
+  let key = 0;
+  for (let i = 4; i >= 0; i--) key = key * 13 + RANK_VALUE[sorted[i].r];
+  return key * 4 + suitValue(top.s, rules);
+}
+
 function countByRank(cards) {
   const m = {};
   for (const c of cards) m[c.r] = (m[c.r]||0)+1;
@@ -98,33 +196,42 @@ function countByRank(cards) {
 
 // Straights: ranks consecutive with special handling: 2 ranks below 3; A can be high or low
 // Allowed: A-2-3-4-5 (lowest), ..., A-K-Q-J-10 (highest). Not allowed: 3-2-A-K-Q, etc.
-function straightRank(sorted) {
+// The profile can switch off A-2-3-4-5 and 2-3-4-5-6.
+const STRAIGHTS = [
+  ['A','2','3','4','5'], // lowest
+  ['2','3','4','5','6'],
+  ['3','4','5','6','7'],
+  ['4','5','6','7','8'],
+  ['5','6','7','8','9'],
+  ['6','7','8','9','10'],
+  ['7','8','9','10','J'],
+  ['8','9','10','J','Q'],
+  ['9','10','J','Q','K'],
+  ['10','J','Q','K','A'], // highest
+];
+
+function straightAllowed(idx, rules) {
+  if (idx === 0) return !!rules.straightA2345;
+  if (idx === 1) return !!rules.straight23456;
+  return true;
+}
+
+function straightRank(sorted, rules) {
   // map ranks to order for straights: lowest order for A-2-3-4-5 is 0, etc.
-  // Build arrays of possible straight sequences and check membership.
+  // Check membership against the possible straight sequences.
   const ranks = sorted.map(c=>c.r);
   // set of unique ranks
   const uniq = Array.from(new Set(ranks));
   if (uniq.length !== 5) return { valid: false };
 
-  const sequences = [
-    ['A','2','3','4','5'], // lowest
-    ['2','3','4','5','6'],
-    ['3','4','5','6','7'],
-    ['4','5','6','7','8'],
-    ['5','6','7','8','9'],
-    ['6','7','8','9','10'],
-    ['7','8','9','10','J'],
-    ['8','9','10','J','Q'],
-    ['9','10','J','Q','K'],
-    ['10','J','Q','K','A'], // highest
-  ];
-  for (let idx=0; idx<sequences.length; idx++) {
-    const seq = sequences[idx];
+  for (let idx=0; idx<STRAIGHTS.length; idx++) {
+    if (!straightAllowed(idx, rules)) continue;
+    const seq = STRAIGHTS[idx];
     if (isSameSet(ranks, seq)) {
       // key: primary by sequence index, secondary by top card suit
       const topRank = seq[4];
-      const top = sorted.filter(c => c.r === topRank).sort((a,b)=>SUIT_VALUE[a.s]-SUIT_VALUE[b.s])[sorted.filter(c => c.r === topRank).length - 1];
-      return { valid: true, key: idx*10 + SUIT_VALUE[top.s], top };
+      const top = sorted.filter(c => c.r === topRank).sort((a,b)=>suitValue(a.s, rules)-suitValue(b.s, rules))[sorted.filter(c => c.r === topRank).length - 1];
+      return { valid: true, key: idx*10 + suitValue(top.s, rules), top };
     }
   }
   return { valid: false };
@@ -148,104 +255,93 @@ export function compareCombos(cA, cB) {
   return cA.key - cB.key; // ascending
 }
 
-export function canBeat(prev, next) {
+export function canBeat(prev, next, rules = DEFAULT_RULES) {
   if (!prev) return true;
-  if (prev.type === 'single' && next.type === 'single') return next.key > prev.key;
-  if (prev.type === 'pair' && next.type === 'pair') return next.key > prev.key;
-  if (prev.type === 'triple' && next.type === 'triple') return next.key > prev.key;
+  if (isBombCut(prev, next, rules)) return true;
+  // Equal keys only happen with two decks; rules.duplicatesBeat decides whether the second copy wins
+  const beatsKey = rules.duplicatesBeat ? next.key >= prev.key : next.key > prev.key;
+  if (prev.type === 'single' && next.type === 'single') return beatsKey;
+  if (prev.type === 'pair' && next.type === 'pair') return beatsKey;
+  if (prev.type === 'triple' && next.type === 'triple') return beatsKey;
   if (isFive(prev) && isFive(next)) {
     const ordCmp = compareCombos(prev, next);
-    return ordCmp < 0 || (ordCmp === 0 && next.key > prev.key);
+    return ordCmp < 0 || (ordCmp === 0 && beatsKey);
   }
   return false;
 }
 function isFive(c){ return c && ['straight','flush','fullhouse','fourkind','straightflush'].includes(c.type); }
 
-export function includes3D(cards){ return cards.some(c=>c.id==='3D'); }
+export function isBomb(combo, rules = DEFAULT_RULES) {
+  return !!rules.bombs && !!combo && (combo.type === 'fourkind' || combo.type === 'straightflush');
+}
 
-// ===== AI BOT LOGIC =====
+// True when `next` only beats `prev` because it is a bomb played on a single 2 or a pair of 2s
+export function isBombCut(prev, next, rules = DEFAULT_RULES) {
+  return !!prev && isBomb(next, rules) && isBombable(prev);
+}
 
-// AI plays a hand - returns array of card objects to play, or null to pass
-export function getAIPlay(hand, lastPlay, lastPlayType, allPlayerCounts) {
-  if (!hand || hand.length === 0) return null;
+function isBombable(combo) {
+  if (combo.type === 'single') return combo.info.top.r === '2';
+  if (combo.type === 'pair') return combo.info.rank === '2';
+  return false;
+}
 
-  // If starting new trick (lastPlay is null/undefined OR lastPlayType is null/undefined), AI prefers 5-card combos, then pairs, then singles
-  if (!lastPlay || !lastPlayType) {
-    // Try to find best 5-card combo
-    const fiveCardCombo = findBestFiveCardCombo(hand);
-    if (fiveCardCombo && fiveCardCombo.length === 5) {
-      return fiveCardCombo;
-    }
-    
-    // Try to find lowest pair
-    const lowestPair = findLowestPair(hand);
-    if (lowestPair && lowestPair.length === 2) {
-      return lowestPair;
-    }
-    
-    // Play lowest single card
-    return [hand[0]];
-  }
+export function includes3D(cards){ return cards.some(c=>c.id==='3D'); }
+export function includesCard(cards, id){ return cards.some(c=>c.id===id); }
 
-  // Try to beat the last play
-  const validPlays = findValidPlays(hand, lastPlayType);
-  if (validPlays.length === 0) return null; // Must pass
+// ===== MOVE GENERATION =====
 
-  // Defensive strategy: if opponent has few cards, play high
-  const minOpponentCards = Math.min(...allPlayerCounts.filter((_, idx) => idx !== -1));
+// Every legal play for `hand` against `lastPlay` (a classified combo, or null on a fresh trick).
+// Options:
+// - rules: rule profile (defaults to Hong Kong)
+// - mustInclude: card id every play has to contain (the starting card on the first lead of a game)
+// Returns [{ cards, combo }] with one entry per distinct combo (two decks' identical copies count once),
+// sorted weakest first: by card count, then five-card category, then key; bombs come last.
+export function legalMoves(hand, lastPlay = null, { rules = DEFAULT_RULES, mustInclude = null } = {}) {
+  if (!hand || hand.length === 0) return [];
+  const sorted = sortHand(hand, rules);
+  const candidates = [];
+  const sizes = lastPlay ? [playSize(lastPlay)] : [1, 2, 3, 5];
+  if (lastPlay && rules.bombs && !isFive(lastPlay)) sizes.push(5);
+  for (const size of sizes) {
+    if (size === 1) sorted.forEach(c => candidates.push([c]));
+    if (size === 2) candidates.push(...findAllPairs(sorted));
+    if (size === 3) candidates.push(...findAllTriples(sorted));
+    if (size === 5) candidates.push(...fiveCardCombos(sorted, rules));
+  }
 
-  if (minOpponentCards <= 3) {
-    return validPlays[validPlays.length - 1]; // Play highest
-  } else if (minOpponentCards <= 5 && Math.random() < 0.5) {
-    return validPlays[Math.floor(validPlays.length / 2)]; // Play medium
-  } else {
-    return validPlays[0]; // Play lowest valid
+  const seen = new Set();
+  const moves = [];
+  for (const cards of candidates) {
+    if (mustInclude && !includesCard(cards, mustInclude)) continue;
+    const combo = classify(cards, rules);
+    if (!combo) continue;
+    if (lastPlay && !canBeat(lastPlay, combo, rules)) continue;
+    const sig = comboSignature(cards);
+    if (seen.has(sig)) continue;
+    seen.add(sig);
+    moves.push({ cards, combo });
   }
+  return moves.sort((a, b) => compareStrength(a, b, lastPlay, rules));
 }
 
-function findValidPlays(hand, lastPlayType) {
-  const validPlays = [];
-  
-  if (lastPlayType.type === 'single') {
-    // Find all singles that beat the last play
-    for (const card of hand) {
-      const combo = classify([card]);
-      if (combo && canBeat(lastPlayType, combo)) {
-        validPlays.push([card]);
-      }
-    }
-  } else if (lastPlayType.type === 'pair') {
-    // Find all pairs that beat the last play
-    const pairs = findAllPairs(hand);
-    for (const pair of pairs) {
-      const combo = classify(pair);
-      if (combo && canBeat(lastPlayType, combo)) {
-        validPlays.push(pair);
-      }
-    }
-  } else if (lastPlayType.type === 'triple') {
-    // Find all triples that beat the last play
-    const triples = findAllTriples(hand);
-    for (const triple of triples) {
-      const combo = classify(triple);
-      if (combo && canBeat(lastPlayType, combo)) {
-        validPlays.push(triple);
-      }
-    }
-  } else if (lastPlayType.type === 'straight' || lastPlayType.type === 'flush' || 
-             lastPlayType.type === 'fullhouse' || lastPlayType.type === 'fourkind' || 
-             lastPlayType.type === 'straightflush') {
-    // Find all 5-card combos that beat the last play
-    const fiveCardCombos = findAllFiveCardCombos(hand);
-    for (const combo of fiveCardCombos) {
-      const classified = classify(combo);
-      if (classified && canBeat(lastPlayType, classified)) {
-        validPlays.push(combo);
-      }
-    }
-  }
+// Rank+suit list, so two copies of the same card from different decks look alike
+function comboSignature(cards) {
+  return cards.map(c => c.r + c.s).sort().join(',');
+}
+
+function playSize(combo) {
+  if (combo.type === 'single') return 1;
+  if (combo.type === 'pair') return 2;
+  if (combo.type === 'triple') return 3;
+  return 5;
+}
 
-  return validPlays;
+function compareStrength(a, b, lastPlay, rules) {
+  const bombA = isBombCut(lastPlay, a.combo, rules), bombB = isBombCut(lastPlay, b.combo, rules);
+  if (bombA !== bombB) return bombA ? 1 : -1;
+  if (a.cards.length !== b.cards.length) return a.cards.length - b.cards.length;
+  return compareCombos(a.combo, b.combo);
 }
 
 function findAllPairs(hand) {
@@ -274,25 +370,135 @@ function findAllTriples(hand) {
   return triples;
 }
 
-function findAllFiveCardCombos(hand) {
-  const combos = [];
-  // This is a simplified version - checks all possible 5-card combinations
-  for (let i = 0; i < hand.length - 4; i++) {
-    for (let j = i + 1; j < hand.length - 3; j++) {
-      for (let k = j + 1; k < hand.length - 2; k++) {
-        for (let l = k + 1; l < hand.length - 1; l++) {
-          for (let m = l + 1; m < hand.length; m++) {
-            const fiveCards = [hand[i], hand[j], hand[k], hand[l], hand[m]];
-            const combo = classify(fiveCards);
-            if (combo && isFive(combo)) {
-              combos.push(fiveCards);
-            }
-          }
+// Every five-card hand in `hand`, built from rank and suit indexes rather than by classifying
+// all C(n,5) subsets. Each combo lists its cards in hand order, and combos come out in the order
+// a nested-loop enumeration over hand positions would find them.
+export function fiveCardCombos(hand, rules = DEFAULT_RULES) {
+  const pos = new Map(hand.map((c, i) => [c.id, i]));
+  const byRank = groupCards(hand, c => c.r);
+  const bySuit = groupCards(hand, c => c.s);
+  const found = [];
+
+  // Straights and straight flushes: one card of each rank in every allowed run
+  STRAIGHTS.forEach((seq, idx) => {
+    if (!straightAllowed(idx, rules) || !seq.every(r => byRank.has(r))) return;
+    found.push(...cartesian(seq.map(r => byRank.get(r))));
+  });
+
+  // Flushes: any five cards of one suit that do not also form a straight
+  for (const suited of bySuit.values()) {
+    if (suited.length < 5) continue;
+    for (const pick of choose(suited, 5)) {
+      if (!straightRank(pick, rules).valid) found.push(pick);
+    }
+  }
+
+  // Full houses: three of one rank with two of another
+  for (const [tripleRank, tripleCards] of byRank) {
+    if (tripleCards.length < 3) continue;
+    const triples = choose(tripleCards, 3);
+    for (const [pairRank, pairCards] of byRank) {
+      if (pairRank === tripleRank || pairCards.length < 2) continue;
+      for (const pair of choose(pairCards, 2)) {
+        for (const triple of triples) found.push([...triple, ...pair]);
+      }
+    }
+  }
+
+  // Four of a kind with any kicker of another rank
+  if (rules.fourOfAKind) {
+    for (const [quadRank, quadCards] of byRank) {
+      if (quadCards.length < 4) continue;
+      for (const quad of choose(quadCards, 4)) {
+        for (const kicker of hand) {
+          if (kicker.r !== quadRank) found.push([...quad, kicker]);
         }
       }
     }
   }
-  return combos;
+
+  const byPosition = (a, b) => pos.get(a.id) - pos.get(b.id);
+  const ordered = found.map(cards => cards.sort(byPosition));
+  return ordered.sort((a, b) => {
+    for (let i = 0; i < 5; i++) {
+      const d = byPosition(a[i], b[i]);
+      if (d !== 0) return d;
+    }
+    return 0;
+  });
+}
+
+function groupCards(cards, keyOf) {
+  const groups = new Map();
+  for (const c of cards) {
+    const k = keyOf(c);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(c);
+  }
+  return groups;
+}
+
+// All k-card subsets, in input order
+function choose(cards, k, start = 0) {
+  if (k === 0) return [[]];
+  const out = [];
+  for (let i = start; i <= cards.length - k; i++) {
+    for (const rest of choose(cards, k - 1, i + 1)) out.push([cards[i], ...rest]);
+  }
+  return out;
+}
+
+// One item from each list
+function cartesian(lists) {
+  return lists.reduce((acc, list) => acc.flatMap(prefix => list.map(item => [...prefix, item])), [[]]);
+}
+
+// ===== AI BOT LOGIC =====
+
+// AI plays a hand - returns array of card objects to play, or null to pass
+// mustInclude: card id the lead has to contain (first trick of the game)
+// rng: random source for the occasional medium play (pass a seeded one for reproducible games)
+export function getAIPlay(hand, lastPlay, lastPlayType, allPlayerCounts, rules = DEFAULT_RULES, mustInclude = null, rng = Math.random) {
+  if (!hand || hand.length === 0) return null;
+
+  // If starting new trick (lastPlay is null/undefined OR lastPlayType is null/undefined), AI prefers 5-card combos, then pairs, then singles
+  if (!lastPlay || !lastPlayType) {
+    if (mustInclude) {
+      const moves = legalMoves(hand, null, { rules, mustInclude });
+      const lead = moves.find(m => m.cards.length === 5) || moves.find(m => m.cards.length === 2) || moves[0];
+      return lead ? lead.cards : null;
+    }
+
+    // Try to find best 5-card combo
+    const fiveCardCombo = findBestFiveCardCombo(hand, rules);
+    if (fiveCardCombo && fiveCardCombo.length === 5) {
+      return fiveCardCombo;
+    }
+    
+    // Try to find lowest pair
+    const lowestPair = findLowestPair(hand);
+    if (lowestPair && lowestPair.length === 2) {
+      return lowestPair;
+    }
+    
+    // Play lowest single card
+    return [hand[0]];
+  }
+
+  // Try to beat the last play (weakest first, bombs last)
+  const validPlays = legalMoves(hand, lastPlayType, { rules }).map(m => m.cards);
+  if (validPlays.length === 0) return null; // Must pass
+
+  // Defensive strategy: if opponent has few cards, play high
+  const minOpponentCards = Math.min(...allPlayerCounts.filter(n => n >= 0)); // -1 marks the bot itself
+
+  if (minOpponentCards <= 3) {
+    return validPlays[validPlays.length - 1]; // Play highest
+  } else if (minOpponentCards <= 5 && rng() < 0.5) {
+    return validPlays[Math.floor(validPlays.length / 2)]; // Play medium
+  } else {
+    return validPlays[0]; // Play lowest valid
+  }
 }
 
 function findLowestPair(hand) {
@@ -300,7 +506,7 @@ function findLowestPair(hand) {
   return pairs.length > 0 ? pairs[0] : null;
 }
 
-function findBestFiveCardCombo(hand) {
-  const combos = findAllFiveCardCombos(hand);
+function findBestFiveCardCombo(hand, rules) {
+  const combos = fiveCardCombos(hand, rules);
   return combos.length > 0 ? combos[0] : null;
 }
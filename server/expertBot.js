@@ -0,0 +1,207 @@
+// Expert bot: card counting + determinized Monte Carlo search
+// - Unseen cards are every card not in the bot's hand and not yet played this match (undealt cards stay unseen too).
+// - Each determinization deals the unseen cards to the opponents at their real hand sizes. A player who passed
+//   in the current trick is dealt a hand with no single/pair that could have beaten the play (when possible).
+// - Candidates are the weakest/strongest plays of each size plus the play the hand planner (planner.js) suggests.
+// - Every candidate move is rolled out to the end of the match with a fast greedy policy on the same
+//   determinization; the move with the best average outcome is played.
+// - Planning and search share the time budget: the planner turns greedy at the deadline and search stops there,
+//   overrunning it by one rollout at most. With no complete round of search the bot plays the planner's
+//   suggestion, so a bot turn never stalls a room.
+
+import { classify, canBeat, legalMoves, makeDeck, sortHand, shuffle } from './engine.js';
+import { planLead, planFollow } from './planner.js';
+import { DEFAULT_RULES } from './rules.js';
+
+export const EXPERT_TIME_BUDGET_MS = 200;
+const MAX_SAMPLES = 400;
+const MAX_PLIES = 400;
+const INFERENCE_TRIES = 12;
+
+// view: what the bot is allowed to know
+//   { seat, hand, handCounts: number[], played: Iterable<id>, lastPlay: { by, combo } | null,
+//     passed: boolean[], rules, decks, mustInclude }
+// Returns the cards to play, or null to pass.
+export function getExpertPlay(view, { timeBudgetMs = EXPERT_TIME_BUDGET_MS, maxSamples = MAX_SAMPLES, rng = Math.random } = {}) {
+  const deadline = Date.now() + timeBudgetMs;
+  const rules = view.rules || DEFAULT_RULES;
+  const hand = sortHand(view.hand, rules);
+  if (hand.length === 0) return null;
+
+  const lastCombo = view.lastPlay ? view.lastPlay.combo : null;
+  const moves = legalMoves(hand, lastCombo, { rules, mustInclude: lastCombo ? null : view.mustInclude });
+  if (moves.length === 0) return null;
+
+  // Going out ends the match; nothing beats that
+  const finishing = moves.find(m => m.cards.length === hand.length);
+  if (finishing) return finishing.cards;
+
+  const candidates = pickCandidates(moves, !!lastCombo);
+  // Also search the play that keeps the best partition of the hand intact
+  const unseen = unseenCards(view);
+  const planned = lastCombo
+    ? planFollow(hand, lastCombo, { rules, goal: 'strongest', unseen, deadline })
+    : planLead(hand, { rules, goal: 'strongest', unseen, mustInclude: view.mustInclude, deadline });
+  const sameCards = (a, b) => a && b && a.length === b.length && a.every(c => b.some(x => x.id === c.id));
+  if (planned && !candidates.some(c => sameCards(c, planned))) candidates.push(planned);
+  if (candidates.length === 1) return candidates[0];
+
+  // A round counts once every candidate has been rolled out on it; the one the deadline cuts short is dropped
+  const totals = new Array(candidates.length).fill(0);
+  let samples = 0;
+  while (samples < maxSamples && Date.now() < deadline) {
+    const hands = sampleHands(view, rng);
+    const round = [];
+    for (const cards of candidates) {
+      if (Date.now() >= deadline) break;
+      round.push(rollout(view, hands, cards, rules, rng));
+    }
+    if (round.length < candidates.length) break;
+    round.forEach((score, i) => { totals[i] += score; });
+    samples++;
+  }
+  if (samples === 0) return planned || candidates[0];
+
+  let best = 0;
+  for (let i = 1; i < candidates.length; i++) {
+    if (totals[i] > totals[best]) best = i;
+  }
+  return candidates[best];
+}
+
+// A short list of moves worth searching: per play size, the weakest few and the strongest,
+// plus passing when following
+function pickCandidates(moves, following) {
+  const keep = following ? 4 : 3;
+  const bySize = new Map();
+  for (const m of moves) {
+    if (!bySize.has(m.cards.length)) bySize.set(m.cards.length, []);
+    bySize.get(m.cards.length).push(m.cards);
+  }
+  const picked = [];
+  for (const list of bySize.values()) {
+    picked.push(...list.slice(0, keep));
+    if (list.length > keep) picked.push(list[list.length - 1]);
+  }
+  if (following) picked.push(null);
+  return picked;
+}
+
+// One determinization: opponents' hands drawn from the unseen cards, sized to their real counts
+export function sampleHands(view, rng = Math.random) {
+  const rules = view.rules || DEFAULT_RULES;
+  const unseen = unseenCards(view);
+  const lastCombo = view.lastPlay ? view.lastPlay.combo : null;
+  const passers = lastCombo && (lastCombo.type === 'single' || lastCombo.type === 'pair')
+    ? view.handCounts.map((_, i) => i).filter(i => i !== view.seat && view.passed[i])
+    : [];
+
+  // Singles: passers are dealt first, from the cards that do not beat the play.
+  // Pairs: redeal a few times until no passer holds a beating pair.
+  const fits = card => lastCombo.type !== 'single' || !canBeat(lastCombo, classify([card], rules), rules);
+  let hands = null;
+  for (let attempt = 0; attempt < INFERENCE_TRIES; attempt++) {
+    hands = deal(view, shuffle(unseen.slice(), rng), passers, fits, rules);
+    if (lastCombo?.type !== 'pair' || passers.every(i => legalMoves(hands[i], lastCombo, { rules }).length === 0)) break;
+  }
+  return hands;
+}
+
+// Cards not in the bot's hand and not yet played this match
+export function unseenCards(view) {
+  const known = new Set([...view.hand.map(c => c.id), ...view.played]);
+  return makeDeck(view.decks || 1).filter(c => !known.has(c.id));
+}
+
+function deal(view, pool, passers, fits, rules) {
+  const hands = view.handCounts.map(() => []);
+  const taken = new Set();
+  const fill = (i, ok) => {
+    for (const c of pool) {
+      if (hands[i].length >= view.handCounts[i]) return;
+      if (!taken.has(c.id) && ok(c)) {
+        hands[i].push(c);
+        taken.add(c.id);
+      }
+    }
+  };
+  passers.forEach(i => fill(i, fits));
+  view.handCounts.forEach((_, i) => {
+    if (i !== view.seat) fill(i, () => true);
+  });
+  hands[view.seat] = view.hand.slice();
+  return hands.map((h, i) => i === view.seat ? h : sortHand(h, rules));
+}
+
+// Plays `first` for the bot, then plays out the match greedily. Scores +1 for going out,
+// otherwise minus the share of the bot's hand still held.
+function rollout(view, dealt, first, rules, rng) {
+  const me = view.seat;
+  const st = {
+    hands: dealt.map(h => h.slice()),
+    last: view.lastPlay ? { by: view.lastPlay.by, combo: view.lastPlay.combo } : null,
+    passed: view.passed.slice(),
+    turn: me,
+    winner: null
+  };
+  apply(st, me, first, rules);
+  for (let ply = 0; st.winner === null && ply < MAX_PLIES; ply++) {
+    apply(st, st.turn, policy(st, st.turn, rules, rng), rules);
+  }
+  if (st.winner === me) return 1;
+  return -st.hands[me].length / 13;
+}
+
+// Same turn order as the room: passed players sit out until the trick ends
+function apply(st, seat, cards, rules) {
+  if (!cards) {
+    st.passed[seat] = true;
+  } else {
+    const ids = new Set(cards.map(c => c.id));
+    st.hands[seat] = st.hands[seat].filter(c => !ids.has(c.id));
+    st.last = { by: seat, combo: classify(cards, rules) };
+    st.passed[seat] = false;
+    if (st.hands[seat].length === 0) {
+      st.winner = seat;
+      return;
+    }
+  }
+  if (st.hands.every((_, i) => i === st.last.by || st.passed[i])) {
+    st.passed.fill(false);
+    st.turn = st.last.by;
+    st.last = null;
+    return;
+  }
+  st.turn = nextSeat(st, seat);
+}
+
+function nextSeat(st, from) {
+  const n = st.hands.length;
+  for (let k = 1; k <= n; k++) {
+    const i = (from + k) % n;
+    if (!st.last || i === st.last.by || !st.passed[i]) return i;
+  }
+  return from;
+}
+
+// Greedy playout policy: shed low combos, block a player who is about to go out, save 2s early on
+function policy(st, seat, rules, rng) {
+  const hand = st.hands[seat];
+  const threat = st.hands.some((h, i) => i !== seat && h.length <= 2);
+  if (!st.last) {
+    const moves = legalMoves(hand, null, { rules });
+    if (rng() < 0.1) return moves[Math.floor(rng() * moves.length)].cards;
+    const pick = size => moves.find(m => m.cards.length === size);
+    if (threat) {
+      const multi = pick(5) || pick(3) || pick(2);
+      return multi ? multi.cards : moves.filter(m => m.cards.length === 1).pop().cards;
+    }
+    return (pick(5) || pick(2) || pick(3) || moves[0]).cards;
+  }
+  const moves = legalMoves(hand, st.last.combo, { rules });
+  if (moves.length === 0) return null;
+  if (threat) return moves[moves.length - 1].cards;
+  const weakest = moves[0].cards;
+  if (weakest.some(c => c.r === '2') && hand.length > 4 && rng() < 0.5) return null;
+  return weakest;
+}
@@ -0,0 +1,35 @@
+// Provably fair deals (commit-reveal)
+// - Each match is shuffled with createRng(seed), where seed is 128 random bits in hex.
+// - At gameStarted the server publishes commitment = sha256(seed); at matchEnded it reveals the seed.
+// - Anyone can then check sha256(seed) === commitment and re-run the deal to compare hands.
+import { createHash, randomBytes } from 'crypto';
+import { makeDeck, shuffle, createRng, dealHands, tableConfig } from './engine.js';
+
+export function createDealSeed() {
+  return randomBytes(16).toString('hex');
+}
+
+export function commitToSeed(seed) {
+  return createHash('sha256').update(String(seed)).digest('hex');
+}
+
+// Hands (and the undealt remainder) exactly as startNewMatch deals them for this seed and table size
+export function dealFromSeed(seed, seats = 4) {
+  const { decks, handSize } = tableConfig(seats);
+  return dealHands(shuffle(makeDeck(decks), createRng(seed)), seats, handSize);
+}
+
+// hands: array of hands (card objects or ids) indexed by seat; missing seats are skipped
+// Returns { valid: true } or { valid: false, reason }
+export function verifyDeal({ seed, commitment, hands, seats = 4 }) {
+  if (typeof seed !== 'string' || !seed) return { valid: false, reason: 'Missing seed' };
+  if (commitToSeed(seed) !== commitment) return { valid: false, reason: 'Seed does not match commitment' };
+  const dealt = dealFromSeed(seed, seats).hands;
+  for (let i = 0; i < (hands || []).length; i++) {
+    if (!hands[i]) continue;
+    const expected = dealt[i].map(c => c.id).sort().join(',');
+    const actual = hands[i].map(c => typeof c === 'string' ? c : c.id).sort().join(',');
+    if (expected !== actual) return { valid: false, reason: `Hand for seat ${i + 1} does not match the seed` };
+  }
+  return { valid: true };
+}
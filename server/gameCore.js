@@ -0,0 +1,364 @@
+// Pure Big Two game core: reduce(state, action) -> { state, events }
+// - No sockets, timers or randomness: the deal seed arrives with the 'startMatch' action.
+// - The state passed in is never modified; changed parts are copied into the returned state.
+// - Illegal actions throw an Error whose message can be shown to the player.
+// roomManager.js turns events into socket emits and timers; simulate.js drives the same core headlessly.
+//
+// Actions:
+//   { type: 'startMatch', seed }        deal a match; the first match is led by the holder of the lowest card
+//   { type: 'play', seat, cardIds }
+//   { type: 'pass', seat }
+//   { type: 'autoPass', exempt }        pass everyone but `exempt` (the auto-pass countdown ran out)
+// Events:
+//   matchStarted { matchNumber, leader, startCard, dealCommitment }
+//   played       { seat, cards, combo, lead, bomb, bombed, highest }  lead: opened the trick; bombed: { by, type } of the cut play;
+//                                                                highest: see highestPlayInfo
+//   passed       { seat, auto }
+//   oneCardLeft  { seat }                                        after every play, for each seat down to one card
+//   trickEnded   { leader }
+//   turn         { seat }
+//   matchEnded   { winner, pointsAdded, scores, matchWins, handsLeft, ledger, matchNumber, deal: { seed, commitment } }
+//                                                                ledger: per seat, see settleMatch in scoring.js
+//   gameOver     { scores, busted, champion, matchNumber, ledger }  ledger: final standings, see finalLedger
+
+import { classify, canBeat, isBombCut, includesCard, findStartingCard, sortHand, legalMoves, tableConfig, cardId, RANKS } from './engine.js';
+import { dealFromSeed, commitToSeed } from './fairness.js';
+import { settleMatch, gameResult, finalLedger, startingScores, DEFAULT_SCORING } from './scoring.js';
+
+// A game before its first deal (scoring: see scoring.js)
+export function createGame({ seats = 4, rules, scoring = DEFAULT_SCORING }) {
+  const { decks } = tableConfig(seats);
+  return {
+    seats,
+    decks, // 2 for 5-8 players
+    rules,
+    scoring, // penalties and when the game ends
+    hands: Array.from({ length: seats }, () => []),
+    passed: new Array(seats).fill(false),
+    lastPlay: null, // { by, combo, cards }
+    turn: null, // seat whose turn it is; null between matches
+    leader: null, // seat that led the current trick
+    firstTrick: true,
+    enforce3D: true, // only for the first match: lead must include startCard
+    startCard: null, // id of the lowest card dealt in the first match (3♦ with four players and default rules)
+    played: [], // ids of every card played in the current match
+    undealt: [], // cards left in the deck with 2-3 players (or 5-7 with two decks); never shown to players
+    history: [], // { by, type, count, cards: [{ id, r, s }], bomb? } across the whole game
+    scores: startingScores(scoring, seats),
+    matchWins: new Array(seats).fill(0),
+    matchNumber: 0,
+    lastWinner: null,
+    deal: null, // { seed, commitment, hands } for the current match; seed stays secret until matchEnded
+    dealHistory: [], // revealed { matchNumber, seed, commitment } for finished matches
+    finished: false // true when the whole game is over (a score went over 100)
+  };
+}
+
+export function reduce(state, action) {
+  switch (action.type) {
+    case 'startMatch': return startMatch(state, action.seed);
+    case 'play': return play(state, action.seat, action.cardIds);
+    case 'pass': return pass(state, action.seat);
+    case 'autoPass': return autoPass(state, action.exempt);
+    default: throw new Error(`Unknown action: ${action.type}`);
+  }
+}
+
+// Card the next lead must contain (first trick of the game only), else null
+export function requiredCard(state) {
+  return state.firstTrick && state.lastPlay === null && state.enforce3D ? state.startCard : null;
+}
+
+// Legal plays for a seat against the current trick, weakest first
+export function movesFor(state, seat) {
+  return legalMoves(state.hands[seat], state.lastPlay?.combo || null, {
+    rules: state.rules,
+    mustInclude: requiredCard(state)
+  });
+}
+
+// The move made for the player on turn when their clock runs out: a pass, or on a fresh trick
+// (where passing is not allowed) their weakest legal play
+export function timeoutAction(state) {
+  const seat = state.turn;
+  if (state.lastPlay) return { type: 'pass', seat };
+  const [weakest] = movesFor(state, seat);
+  return { type: 'play', seat, cardIds: weakest.cards.map(c => c.id) };
+}
+
+// Everything a bot may know at a seat: its own hand, hand sizes, cards played this match and the trick so far
+export function playerView(state, seat) {
+  return {
+    seat,
+    hand: state.hands[seat],
+    handCounts: state.hands.map(h => h.length),
+    played: state.played,
+    lastPlay: state.lastPlay ? { by: state.lastPlay.by, combo: state.lastPlay.combo } : null,
+    passed: state.passed.slice(),
+    rules: state.rules,
+    decks: state.decks,
+    mustInclude: requiredCard(state)
+  };
+}
+
+export function cardLabel(id) {
+  const plain = id.split('#')[0]; // both decks' copies read the same
+  return plain.slice(0, -1) + ({ S: '♠', H: '♥', C: '♣', D: '♦' })[plain.slice(-1)];
+}
+
+function startMatch(state, seed) {
+  if (state.finished) throw new Error('Game is over');
+  if (!seed) throw new Error('A deal seed is required');
+  const first = state.matchNumber === 0;
+  const { hands, undealt } = dealFromSeed(seed, state.seats);
+  const start = first ? findStartingCard(hands, state.rules) : null;
+  const leader = first ? start.seat : state.lastWinner;
+  const next = {
+    ...state,
+    hands: hands.map(h => sortHand(h, state.rules)),
+    passed: new Array(state.seats).fill(false),
+    undealt,
+    deal: { seed, commitment: commitToSeed(seed), hands: hands.map(h => h.map(c => c.id)) },
+    startCard: first ? start.card.id : state.startCard,
+    enforce3D: first,
+    turn: leader,
+    leader,
+    firstTrick: true,
+    lastPlay: null,
+    played: [],
+    matchNumber: state.matchNumber + 1
+  };
+  return {
+    state: next,
+    events: [
+      { type: 'matchStarted', matchNumber: next.matchNumber, leader, startCard: first ? next.startCard : null, dealCommitment: next.deal.commitment },
+      { type: 'turn', seat: leader }
+    ]
+  };
+}
+
+function play(state, seat, cardIds) {
+  checkTurn(state, seat);
+  if (!Array.isArray(cardIds) || cardIds.length === 0) throw new Error('Select cards to play');
+  const hand = state.hands[seat];
+  const cards = cardIds.map(id => hand.find(c => c.id === id)).filter(Boolean);
+  if (cards.length !== cardIds.length || new Set(cardIds).size !== cardIds.length) throw new Error('You do not hold these cards');
+
+  const combo = classify(cards, state.rules);
+  if (!combo) throw new Error('Invalid combination');
+
+  const mustInclude = requiredCard(state);
+  if (mustInclude && !includesCard(cards, mustInclude)) throw new Error(`First play must include ${cardLabel(mustInclude)}`);
+
+  if (state.lastPlay && !canBeat(state.lastPlay.combo, combo, state.rules)) {
+    if (cards.length !== state.lastPlay.cards.length) throw new Error('Must match number of cards');
+    throw new Error('Does not beat previous');
+  }
+  const bomb = !!state.lastPlay && isBombCut(state.lastPlay.combo, combo, state.rules);
+
+  // Checked before the cards count as played
+  const highest = highestPlayInfo(state, cards, combo);
+
+  const ids = new Set(cardIds);
+  const hands = state.hands.map((h, i) => i === seat ? h.filter(c => !ids.has(c.id)) : h);
+  let next = {
+    ...state,
+    hands,
+    passed: state.passed.map((p, i) => i === seat ? false : p),
+    played: [...state.played, ...cardIds],
+    lastPlay: { by: seat, combo, cards },
+    history: [...state.history, { by: seat, type: combo.type, count: cards.length, cards: cards.map(c => ({ id: c.id, r: c.r, s: c.s })), ...(bomb ? { bomb: true } : {}) }],
+    firstTrick: false
+  };
+  const events = [{
+    type: 'played',
+    seat,
+    cards,
+    combo,
+    lead: !state.lastPlay,
+    bomb,
+    bombed: bomb ? { by: state.lastPlay.by, type: state.lastPlay.combo.type } : null,
+    highest
+  }];
+
+  if (hands[seat].length === 0) return finishMatch(next, seat, events);
+
+  next = { ...next, turn: nextAlive(next, seat) };
+  hands.forEach((h, i) => {
+    if (h.length === 1) events.push({ type: 'oneCardLeft', seat: i });
+  });
+
+  // If all others passed already (edge: can happen if only one competitor), end the trick at once
+  if (allOthersPassed(next)) return endTrick(next, events);
+  events.push({ type: 'turn', seat: next.turn });
+  return { state: next, events };
+}
+
+function pass(state, seat) {
+  checkTurn(state, seat);
+  if (!state.lastPlay) throw new Error('Cannot pass on a fresh trick');
+  const next = { ...state, passed: state.passed.map((p, i) => i === seat ? true : p) };
+  const events = [{ type: 'passed', seat, auto: false }];
+  if (allOthersPassed(next)) return endTrick(next, events);
+  const turn = nextAlive(next, seat);
+  events.push({ type: 'turn', seat: turn });
+  return { state: { ...next, turn }, events };
+}
+
+// Everyone except `exempt` (who played an unbeatable card) passes, so the trick can end
+function autoPass(state, exempt) {
+  if (state.finished || !state.lastPlay) return { state, events: [] };
+  const events = [];
+  const passed = state.passed.map((p, i) => {
+    if (i === exempt || p || state.hands[i].length === 0) return p;
+    events.push({ type: 'passed', seat: i, auto: true });
+    return true;
+  });
+  const next = { ...state, passed };
+  if (allOthersPassed(next)) return endTrick(next, events);
+  if (!passed[next.turn]) return { state: next, events };
+  const turn = nextAlive(next, next.turn);
+  events.push({ type: 'turn', seat: turn });
+  return { state: { ...next, turn }, events };
+}
+
+function checkTurn(state, seat) {
+  if (state.finished || state.matchNumber === 0) throw new Error('Not in game');
+  if (seat !== state.turn) throw new Error('Not your turn');
+}
+
+// Last player to play leads the next trick
+function endTrick(state, events) {
+  const leader = state.lastPlay.by;
+  const next = {
+    ...state,
+    passed: new Array(state.seats).fill(false),
+    leader,
+    turn: leader,
+    lastPlay: null
+  };
+  events.push({ type: 'trickEnded', leader }, { type: 'turn', seat: leader });
+  return { state: next, events };
+}
+
+function finishMatch(state, winner, events) {
+  const handsLeft = state.hands.map(h => h.length);
+  const seats = state.hands.map((h, i) => ({
+    cardsLeft: h.length,
+    holdsTwo: h.some(c => c.r === '2'),
+    neverPlayed: h.length > 0 && h.length === state.deal.hands[i].length
+  }));
+  const { pointsAdded, scores, ledger } = settleMatch(state.scores, seats, winner, state.scoring);
+  const matchWins = state.matchWins.map((w, i) => i === winner ? w + 1 : w);
+  // Reveal this match's seed so players can verify the deal against the commitment
+  const deal = { seed: state.deal.seed, commitment: state.deal.commitment };
+  let next = {
+    ...state,
+    scores,
+    matchWins,
+    lastWinner: winner,
+    turn: null, // no one plays until the next deal
+    dealHistory: [...state.dealHistory, { matchNumber: state.matchNumber, ...deal }]
+  };
+  events.push({ type: 'matchEnded', winner, pointsAdded, scores, matchWins, handsLeft, ledger, matchNumber: state.matchNumber, deal });
+
+  const result = gameResult(scores, state.scoring, matchWins);
+  if (result) {
+    next = { ...next, finished: true };
+    events.push({ type: 'gameOver', scores, busted: result.busted, champion: result.champion, matchNumber: state.matchNumber, ledger: finalLedger(scores, state.scoring, matchWins) });
+  }
+  return { state: next, events };
+}
+
+function allOthersPassed(state) {
+  if (!state.lastPlay) return false;
+  const lastBy = state.lastPlay.by;
+  return state.passed.every((p, idx) => idx === lastBy || p === true);
+}
+
+function nextAlive(state, fromIdx) {
+  const n = state.seats;
+  for (let k = 1; k <= n; k++) {
+    const i = (fromIdx + k) % n;
+    // if no one has played yet in trick, everyone is alive; otherwise alive means not passed or is lastBy
+    if (!state.lastPlay) return i;
+    if (i === state.lastPlay.by) return i; // next to leader allowed
+    if (!state.passed[i]) return i;
+  }
+  return fromIdx; // shouldn't happen
+}
+
+// Whether a play is the highest unplayed single (J and up), pair or triple; null otherwise
+function highestPlayInfo(state, cards, combo) {
+  const playedCards = new Set(state.played);
+  const rankOrder = RANKS.slice().reverse(); // Descending by value
+  const suitOrderDesc = state.rules.suitOrder.slice().reverse(); // Descending by value
+  // Unplayed copies of a rank/suit across all decks (undealt cards count as unplayed)
+  const copiesLeft = (r, s) => {
+    let n = 0;
+    for (let d = 0; d < state.decks; d++) if (!playedCards.has(cardId(r, s, d))) n++;
+    return n;
+  };
+
+  // With bombs on, a single 2 or a pair of 2s can still be cut, so it is never safe to announce
+  if (state.rules.bombs && (combo.type === 'single' || combo.type === 'pair') && cards[0].r === '2') {
+    return null;
+  }
+
+  if (combo.type === 'single') {
+    const card = cards[0];
+    // Check if this is the highest unplayed card (only J and above are announced)
+    for (const r of rankOrder.slice(0, 5)) {
+      for (const s of suitOrderDesc) {
+        const left = copiesLeft(r, s);
+        if (left === 0) continue;
+        // An unplayed twin of this card can still beat it when duplicatesBeat is on
+        if (r === card.r && s === card.s && !(left > 1 && state.rules.duplicatesBeat)) {
+          return { type: 'single', card: card.id, rank: card.r, suit: card.s };
+        }
+        return null; // There's a higher card still unplayed
+      }
+    }
+  }
+
+  if (combo.type === 'pair') {
+    const rank = cards[0].r;
+    const suits = cards.map(c => c.s).sort((a, b) => suitOrderDesc.indexOf(b) - suitOrderDesc.indexOf(a));
+    for (const r of rankOrder) {
+      // All possible pairs for this rank, from highest to lowest
+      // (with two decks a pair can be two copies of the same card)
+      const possiblePairs = [];
+      for (let i = 0; i < suitOrderDesc.length; i++) {
+        for (let j = state.decks > 1 ? i : i + 1; j < suitOrderDesc.length; j++) {
+          possiblePairs.push([suitOrderDesc[i], suitOrderDesc[j]]);
+        }
+      }
+      for (const [s1, s2] of possiblePairs) {
+        const available = s1 === s2
+          ? copiesLeft(r, s1) >= 2
+          : copiesLeft(r, s1) > 0 && copiesLeft(r, s2) > 0;
+        if (available) {
+          if (r === rank && suits[0] === s2 && suits[1] === s1) {
+            return { type: 'pair', rank: r, suits: [s1, s2] };
+          }
+          return null; // There's a higher pair still unplayed
+        }
+      }
+    }
+  }
+
+  if (combo.type === 'triple') {
+    const rank = cards[0].r;
+    for (const r of rankOrder) {
+      let availableCount = 0;
+      for (const s of suitOrderDesc) availableCount += copiesLeft(r, s);
+      if (availableCount >= 3) {
+        if (r === rank) return { type: 'triple', rank: r };
+        return null; // There's a higher triple still possible
+      }
+    }
+  }
+
+  // Five-card hands are never announced
+  return null;
+}
@@ -0,0 +1,134 @@
+// Game records: every deal, play and pass of a game plus the scores, as plain JSON
+// Built from game core events as the game is played, sent to players at gameOver, and checked on import
+// by replaying it through the game core. Bump RECORD_VERSION whenever the layout changes.
+//
+// {
+//   format: 'big2-game-record', version: 2, startedAt, players: [names], seats,
+//   rules,                       the resolved rules object (only id, bombs and duplicatesBeat are trusted on import)
+//   scoring,                     penalties and game end (see scoring.js); version 1 records were scored by the defaults
+//   matches: [{
+//     number, seed, commitment,  seed is filled in when the match ends (it is secret until then)
+//     hands: [[card ids]],       in deal order, per seat
+//     leader,
+//     moves: [{ seat, play: [card ids], type, lead? } | { seat, pass: true, auto? }],
+//     winner, pointsAdded, scores
+//   }],
+//   result: { scores, busted, champion } | null
+// }
+
+import { isDeepStrictEqual } from 'util';
+import { tableConfig } from './engine.js';
+import { createGame, reduce } from './gameCore.js';
+import { getRuleProfile, resolveRules } from './rules.js';
+import { DEFAULT_SCORING, resolveScoring } from './scoring.js';
+import { verifyDeal } from './fairness.js';
+
+export const RECORD_FORMAT = 'big2-game-record';
+export const RECORD_VERSION = 2;
+
+export function createRecord({ players, seats, rules, scoring = DEFAULT_SCORING, startedAt = new Date().toISOString() }) {
+  return { format: RECORD_FORMAT, version: RECORD_VERSION, startedAt, players, seats, rules, scoring, matches: [], result: null };
+}
+
+// Adds the events of one reduce() step; `state` is the state that step returned. Changes `record` in place.
+export function recordEvents(record, state, events) {
+  for (const event of events) {
+    const match = record.matches[record.matches.length - 1];
+    switch (event.type) {
+      case 'matchStarted':
+        record.matches.push({
+          number: event.matchNumber,
+          seed: null,
+          commitment: event.dealCommitment,
+          hands: state.deal.hands,
+          leader: event.leader,
+          moves: [],
+          winner: null,
+          pointsAdded: null,
+          scores: null
+        });
+        break;
+      case 'played':
+        match.moves.push({ seat: event.seat, play: event.cards.map(c => c.id), type: event.combo.type, ...(event.lead ? { lead: true } : {}) });
+        break;
+      case 'passed':
+        match.moves.push({ seat: event.seat, pass: true, ...(event.auto ? { auto: true } : {}) });
+        break;
+      case 'matchEnded':
+        Object.assign(match, { seed: event.deal.seed, winner: event.winner, pointsAdded: event.pointsAdded, scores: event.scores });
+        break;
+      case 'gameOver':
+        record.result = { scores: event.scores, busted: event.busted, champion: event.champion };
+        break;
+    }
+  }
+  return record;
+}
+
+// Replays a record through the game core and returns the record as the core rebuilds it.
+// Throws an Error naming the first match and move that is illegal or differs from the replay.
+export function validateRecord(record) {
+  if (!record || typeof record !== 'object' || record.format !== RECORD_FORMAT) throw new Error('Not a Big Two game record');
+  if (record.version !== RECORD_VERSION && record.version !== 1) throw new Error(`Unsupported record version: ${record.version}`);
+  const { seats } = tableConfig(record.seats);
+  if (!Array.isArray(record.players) || record.players.length !== seats || !record.players.every(n => typeof n === 'string')) {
+    throw new Error('Record needs one player name per seat');
+  }
+  const profile = record.rules?.id;
+  if (!getRuleProfile(profile)) throw new Error(`Unknown rule profile: ${profile}`);
+  const rules = resolveRules(profile, { bombs: record.rules.bombs === true, duplicatesBeat: record.rules.duplicatesBeat === true });
+  let scoring = DEFAULT_SCORING;
+  if (record.version !== 1) {
+    try {
+      scoring = resolveScoring(record.scoring && typeof record.scoring === 'object' ? record.scoring : {});
+    } catch (e) {
+      throw new Error(`Scoring: ${e.message}`);
+    }
+  }
+  if (!Array.isArray(record.matches) || record.matches.length === 0) throw new Error('Record has no matches');
+
+  let game = createGame({ seats, rules, scoring });
+  const replay = createRecord({ players: record.players, seats, rules, scoring, startedAt: record.startedAt });
+  const step = action => {
+    const { state, events } = reduce(game, action);
+    game = state;
+    recordEvents(replay, state, events);
+  };
+
+  record.matches.forEach((match, m) => {
+    const where = `Match ${m + 1}`;
+    if (game.finished) throw new Error(`${where}: the game was already over`);
+    if (!match || !Array.isArray(match.moves)) throw new Error(`${where}: no moves`);
+    const deal = verifyDeal({ seed: match.seed, commitment: match.commitment, hands: match.hands, seats });
+    if (!deal.valid) throw new Error(`${where}: ${deal.reason}`);
+    step({ type: 'startMatch', seed: match.seed });
+    const replayed = replay.matches[m];
+
+    for (let i = 0; i < match.moves.length;) {
+      const move = match.moves[i];
+      const at = `${where}, move ${i + 1}`;
+      if (replayed.winner !== null) throw new Error(`${at}: the match was already over`);
+      try {
+        // Auto-passes happen all at once, when the countdown after an unbeatable play runs out
+        if (move?.auto) step({ type: 'autoPass', exempt: game.lastPlay?.by });
+        else if (move?.pass) step({ type: 'pass', seat: move.seat });
+        else step({ type: 'play', seat: move?.seat, cardIds: move?.play });
+      } catch (e) {
+        throw new Error(`${at}: ${e.message}`);
+      }
+      const next = replayed.moves.length;
+      if (next === i || !isDeepStrictEqual(match.moves.slice(i, next), replayed.moves.slice(i))) {
+        throw new Error(`${at}: does not match the replay`);
+      }
+      i = next;
+    }
+
+    if (replayed.winner === null) throw new Error(`${where}: ends before anyone runs out of cards`);
+    if (match.winner !== replayed.winner || !isDeepStrictEqual(match.scores, replayed.scores) || !isDeepStrictEqual(match.pointsAdded, replayed.pointsAdded)) {
+      throw new Error(`${where}: scores do not match the plays`);
+    }
+  });
+
+  if (record.result !== null && !isDeepStrictEqual(record.result, replay.result)) throw new Error('Final result does not match the plays');
+  return replay;
+}
@@ -6,6 +6,10 @@ import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { createGameRoomManager } from './roomManager.js';
+import { createRoomStore } from './roomStore.js';
+import { createTournamentManager } from './tournamentManager.js';
+import { createStatsStore } from './statsStore.js';
+import { validateRecord } from './gameRecord.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -18,6 +22,43 @@ app.use(cors());
 // Health endpoint for Render
 app.get('/healthz', (_req, res) => res.type('text').send('ok'));
 
+// Lifetime stats (statsStore.js)
+app.get('/api/leaderboard', (req, res) => {
+  try {
+    res.json(stats.leaderboard({ sort: req.query.sort?.toString(), limit: req.query.limit }));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+app.get('/api/players/:name', (req, res) => {
+  const player = stats.player(req.params.name);
+  if (!player) return res.status(404).json({ error: 'No stats for that player' });
+  res.json(player);
+});
+app.get('/api/games/:id', (req, res) => {
+  const game = stats.game(req.params.id);
+  if (!game) return res.status(404).json({ error: 'No game with that id' });
+  res.json(game);
+});
+
+// Tournament standings (the same view the tournamentState channel sends)
+app.get('/api/tournaments', (_req, res) => res.json(tournaments.listTournaments()));
+app.get('/api/tournaments/:id', (req, res) => {
+  const tournament = tournaments.getTournament(req.params.id);
+  if (!tournament) return res.status(404).json({ error: 'No tournament with that id' });
+  res.json(tournament);
+});
+
+// Open public tables (the same list the lobbyState channel sends)
+app.get('/api/lobby', (_req, res) => res.json(mgr.getLobby()));
+
+// Who is waiting in a private room, for the /r/<code> invite page
+app.get('/api/rooms/:code', (req, res) => {
+  const room = mgr.getPrivateRoom(req.params.code);
+  if (!room) return res.status(404).json({ error: 'No open room with that code' });
+  res.json(room);
+});
+
 // Serve built client (vite build outputs to client/dist)
 const clientDist = path.resolve(__dirname, '../client/dist');
 app.use(express.static(clientDist));
@@ -32,7 +73,15 @@ const io = new Server(server, {
   cors: { origin: '*', methods: ['GET', 'POST'] },
 });
 
-const mgr = createGameRoomManager(io);
+const store = createRoomStore();
+if (process.env.ROOM_STORE === 'file' && !process.env.SESSION_SECRET) {
+  console.warn('SESSION_SECRET is not set: players will not be able to rejoin restored games after a restart');
+}
+const stats = createStatsStore();
+const mgr = createGameRoomManager(io, { store, stats });
+const tournaments = createTournamentManager(mgr);
+const restored = mgr.restoreRooms();
+if (restored > 0) console.log(`Restored ${restored} game room(s)`);
 
 io.on('connection', (socket) => {
   socket.on('join', ({ name }) => {
@@ -43,11 +92,52 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('reconnect', ({ name }) => {
+  socket.on('createPrivateRoom', ({ name } = {}) => {
+    try {
+      mgr.createPrivateRoom(socket, name?.toString().trim() || 'Player');
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to create the room');
+    }
+  });
+
+  socket.on('joinByCode', ({ name, code } = {}) => {
+    try {
+      mgr.joinByCode(socket, name?.toString().trim() || 'Player', code);
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to join the room');
+    }
+  });
+
+  socket.on('watchLobby', () => {
+    mgr.watchLobby(socket);
+  });
+
+  socket.on('stopWatchingLobby', () => {
+    mgr.stopWatchingLobby(socket);
+  });
+
+  socket.on('createTable', ({ name, tableName } = {}) => {
+    try {
+      mgr.createTable(socket, name?.toString().trim() || 'Player', tableName?.toString());
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to open the table');
+    }
+  });
+
+  socket.on('joinTable', ({ name, roomId, seat } = {}) => {
+    try {
+      mgr.joinTable(socket, name?.toString().trim() || 'Player', roomId?.toString(), seat == null ? null : Number(seat));
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to join the table');
+    }
+  });
+
+  // Only the signed token from sessionToken/reconnected resumes a seat; a name alone is not enough
+  socket.on('reconnect', ({ token } = {}) => {
     try {
-      mgr.handleReconnect(socket, name?.toString().trim());
+      mgr.handleReconnect(socket, token);
     } catch (e) {
-      socket.emit('errorMessage', e?.message || 'Failed to reconnect');
+      socket.emit('reconnectFailed', { error: e?.message || 'Failed to reconnect' });
     }
   });
 
@@ -67,6 +157,146 @@ io.on('connection', (socket) => {
     }
   });
 
+  socket.on('setRuleProfile', ({ profile } = {}) => {
+    try {
+      mgr.setRuleProfile(socket, profile?.toString());
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to change rules');
+    }
+  });
+
+  socket.on('setRuleOptions', (options) => {
+    try {
+      mgr.setRuleOptions(socket, options || {});
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to change rules');
+    }
+  });
+
+  socket.on('setTableSize', ({ seats } = {}) => {
+    try {
+      mgr.setTableSize(socket, Number(seats));
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to change table size');
+    }
+  });
+
+  socket.on('setRoomLocked', ({ locked } = {}) => {
+    try {
+      mgr.setRoomLocked(socket, locked === true);
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to lock the room');
+    }
+  });
+
+  socket.on('changeSeat', ({ seat } = {}) => {
+    try {
+      mgr.changeSeat(socket, Number(seat));
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to change seat');
+    }
+  });
+
+  socket.on('setRoomName', ({ name } = {}) => {
+    try {
+      mgr.setRoomName(socket, name?.toString());
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to rename the table');
+    }
+  });
+
+  socket.on('setReady', ({ ready } = {}) => {
+    try {
+      mgr.setReady(socket, ready === true);
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to change ready state');
+    }
+  });
+
+  socket.on('kickPlayer', ({ playerId } = {}) => {
+    try {
+      mgr.kickPlayer(socket, playerId?.toString());
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to remove the player');
+    }
+  });
+
+  socket.on('transferHost', ({ playerId } = {}) => {
+    try {
+      mgr.transferHost(socket, playerId?.toString());
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to hand the room over');
+    }
+  });
+
+  socket.on('addBot', ({ seat } = {}) => {
+    try {
+      mgr.addBot(socket, Number(seat));
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to add a bot');
+    }
+  });
+
+  socket.on('removeBot', ({ seat } = {}) => {
+    try {
+      mgr.removeBot(socket, Number(seat));
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to remove the bot');
+    }
+  });
+
+  socket.on('moveSeat', ({ playerId, seat } = {}) => {
+    try {
+      mgr.moveSeat(socket, playerId?.toString(), Number(seat));
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to move the player');
+    }
+  });
+
+  socket.on('setBotLevel', ({ seat, level } = {}) => {
+    try {
+      mgr.setBotLevel(socket, Number(seat), level);
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to change bot difficulty');
+    }
+  });
+
+  socket.on('setRoomSettings', (changes) => {
+    try {
+      mgr.setRoomSettings(socket, changes || {});
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to change the room settings');
+    }
+  });
+
+  socket.on('setTurnClock', ({ preset } = {}) => {
+    try {
+      mgr.setTurnClock(socket, preset?.toString());
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to change the turn clock');
+    }
+  });
+
+  socket.on('voteBotTakeover', ({ seat } = {}) => {
+    try {
+      mgr.handleTakeoverVote(socket, Number(seat));
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to vote');
+    }
+  });
+
+  socket.on('spectate', ({ roomId, name } = {}) => {
+    try {
+      mgr.handleSpectate(socket, roomId?.toString().trim(), name?.toString().trim() || 'Spectator');
+    } catch (e) {
+      socket.emit('spectateFailed', { error: e?.message || 'Cannot watch that game' });
+    }
+  });
+
+  socket.on('stopSpectating', () => {
+    mgr.stopSpectating(socket);
+  });
+
   socket.on('play', (cardIds) => {
     try {
       mgr.handlePlay(socket, cardIds);
@@ -83,6 +313,14 @@ io.on('connection', (socket) => {
     }
   });
 
+  socket.on('requestHint', () => {
+    try {
+      mgr.handleHint(socket);
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'No hint available');
+    }
+  });
+
   socket.on('chatMessage', (message) => {
     try {
       mgr.handleChatMessage(socket, message);
@@ -99,7 +337,61 @@ io.on('connection', (socket) => {
     }
   });
 
+  socket.on('createTournament', (options) => {
+    try {
+      tournaments.handleCreate(socket, options || {});
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to create the tournament');
+    }
+  });
+
+  socket.on('registerTournament', ({ tournamentId, name } = {}) => {
+    try {
+      tournaments.handleRegister(socket, tournamentId?.toString().trim(), name?.toString().trim() || 'Player');
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to register');
+    }
+  });
+
+  socket.on('leaveTournament', () => {
+    try {
+      tournaments.handleLeave(socket);
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to leave the tournament');
+    }
+  });
+
+  socket.on('startTournament', () => {
+    try {
+      tournaments.handleStart(socket);
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to start the tournament');
+    }
+  });
+
+  socket.on('watchTournament', ({ tournamentId } = {}) => {
+    try {
+      tournaments.handleWatch(socket, tournamentId?.toString().trim());
+    } catch (e) {
+      socket.emit('errorMessage', e?.message || 'Failed to open the tournament');
+    }
+  });
+
+  socket.on('stopWatchingTournament', () => {
+    tournaments.stopWatching(socket);
+  });
+
+  // Checks an uploaded game record against the engine before the client replays it
+  socket.on('loadRecord', (record) => {
+    try {
+      socket.emit('recordLoaded', validateRecord(record));
+    } catch (e) {
+      socket.emit('recordRejected', { error: e?.message || 'Invalid game record' });
+    }
+  });
+
   socket.on('disconnect', () => {
+    tournaments.handleDisconnect(socket);
     mgr.handleDisconnect(socket);
   });
 });
@@ -108,3 +400,17 @@ const port = process.env.PORT || 10000;
 server.listen(port, '0.0.0.0', () => {
   console.log(`Big2 server listening on port ${port}`);
 });
+
+// Deploys and restarts: save every room and warn players, give the warning a moment to arrive, then close
+let shuttingDown = false;
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, saving rooms and shutting down`);
+  tournaments.shutdown();
+  mgr.shutdown();
+  setTimeout(() => io.close(() => process.exit(0)), 1000);
+  setTimeout(() => process.exit(0), 10000).unref(); // don't wait forever on slow sockets
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
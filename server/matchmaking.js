@@ -0,0 +1,49 @@
+// Rating-aware matchmaking: which waiting room a player joining the queue goes to
+// Every open waiting room has a rating, the average of the humans in it, and a search window around it that
+// starts at MATCHMAKING_WINDOW and widens by MATCHMAKING_WIDEN_PER_SECOND for every second its longest waiting
+// player has been there: a room is picky at first and takes anyone once it has waited long enough. A player
+// joins the open room closest to their rating whose window reaches them, or opens a new one. A room that is
+// still short of players after MATCHMAKING_BOT_FALLBACK_SECONDS fills its empty seats with bots and starts
+// (0 turns that off).
+
+export const MATCHMAKING_DEFAULTS = {
+  window: 100, // rating points either side of a room's rating
+  widenPerSecond: 10,
+  botFallbackSeconds: 90
+};
+
+// Settings from the environment, defaults for anything unset or not a number
+export function matchmakingConfig(env = process.env) {
+  const read = (value, fallback) => {
+    const n = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(n) && n >= 0 ? n : fallback;
+  };
+  return {
+    window: read(env.MATCHMAKING_WINDOW, MATCHMAKING_DEFAULTS.window),
+    widenPerSecond: read(env.MATCHMAKING_WIDEN_PER_SECOND, MATCHMAKING_DEFAULTS.widenPerSecond),
+    botFallbackSeconds: read(env.MATCHMAKING_BOT_FALLBACK_SECONDS, MATCHMAKING_DEFAULTS.botFallbackSeconds)
+  };
+}
+
+// How far from its rating a room that has waited waitedMs takes players
+export function searchWindow(waitedMs, config = MATCHMAKING_DEFAULTS) {
+  return config.window + config.widenPerSecond * Math.max(0, waitedMs) / 1000;
+}
+
+// Average rating of the humans in a room, null without any
+export function roomRating(ratings) {
+  return ratings.length ? Math.round(ratings.reduce((sum, r) => sum + r, 0) / ratings.length) : null;
+}
+
+// The room for a player rated `rating`. rooms: open rooms [{ id, rating, waitedMs }] (rating null: nobody
+// to measure against, takes anyone). Returns the id of the closest room in reach, or null to open a new one;
+// ties go to the room that has waited longest.
+export function pickWaitingRoom(rooms, rating, config = MATCHMAKING_DEFAULTS) {
+  let best = null;
+  for (const room of rooms) {
+    const gap = room.rating === null ? 0 : Math.abs(room.rating - rating);
+    if (gap > searchWindow(room.waitedMs, config)) continue;
+    if (!best || gap < best.gap || (gap === best.gap && room.waitedMs > best.waitedMs)) best = { id: room.id, gap, waitedMs: room.waitedMs };
+  }
+  return best ? best.id : null;
+}
@@ -0,0 +1,130 @@
+// Hand-partition planner
+// Splits a hand into disjoint playable combos and scores the split:
+// - count: how many plays it takes to empty the hand if nobody ever beats you
+// - controls: combos that should win their trick outright (see isControl)
+// - turns: count - controls, the number of tricks you need the table to let you have
+// goal 'fewest' minimises count (then maximises controls); 'strongest' minimises turns (then count).
+// Both are exact: a memoised search over the remaining cards, always covering the lowest remaining card.
+// The search is capped at maxNodes candidate plays (long runs of one suit blow it up) and, when given one, at a
+// deadline (a Date.now() time); past either the plan is greedy instead: the biggest combo holding the lowest
+// card, again and again.
+
+import { legalMoves, sortHand, compareCombos } from './engine.js';
+import { DEFAULT_RULES } from './rules.js';
+
+export const PLAN_GOALS = ['fewest', 'strongest'];
+export const PLAN_MAX_NODES = 1000; // dealt hands stay well under it
+
+const OVER_BUDGET = Symbol('over budget');
+
+// Whether a combo should hold its trick. With `unseen` (cards that may still be in other hands),
+// singles and pairs are checked exactly against those cards; otherwise, and for five-card hands,
+// fixed thresholds are used.
+export function isControl(cards, combo, { rules = DEFAULT_RULES, unseen = null } = {}) {
+  if (!combo) return false;
+  if (combo.type === 'single' || combo.type === 'pair') {
+    // Same-size replies only (bombs off): a bomb is rare enough not to count against a control
+    if (unseen) return legalMoves(unseen, combo, { rules: { ...rules, bombs: false } }).length === 0;
+    const rank = cards[0].r;
+    return rank === '2' || (combo.type === 'pair' && rank === 'A');
+  }
+  if (combo.type === 'triple') return ['A', '2'].includes(cards[0].r) || !rules.triples;
+  if (combo.type === 'fourkind' || combo.type === 'straightflush') return true;
+  if (combo.type === 'fullhouse') {
+    const counts = {};
+    cards.forEach(c => { counts[c.r] = (counts[c.r] || 0) + 1; });
+    const tripleRank = Object.keys(counts).find(r => counts[r] === 3);
+    return ['J', 'Q', 'K', 'A', '2'].includes(tripleRank);
+  }
+  return false;
+}
+
+// Best partition of `hand` for the goal: { combos: [{ cards, combo, control }], count, controls, turns, exact }
+// combos are listed weakest first (by size, then strength), the order they would normally be led;
+// exact is false when the search hit maxNodes or the deadline and the plan is the greedy one.
+export function planHand(hand, { rules = DEFAULT_RULES, goal = 'fewest', unseen = null, maxNodes = PLAN_MAX_NODES, deadline = Infinity } = {}) {
+  if (!PLAN_GOALS.includes(goal)) throw new Error(`Unknown plan goal: ${goal}`);
+  const sorted = sortHand(hand, rules);
+  const memo = new Map();
+  let nodes = 0;
+  const controlMemo = new Map();
+  const controlOf = move => {
+    const key = move.cards.map(c => c.id).join(',');
+    if (!controlMemo.has(key)) controlMemo.set(key, isControl(move.cards, move.combo, { rules, unseen }));
+    return controlMemo.get(key);
+  };
+
+  // Cost of one combo as [primary, secondary]; costs add up over a partition and compare lexicographically
+  const cost = control => goal === 'fewest' ? [1, control ? -1 : 0] : [control ? 0 : 1, 1];
+
+  function best(remaining) {
+    if (remaining.length === 0) return { cost: [0, 0], combos: [] };
+    const key = remaining.map(c => c.id).join(',');
+    if (memo.has(key)) return memo.get(key);
+    const moves = legalMoves(remaining, null, { rules, mustInclude: remaining[0].id });
+    nodes += moves.length;
+    if (nodes > maxNodes || Date.now() > deadline) throw OVER_BUDGET;
+
+    let result = null;
+    for (const move of moves) {
+      const ids = new Set(move.cards.map(c => c.id));
+      const rest = best(remaining.filter(c => !ids.has(c.id)));
+      const control = controlOf(move);
+      const [a, b] = cost(control);
+      const total = [rest.cost[0] + a, rest.cost[1] + b];
+      if (!result || total[0] < result.cost[0] || (total[0] === result.cost[0] && total[1] < result.cost[1])) {
+        result = { cost: total, combos: [{ cards: move.cards, combo: move.combo, control }, ...rest.combos] };
+      }
+    }
+    memo.set(key, result);
+    return result;
+  }
+
+  function greedy(remaining) {
+    const combos = [];
+    while (remaining.length > 0) {
+      const moves = legalMoves(remaining, null, { rules, mustInclude: remaining[0].id });
+      const move = moves.reduce((a, m) => m.cards.length > a.cards.length ? m : a);
+      const ids = new Set(move.cards.map(c => c.id));
+      combos.push({ cards: move.cards, combo: move.combo, control: controlOf(move) });
+      remaining = remaining.filter(c => !ids.has(c.id));
+    }
+    return combos;
+  }
+
+  let exact = true;
+  let found;
+  try {
+    found = best(sorted).combos;
+  } catch (err) {
+    if (err !== OVER_BUDGET) throw err;
+    exact = false;
+    found = greedy(sorted);
+  }
+  const combos = found.slice().sort((a, b) =>
+    a.cards.length - b.cards.length || compareCombos(a.combo, b.combo));
+  const controls = combos.filter(c => c.control).length;
+  return { combos, count: combos.length, controls, turns: combos.length - controls, exact };
+}
+
+// What to lead from a plan: the weakest combo that is not a control (controls are kept to win the lead back),
+// or the weakest combo when everything left is a control. mustInclude picks the combo holding that card.
+export function planLead(hand, { rules = DEFAULT_RULES, goal = 'fewest', unseen = null, mustInclude = null, deadline } = {}) {
+  const plan = planHand(hand, { rules, goal, unseen, deadline });
+  if (plan.combos.length === 0) return null;
+  if (mustInclude) {
+    const holding = plan.combos.find(c => c.cards.some(card => card.id === mustInclude));
+    if (holding) return holding.cards;
+  }
+  return (plan.combos.find(c => !c.control) || plan.combos[0]).cards;
+}
+
+// A legal reply to `lastCombo` that keeps the plan intact: the weakest legal play made entirely
+// of one planned combo; falls back to the weakest legal play when every reply breaks a combo.
+export function planFollow(hand, lastCombo, { rules = DEFAULT_RULES, goal = 'fewest', unseen = null, deadline } = {}) {
+  const moves = legalMoves(hand, lastCombo, { rules });
+  if (moves.length === 0) return null;
+  const plan = planHand(hand, { rules, goal, unseen, deadline });
+  const intact = moves.find(m => plan.combos.some(c => c.cards.length === m.cards.length && m.cards.every(card => c.cards.some(p => p.id === card.id))));
+  return (intact || moves[0]).cards;
+}
@@ -0,0 +1,43 @@
+// Skill ratings: a multiplayer Elo over each game's final standings
+// A game counts as a round robin of head-to-head results: every seat beat everyone who finished below it and
+// drew with anyone sharing its place. A player's rating moves by K times the sum of (result - expected) over
+// their opponents, divided by the number of opponents, so a game moves ratings as much at eight seats as at two.
+// New players are provisional: for their first PROVISIONAL_GAMES games K is PROVISIONAL_K, so a rating
+// settles quickly where a player really belongs. Bots play at a fixed rating per level (bots.js) and never move.
+
+import { BOT_LEVELS } from './bots.js';
+
+export const DEFAULT_RATING = 1500;
+export const RATING_K = 24;
+export const PROVISIONAL_K = 48;
+export const PROVISIONAL_GAMES = 10;
+
+// Chance of finishing above the opponent, 0-1
+export function expectedScore(rating, opponent) {
+  return 1 / (1 + Math.pow(10, (opponent - rating) / 400));
+}
+
+export function isProvisional(ratedGames) {
+  return ratedGames < PROVISIONAL_GAMES;
+}
+
+export function botRating(level) {
+  return BOT_LEVELS[level]?.rating ?? DEFAULT_RATING;
+}
+
+// New ratings after a game. entrants: per seat { rating, ratedGames, fixed } (fixed: a bot, left as it is);
+// places: per seat, 1 = best (scoring.js finalLedger). Returns the new rating of every seat, rounded.
+export function rateGame(entrants, places) {
+  const opponents = entrants.length - 1;
+  return entrants.map((e, seat) => {
+    if (e.fixed || opponents < 1) return e.rating;
+    let delta = 0;
+    entrants.forEach((o, other) => {
+      if (other === seat) return;
+      const result = places[seat] < places[other] ? 1 : places[seat] === places[other] ? 0.5 : 0;
+      delta += result - expectedScore(e.rating, o.rating);
+    });
+    const k = isProvisional(e.ratedGames) ? PROVISIONAL_K : RATING_K;
+    return Math.round(e.rating + k * delta / opponents);
+  });
+}
@@ -1,48 +1,172 @@
-import { makeDeck, shuffle, dealToFour, classify, canBeat, includes3D, sortHand, getAIPlay } from './engine.js';
-import { randomUUID } from 'crypto';
-
-export function createGameRoomManager(io) {
+import { classify, sortHand, tableConfig, cardFromId, MIN_SEATS, MAX_SEATS } from './engine.js';
+import { DEFAULT_RULE_PROFILE, getRuleProfile, listRuleProfiles, resolveRules, RULE_OPTIONS } from './rules.js';
+import { createDealSeed } from './fairness.js';
+import { createGame, reduce, movesFor, playerView, requiredCard, timeoutAction } from './gameCore.js';
+import { createRecord, recordEvents } from './gameRecord.js';
+import { EXPERT_TIME_BUDGET_MS, unseenCards } from './expertBot.js';
+import { planHand, planLead, planFollow } from './planner.js';
+import { DEFAULT_BOT_LEVEL, getBotPlay, isBotLevel, listBotLevels } from './bots.js';
+import { matchmakingConfig, pickWaitingRoom, roomRating } from './matchmaking.js';
+import { botRating } from './ratings.js';
+import { createMemoryStore } from './roomStore.js';
+import { createMemoryStatsStore } from './statsStore.js';
+import { createNonce, createTokenSigner } from './sessionTokens.js';
+import { DEFAULT_ROOM_SETTINGS, describeRoomSettings, scoringSettings, updateRoomSettings } from './roomSettings.js';
+import { finalLedger, listScoringModes } from './scoring.js';
+import { DEFAULT_CLOCK_PRESET, createClock, getClockPreset, listClockPresets, startTurn, stopTurn, timeLeft } from './turnClock.js';
+import { randomInt, randomUUID } from 'crypto';
+
+// Level for bot seats the creator has not changed (BOT_LEVEL=beginner|standard|expert);
+// BOT_TIME_BUDGET_MS caps how long an expert bot may think per move
+const BOT_LEVEL = isBotLevel(process.env.BOT_LEVEL) ? process.env.BOT_LEVEL : DEFAULT_BOT_LEVEL;
+const EXPERT_BUDGET_MS = Number(process.env.BOT_TIME_BUDGET_MS) || EXPERT_TIME_BUDGET_MS;
+// Turn clock for new tables until the creator picks another (TURN_CLOCK=off|relaxed|standard|blitz, see turnClock.js)
+const TURN_CLOCK = getClockPreset(process.env.TURN_CLOCK) ? process.env.TURN_CLOCK : DEFAULT_CLOCK_PRESET;
+const SNAPSHOT_VERSION = 6; // bump when roomSnapshot() changes shape; older snapshots are dropped on restore
+// Rating window and bot fallback for the queue (MATCHMAKING_*, see matchmaking.js)
+const MATCHMAKING = matchmakingConfig();
+// Private room join codes: no 0/O, 1/I/L to misread when a code is read out
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 6;
+const MAX_TABLE_NAME = 40;
+const BOT_NAMES = ['Bot Alpha', 'Bot Beta', 'Bot Gamma', 'Bot Delta', 'Bot Epsilon', 'Bot Zeta', 'Bot Eta', 'Bot Theta'];
+
+// store: where active rooms are snapshotted after every action (see roomStore.js)
+// tokens: signs the reconnect tokens handed to each human seat (see sessionTokens.js)
+// stats: where finished matches and games go for the players' lifetime stats and ratings (see statsStore.js)
+export function createGameRoomManager(io, { store = createMemoryStore(), tokens = createTokenSigner(), stats = createMemoryStatsStore() } = {}) {
   const waitingRooms = new Map(); // waitingRoomId -> waiting room
   const rooms = new Map(); // roomId -> active game room
   const socketToRoom = new Map(); // socket.id -> roomId (for both waiting and active rooms)
   const socketToWaitingRoom = new Map(); // socket.id -> waitingRoomId
-  const playerSessions = new Map(); // playerName+roomId -> player session data for reconnection
+  const socketToSpectatedRoom = new Map(); // socket.id -> roomId the socket is watching
+  const privateRooms = new Map(); // join code -> waitingRoomId
+  const lobbyWatchers = new Map(); // socket.id -> socket following the lobby's list of open tables
+  let lobbyPending = false; // a lobbyState broadcast is queued
+  let draining = false; // set by shutdown(); no new games or moves until the process exits
 
   function enqueuePlayer(socket, name) {
+    if (draining) throw new Error('The server is restarting, please try again in a minute');
     if (!name) name = 'Player';
-    socket.data.name = name;
     
-    // Try to find a waiting room with less than 4 players
-    let waitingRoom = null;
-    for (const [roomId, room] of waitingRooms) {
-      if (room.players.length < 4) {
-        waitingRoom = room;
-        break;
-      }
-    }
+    // Join the open public room closest to this player's rating (see matchmaking.js)
+    const { rating } = stats.rating(name);
+    const now = Date.now();
+    const openRooms = [...waitingRooms.values()]
+      .filter(room => !room.code && openSeat(room) !== null && !wasKicked(room, name))
+      .map(room => ({ id: room.id, rating: waitingRoomRating(room), waitedMs: now - longestWait(room) }));
+    let waitingRoom = waitingRooms.get(pickWaitingRoom(openRooms, rating, MATCHMAKING)) || null;
     
     // If no available waiting room, create a new one
-    if (!waitingRoom) {
-      const roomId = randomId();
-      waitingRoom = {
-        id: roomId,
-        players: [],
-        chatHistory: [],
-        creator: socket.id // Track who created the room
-      };
-      waitingRooms.set(roomId, waitingRoom);
-    }
+    if (!waitingRoom) waitingRoom = openWaitingRoom(socket, null);
+    seatInWaitingRoom(waitingRoom, socket, name);
+  }
+
+  // A room only reachable by its join code: matchmaking never sends anyone there and bots only come in when
+  // the host starts with them. Returns the code.
+  function createPrivateRoom(socket, name) {
+    if (draining) throw new Error('The server is restarting, please try again in a minute');
+    if (socketToWaitingRoom.has(socket.id) || isPlaying(socket)) throw new Error('You are already in a room');
+    let code;
+    do code = createRoomCode(); while (privateRooms.has(code));
+    const waitingRoom = openWaitingRoom(socket, code);
+    seatInWaitingRoom(waitingRoom, socket, name || 'Player');
+    return code;
+  }
+
+  // Codes are not case sensitive; a locked, full or started room turns the player away
+  function joinByCode(socket, name, code) {
+    if (draining) throw new Error('The server is restarting, please try again in a minute');
+    if (socketToWaitingRoom.has(socket.id) || isPlaying(socket)) throw new Error('You are already in a room');
+    const waitingRoom = waitingRooms.get(privateRooms.get(normalizeRoomCode(code)));
+    if (!waitingRoom) throw new Error('No open room with that code (it may have started already)');
+    if (waitingRoom.locked) throw new Error('That room is locked');
+    if (wasKicked(waitingRoom, name || 'Player')) throw new Error('The host removed you from that room');
+    if (openSeat(waitingRoom) === null) throw new Error('That room is full');
+    seatInWaitingRoom(waitingRoom, socket, name || 'Player');
+  }
+
+  // A public table opened from the lobby under a name of the host's choosing; matchmaking fills it like any
+  // other public room. Returns the room id.
+  function createTable(socket, name, tableName) {
+    if (draining) throw new Error('The server is restarting, please try again in a minute');
+    if (socketToWaitingRoom.has(socket.id) || isPlaying(socket)) throw new Error('You are already in a room');
+    const title = checkTableName(tableName);
+    const waitingRoom = openWaitingRoom(socket, null);
+    waitingRoom.name = title;
+    seatInWaitingRoom(waitingRoom, socket, name || 'Player');
+    return waitingRoom.id;
+  }
+
+  // Sits down at a table picked in the lobby, in the given seat or the first free one
+  function joinTable(socket, name, roomId, seat) {
+    if (draining) throw new Error('The server is restarting, please try again in a minute');
+    if (socketToWaitingRoom.has(socket.id) || isPlaying(socket)) throw new Error('You are already in a room');
+    const waitingRoom = waitingRooms.get(roomId);
+    if (!waitingRoom || waitingRoom.code) throw new Error('That table is no longer open');
+    if (wasKicked(waitingRoom, name || 'Player')) throw new Error('The host removed you from that table');
+    if (openSeat(waitingRoom) === null) throw new Error('That table is full');
+    if (seat != null && !isSeat(waitingRoom, seat)) throw new Error('No such seat at that table');
+    if (seat != null && !isOpenSeat(waitingRoom, seat)) throw new Error('That seat is taken');
+    seatInWaitingRoom(waitingRoom, socket, name || 'Player', seat ?? openSeat(waitingRoom));
+  }
+
+  // A new waiting room with the socket as its creator; code: its join code, null for a public room
+  function openWaitingRoom(socket, code) {
+    const roomId = randomId();
+    const waitingRoom = {
+      id: roomId,
+      players: [],
+      chatHistory: [],
+      creator: socket.id, // Track who created the room
+      name: null, // Table name shown in the lobby; null shows the host's name
+      code, // Join code of a private room (never matchmade), null for a public one
+      locked: false, // A locked private room takes nobody else, even with the code
+      kicked: new Set(), // names the host removed, lower-cased; a reload or new connection does not get them back in
+      ruleProfile: DEFAULT_RULE_PROFILE, // Chosen by the creator before the game starts
+      ruleOptions: { bombs: false, duplicatesBeat: false }, // Table options layered on top of the profile
+      seats: 4, // Table size chosen by the creator (2-8)
+      clock: TURN_CLOCK, // Turn clock preset chosen by the creator
+      settings: { ...DEFAULT_ROOM_SETTINGS }, // Scoring and room timers chosen by the creator (roomSettings.js)
+      botLevels: new Array(MAX_SEATS).fill(BOT_LEVEL), // Difficulty per seat, used if "Start with bots" fills it
+      botFallbackAt: null, // When bots fill the empty seats if nobody else comes (MATCHMAKING.botFallbackSeconds)
+      botFallbackTimer: null
+    };
+    waitingRooms.set(roomId, waitingRoom);
+    if (code) privateRooms.set(code, roomId);
+    return waitingRoom;
+  }
+
+  function wasKicked(waitingRoom, name) {
+    return waitingRoom.kicked.has(name.toLowerCase());
+  }
+
+  // seat: where at the table the player sits, by default the first free seat, else the first bot's.
+  // A bot in the seat gives it up to the human.
+  function seatInWaitingRoom(waitingRoom, socket, name, seat = openSeat(waitingRoom)) {
+    socket.data.name = name;
+    stopSpectating(socket);
+    lobbyWatchers.delete(socket.id);
+    const { rating, provisional } = stats.rating(name);
+    const bot = waitingRoom.players.find(p => p.isBot && p.seat === seat);
+    if (bot) waitingRoom.players.splice(waitingRoom.players.indexOf(bot), 1);
     
     // Add player to waiting room
     waitingRoom.players.push({
       socket: socket,
       id: socket.id,
       name: name,
-      isBot: false
+      isBot: false,
+      seat,
+      ready: false, // the game starts once every human at a full table is ready
+      rating,
+      provisional,
+      joinedAt: Date.now()
     });
     
     socketToWaitingRoom.set(socket.id, waitingRoom.id);
     socket.join(waitingRoom.id);
+    scheduleBotFallback(waitingRoom);
     
     // Broadcast updated waiting room state to all players in the room
     broadcastWaitingRoomState(waitingRoom);
@@ -53,134 +177,136 @@ export function createGameRoomManager(io) {
     });
     
     // Send system message that player joined
-    sendWaitingRoomSystemMessage(waitingRoom, `${name} joined the waiting room`);
-    
-    // If 4 players, start the game
-    if (waitingRoom.players.length === 4) {
+    sendWaitingRoomSystemMessage(waitingRoom, bot ? `${name} joined and took ${bot.name}'s seat` : `${name} joined the waiting room`);
+  }
+
+  // Starts the game once every seat is taken and every human in it is ready
+  function tryStart(waitingRoom) {
+    if (waitingRoom.players.length === waitingRoom.seats && waitingRoom.players.every(p => p.isBot || p.ready)) {
       startGameFromWaitingRoom(waitingRoom);
     }
   }
 
-  // Helper function to check if a play contains the highest unplayed card/combo
-  function checkHighestCardPlayed(room, cards, combo) {
-    const playedCards = room.playedCards || new Set();
-    
-    // For 5-card combinations where 2 is not the determining factor, skip notification
-    if (combo.type === 'straight' || combo.type === 'flush' || combo.type === 'fullhouse' || combo.type === 'fourkind' || combo.type === 'straightflush') {
-      // For straights: 2 is not determining strength unless it's the top card (e.g., A-2-3-4-5)
-      if (combo.type === 'straight') {
-        const ranks = cards.map(c => c.r);
-        const isLowStraight = ranks.includes('A') && ranks.includes('2') && ranks.includes('3') && ranks.includes('4') && ranks.includes('5');
-        if (!isLowStraight && ranks.includes('2')) {
-          // 2 is present but not determining strength (e.g., 2-3-4-5-6)
-          return null;
-        }
-      }
-      // For full house: if 2 is in the pair, it's not determining
-      if (combo.type === 'fullhouse') {
-        const rankCounts = {};
-        cards.forEach(c => rankCounts[c.r] = (rankCounts[c.r] || 0) + 1);
-        const tripleRank = Object.keys(rankCounts).find(r => rankCounts[r] === 3);
-        if (tripleRank !== '2') {
-          return null; // 2 is not the triple, so not determining
-        }
-      }
-      // For four of a kind: if 2 is the single, it's not determining
-      if (combo.type === 'fourkind') {
-        const rankCounts = {};
-        cards.forEach(c => rankCounts[c.r] = (rankCounts[c.r] || 0) + 1);
-        const quadRank = Object.keys(rankCounts).find(r => rankCounts[r] === 4);
-        if (quadRank !== '2') {
-          return null; // 2 is not the quad, so not determining
-        }
-      }
-    }
+  // Lowest free seat, null at a full table
+  function freeSeat(waitingRoom) {
+    for (let seat = 0; seat < waitingRoom.seats; seat++) if (isFreeSeat(waitingRoom, seat)) return seat;
+    return null;
+  }
 
-    // Check singles, pairs, triples
-    if (combo.type === 'single') {
-      const card = cards[0];
-      // Check if this is the highest unplayed card
-      const allCards = ['2S', '2H', '2C', '2D', 'AS', 'AH', 'AC', 'AD', 'KS', 'KH', 'KC', 'KD', 'QS', 'QH', 'QC', 'QD', 'JS', 'JH', 'JC', 'JD'];
-      for (const testCard of allCards) {
-        if (!playedCards.has(testCard)) {
-          if (testCard === card.id) {
-            return { type: 'single', card: card.id, rank: card.r, suit: card.s };
-          }
-          return null; // There's a higher card still unplayed
-        }
-      }
-    }
-    
-    if (combo.type === 'pair') {
-      // Check if this is the highest unplayed pair
-      const rank = cards[0].r;
-      const suits = cards.map(c => c.s).sort((a, b) => {
-        const suitOrder = { 'D': 0, 'C': 1, 'H': 2, 'S': 3 };
-        return suitOrder[a] - suitOrder[b];
-      });
-      
-      // Check all possible pairs from highest to lowest
-      const rankOrder = ['2', 'A', 'K', 'Q', 'J', '10', '9', '8', '7', '6', '5', '4', '3'];
-      const suitOrderDesc = ['S', 'H', 'C', 'D']; // Descending by value
-      
-      for (const r of rankOrder) {
-        // Generate all possible pairs for this rank, from highest to lowest
-        const possiblePairs = [];
-        for (let i = 0; i < suitOrderDesc.length; i++) {
-          for (let j = i + 1; j < suitOrderDesc.length; j++) {
-            possiblePairs.push([suitOrderDesc[i], suitOrderDesc[j]]);
-          }
-        }
-        
-        for (const [s1, s2] of possiblePairs) {
-          const card1 = `${r}${s1}`;
-          const card2 = `${r}${s2}`;
-          
-          if (!playedCards.has(card1) && !playedCards.has(card2)) {
-            // This pair is unplayed - check if it matches our played pair
-            if (r === rank && suits[0] === s2 && suits[1] === s1) {
-              return { type: 'pair', rank: r, suits: [s1, s2] };
-            }
-            return null; // There's a higher pair still unplayed
-          }
-        }
-      }
-    }
-    
-    if (combo.type === 'triple') {
-      const rank = cards[0].r;
-      // Check if this is the highest unplayed triple
-      const rankOrder = ['2', 'A', 'K', 'Q', 'J', '10', '9', '8', '7', '6', '5', '4', '3'];
-      
-      for (const r of rankOrder) {
-        const suitOrder = ['S', 'H', 'C', 'D'];
-        let availableCount = 0;
-        for (const s of suitOrder) {
-          if (!playedCards.has(`${r}${s}`)) {
-            availableCount++;
-          }
-        }
-        
-        if (availableCount >= 3) {
-          // This triple is still possible
-          if (r === rank) {
-            return { type: 'triple', rank: r };
-          }
-          return null; // There's a higher triple still possible
-        }
-      }
-    }
+  function isSeat(waitingRoom, seat) {
+    return Number.isInteger(seat) && seat >= 0 && seat < waitingRoom.seats;
+  }
 
-    return null;
+  function isFreeSeat(waitingRoom, seat) {
+    return isSeat(waitingRoom, seat) && !waitingRoom.players.some(p => p.seat === seat);
+  }
+
+  // A seat a joining human can take: a free one, or a bot's
+  function isOpenSeat(waitingRoom, seat) {
+    return isFreeSeat(waitingRoom, seat) || waitingRoom.players.some(p => p.isBot && p.seat === seat);
+  }
+
+  function openSeat(waitingRoom) {
+    return freeSeat(waitingRoom) ?? waitingRoom.players.find(p => p.isBot)?.seat ?? null;
+  }
+
+  function newBot(waitingRoom, seat) {
+    const taken = new Set(waitingRoom.players.map(p => p.name));
+    return {
+      socket: null, // Bots don't have sockets
+      id: `bot-${randomId()}`,
+      name: BOT_NAMES.find(n => !taken.has(n)) || `Bot ${seat + 1}`,
+      isBot: true,
+      botLevel: waitingRoom.botLevels[seat],
+      seat
+    };
   }
 
-  function startAutoPassCountdown(room, exemptPlayerIdx) {
+  function hasHumans(waitingRoom) {
+    return waitingRoom.players.some(p => !p.isBot);
+  }
+
+  function waitingRoomRating(waitingRoom) {
+    return roomRating(waitingRoom.players.filter(p => !p.isBot).map(p => p.rating));
+  }
+
+  // When the room's longest waiting player joined
+  function longestWait(waitingRoom) {
+    return Math.min(...waitingRoom.players.map(p => p.joinedAt));
+  }
+
+  // Bots are due to fill the room MATCHMAKING.botFallbackSeconds after its longest waiting player joined;
+  // called whenever someone joins or leaves
+  function scheduleBotFallback(waitingRoom) {
+    if (waitingRoom.botFallbackTimer) clearTimeout(waitingRoom.botFallbackTimer);
+    waitingRoom.botFallbackTimer = null;
+    waitingRoom.botFallbackAt = null;
+    if (waitingRoom.code || MATCHMAKING.botFallbackSeconds <= 0 || waitingRoom.players.length >= waitingRoom.seats) return;
+    waitingRoom.botFallbackAt = longestWait(waitingRoom) + MATCHMAKING.botFallbackSeconds * 1000;
+    waitingRoom.botFallbackTimer = setTimeout(() => {
+      waitingRoom.botFallbackTimer = null;
+      if (draining || waitingRooms.get(waitingRoom.id) !== waitingRoom) return;
+      if (waitingRoom.players.length === 0 || waitingRoom.players.length >= waitingRoom.seats) return;
+      fillWithBots(waitingRoom, 'Nobody else near your rating turned up. ');
+    }, Math.max(0, waitingRoom.botFallbackAt - Date.now()));
+  }
+
+  function closeWaitingRoom(waitingRoom) {
+    if (waitingRoom.botFallbackTimer) clearTimeout(waitingRoom.botFallbackTimer);
+    waitingRoom.botFallbackTimer = null;
+    waitingRooms.delete(waitingRoom.id);
+    if (waitingRoom.code) privateRooms.delete(waitingRoom.code);
+    lobbyChanged();
+  }
+
+  // Someone left: if it was the creator, the longest waiting player takes over the room
+  function handOverRoom(waitingRoom, leaverId) {
+    if (waitingRoom.creator !== leaverId) return;
+    const next = waitingRoom.players.find(p => !p.isBot);
+    if (!next) return;
+    waitingRoom.creator = next.id;
+    sendWaitingRoomSystemMessage(waitingRoom, `${next.name} is now the host`);
+  }
+
+  // The public face of a private room, for the invite link; null when there is no open room with the code
+  function getPrivateRoom(code) {
+    const waitingRoom = waitingRooms.get(privateRooms.get(normalizeRoomCode(code)));
+    if (!waitingRoom) return null;
+    return {
+      code: waitingRoom.code,
+      host: waitingRoom.players.find(p => p.id === waitingRoom.creator)?.name ?? null,
+      players: waitingRoom.players.filter(p => !p.isBot).length, // bots give their seats up to people joining
+      seats: waitingRoom.seats,
+      locked: waitingRoom.locked
+    };
+  }
+
+  // Tell everyone a bomb cut the previous play (bombed: { by, type } of the play that was cut)
+  function announceBomb(room, playerIdx, combo, bombed) {
+    const player = room.players[playerIdx];
+    const target = bombed.type === 'pair' ? 'pair of 2s' : 'single 2';
+    console.log(`Bomb played: ${player.name} cut a ${target} with ${combo.type}`);
+    room.players.forEach(p => {
+      if (p.socket) {
+        p.socket.emit('bombPlayed', {
+          playerIndex: playerIdx,
+          playerName: player.name,
+          combo: combo.type,
+          bombed
+        });
+      }
+    });
+    sendSystemMessage(room, `💣 ${player.name} bombed ${room.players[bombed.by].name}'s ${target}!`);
+  }
+
+  function startAutoPassCountdown(room, exemptPlayerIdx, seconds = room.settings.autoPassSeconds) {
     // Clear any existing timer
     if (room.autoPassTimer) {
       clearInterval(room.autoPassTimer);
     }
 
-    room.autoPassCountdown = 10;
+    room.autoPassCountdown = seconds;
+    room.autoPassExempt = exemptPlayerIdx;
     
     // Emit initial countdown
     room.players.forEach(player => {
@@ -212,20 +338,7 @@ export function createGameRoomManager(io) {
         room.autoPassTimer = null;
         
         // Auto-pass all players except the one who played the highest card
-        let allPassed = true;
-        room.players.forEach((p, idx) => {
-          if (idx !== exemptPlayerIdx && !p.passed && p.hand.length > 0) {
-            p.passed = true;
-            console.log(`Auto-passing ${p.name}`);
-          }
-        });
-
-        // Check if all others have passed
-        if (allOthersPassed(room)) {
-          endTrick(room);
-        } else {
-          broadcastState(room);
-        }
+        dispatch(room, { type: 'autoPass', exempt: exemptPlayerIdx });
       }
     }, 1000);
   }
@@ -254,10 +367,31 @@ export function createGameRoomManager(io) {
       players: waitingRoom.players.map(p => ({
         id: p.id,
         name: p.name,
-        isBot: p.isBot || false
+        isBot: p.isBot || false,
+        botLevel: p.botLevel || null,
+        rating: p.isBot ? botRating(p.botLevel) : p.rating,
+        provisional: !p.isBot && p.provisional,
+        seat: p.seat,
+        ready: p.isBot || p.ready
       })),
-      playersNeeded: 4 - waitingRoom.players.length,
-      isReady: waitingRoom.players.length === 4,
+      name: tableName(waitingRoom),
+      code: waitingRoom.code,
+      locked: waitingRoom.locked,
+      rating: waitingRoomRating(waitingRoom), // average of the humans, what matchmaking matches against
+      botFallbackMs: waitingRoom.botFallbackAt === null ? null : Math.max(0, waitingRoom.botFallbackAt - Date.now()), // until bots fill the empty seats
+      seats: waitingRoom.seats,
+      botLevels: waitingRoom.botLevels.slice(0, waitingRoom.seats),
+      botLevelOptions: listBotLevels(),
+      decks: tableConfig(waitingRoom.seats).decks,
+      playersNeeded: waitingRoom.seats - waitingRoom.players.length,
+      isReady: waitingRoom.players.length === waitingRoom.seats,
+      rules: resolveRules(waitingRoom.ruleProfile, waitingRoom.ruleOptions),
+      ruleProfiles: listRuleProfiles(),
+      clock: getClockPreset(waitingRoom.clock),
+      clockPresets: listClockPresets(),
+      settings: waitingRoom.settings,
+      scoringModes: listScoringModes(),
+      hostId: waitingRoom.creator,
       isCreator: {} // Will be filled per-socket
     };
     
@@ -270,6 +404,56 @@ export function createGameRoomManager(io) {
         p.socket.emit('waitingRoomState', personalState);
       }
     });
+    lobbyChanged();
+  }
+
+  function tableName(waitingRoom) {
+    if (waitingRoom.name) return waitingRoom.name;
+    const host = waitingRoom.players.find(p => p.id === waitingRoom.creator);
+    return host ? `${host.name}'s table` : 'Open table';
+  }
+
+  // Lobby: every public table with a free seat, oldest first, as the lobbyState channel and GET /api/lobby
+  // show it. seats: per seat, who sits there or null; botLevels: who takes each seat if bots fill the table.
+  function getLobby() {
+    return [...waitingRooms.values()]
+      .filter(room => !room.code && openSeat(room) !== null)
+      .map(room => ({
+        roomId: room.id,
+        name: tableName(room),
+        host: room.players.find(p => p.id === room.creator)?.name ?? null,
+        seats: Array.from({ length: room.seats }, (_, seat) => {
+          const p = room.players.find(pl => pl.seat === seat);
+          return p ? { name: p.name, isBot: !!p.isBot, botLevel: p.botLevel || null, rating: p.isBot ? botRating(p.botLevel) : p.rating } : null;
+        }),
+        botLevels: room.botLevels.slice(0, room.seats),
+        rating: waitingRoomRating(room),
+        rules: { id: room.ruleProfile, name: getRuleProfile(room.ruleProfile).name },
+        decks: tableConfig(room.seats).decks,
+        clock: room.clock,
+        settings: room.settings,
+        botFallbackMs: room.botFallbackAt === null ? null : Math.max(0, room.botFallbackAt - Date.now())
+      }));
+  }
+
+  function watchLobby(socket) {
+    lobbyWatchers.set(socket.id, socket);
+    socket.emit('lobbyState', { tables: getLobby() });
+  }
+
+  function stopWatchingLobby(socket) {
+    lobbyWatchers.delete(socket.id);
+  }
+
+  // Tables change in bursts (a join updates the room several times), so watchers get one lobbyState per burst
+  function lobbyChanged() {
+    if (lobbyPending || lobbyWatchers.size === 0) return;
+    lobbyPending = true;
+    setImmediate(() => {
+      lobbyPending = false;
+      const state = { tables: getLobby() };
+      lobbyWatchers.forEach(socket => socket.emit('lobbyState', state));
+    });
   }
 
   function startGameWithBots(socket) {
@@ -301,83 +485,526 @@ export function createGameRoomManager(io) {
       return;
     }
     
-    // Add AI bots to fill remaining slots
-    const botsNeeded = 4 - waitingRoom.players.length;
-    const botNames = ['Bot Alpha', 'Bot Beta', 'Bot Gamma', 'Bot Delta'];
+    // The host pressing start counts as ready
+    waitingRoom.players.find(p => p.id === socket.id).ready = true;
+    fillWithBots(waitingRoom);
+  }
+
+  // Adds AI bots to the free seats; the game starts once every human is ready. note leads the system message
+  function fillWithBots(waitingRoom, note = '') {
+    if (waitingRoom.botFallbackTimer) clearTimeout(waitingRoom.botFallbackTimer);
+    waitingRoom.botFallbackTimer = null;
+    waitingRoom.botFallbackAt = null;
+    let added = 0;
+    for (let seat = 0; seat < waitingRoom.seats; seat++) {
+      if (!isFreeSeat(waitingRoom, seat)) continue;
+      waitingRoom.players.push(newBot(waitingRoom, seat));
+      added++;
+    }
+    
+    console.log(`Added ${added} bots to waiting room`);
+    const everyoneReady = waitingRoom.players.every(p => p.isBot || p.ready);
+    sendWaitingRoomSystemMessage(waitingRoom, `${note}${added} AI bot(s) added. ${everyoneReady ? 'Starting game...' : 'The game starts when everyone is ready.'}`);
+    broadcastWaitingRoomState(waitingRoom);
+    tryStart(waitingRoom);
+  }
+
+  function setRuleProfile(socket, profileId) {
+    const waitingRoomId = socketToWaitingRoom.get(socket.id);
+    if (!waitingRoomId) {
+      socket.emit('errorMessage', 'Not in a waiting room');
+      return;
+    }
     
-    console.log(`Adding ${botsNeeded} bots to waiting room`);
-    for (let i = 0; i < botsNeeded; i++) {
-      const botName = botNames[i];
-      waitingRoom.players.push({
-        socket: null, // Bots don't have sockets
-        id: `bot-${randomId()}`,
-        name: botName,
-        isBot: true
-      });
+    const waitingRoom = waitingRooms.get(waitingRoomId);
+    if (!waitingRoom) {
+      socket.emit('errorMessage', 'Waiting room not found');
+      return;
+    }
+    
+    // Only the creator can change the rules
+    if (waitingRoom.creator !== socket.id) {
+      socket.emit('errorMessage', 'Only the room creator can change the rules');
+      return;
+    }
+    
+    const profile = getRuleProfile(profileId);
+    if (!profile) {
+      socket.emit('errorMessage', 'Unknown rule profile');
+      return;
     }
     
-    console.log('Total players after adding bots:', waitingRoom.players.length);
-    // Broadcast updated state before starting
-    sendWaitingRoomSystemMessage(waitingRoom, `${botsNeeded} AI bot(s) added. Starting game...`);
+    if (waitingRoom.ruleProfile === profile.id) return;
+    waitingRoom.ruleProfile = profile.id;
+    sendWaitingRoomSystemMessage(waitingRoom, `Rules set to ${profile.name}`);
     broadcastWaitingRoomState(waitingRoom);
+  }
+
+  function setRuleOptions(socket, options) {
+    const waitingRoomId = socketToWaitingRoom.get(socket.id);
+    if (!waitingRoomId) {
+      socket.emit('errorMessage', 'Not in a waiting room');
+      return;
+    }
     
-    console.log('Scheduling game start in 1 second...');
-    // Start the game
-    setTimeout(() => {
-      console.log('Starting game from waiting room...');
-      startGameFromWaitingRoom(waitingRoom);
-    }, 1000);
+    const waitingRoom = waitingRooms.get(waitingRoomId);
+    if (!waitingRoom) {
+      socket.emit('errorMessage', 'Waiting room not found');
+      return;
+    }
+    
+    if (waitingRoom.creator !== socket.id) {
+      socket.emit('errorMessage', 'Only the room creator can change the rules');
+      return;
+    }
+    
+    for (const [key, label] of Object.entries(RULE_OPTIONS)) {
+      if (typeof options?.[key] === 'boolean' && waitingRoom.ruleOptions[key] !== options[key]) {
+        waitingRoom.ruleOptions[key] = options[key];
+        sendWaitingRoomSystemMessage(waitingRoom, `${label} turned ${options[key] ? 'on' : 'off'}`);
+      }
+    }
+    broadcastWaitingRoomState(waitingRoom);
+  }
+
+  function setTableSize(socket, seats) {
+    const waitingRoomId = socketToWaitingRoom.get(socket.id);
+    if (!waitingRoomId) {
+      socket.emit('errorMessage', 'Not in a waiting room');
+      return;
+    }
+    
+    const waitingRoom = waitingRooms.get(waitingRoomId);
+    if (!waitingRoom) {
+      socket.emit('errorMessage', 'Waiting room not found');
+      return;
+    }
+    
+    if (waitingRoom.creator !== socket.id) {
+      socket.emit('errorMessage', 'Only the room creator can change the table size');
+      return;
+    }
+    
+    if (!Number.isInteger(seats) || seats < MIN_SEATS || seats > MAX_SEATS) {
+      socket.emit('errorMessage', `Tables seat ${MIN_SEATS} to ${MAX_SEATS} players`);
+      return;
+    }
+    
+    if (seats < waitingRoom.players.length) {
+      socket.emit('errorMessage', 'More players are already seated');
+      return;
+    }
+    
+    if (waitingRoom.seats === seats) return;
+    waitingRoom.seats = seats;
+    // Anyone sitting past the new end of the table moves up to a free seat
+    waitingRoom.players.filter(p => p.seat >= seats).forEach(p => { p.seat = freeSeat(waitingRoom); });
+    const { decks } = tableConfig(seats);
+    sendWaitingRoomSystemMessage(waitingRoom, `Table set to ${seats} players${decks > 1 ? ' (two decks)' : ''}`);
+    broadcastWaitingRoomState(waitingRoom);
+    
+    tryStart(waitingRoom);
+  }
+
+  function setRoomLocked(socket, locked) {
+    const waitingRoomId = socketToWaitingRoom.get(socket.id);
+    if (!waitingRoomId) {
+      socket.emit('errorMessage', 'Not in a waiting room');
+      return;
+    }
+    
+    const waitingRoom = waitingRooms.get(waitingRoomId);
+    if (!waitingRoom) {
+      socket.emit('errorMessage', 'Waiting room not found');
+      return;
+    }
+    
+    if (waitingRoom.creator !== socket.id) {
+      socket.emit('errorMessage', 'Only the room creator can lock the room');
+      return;
+    }
+    
+    if (!waitingRoom.code) {
+      socket.emit('errorMessage', 'Only private rooms can be locked');
+      return;
+    }
+    
+    if (waitingRoom.locked === !!locked) return;
+    waitingRoom.locked = !!locked;
+    sendWaitingRoomSystemMessage(waitingRoom, waitingRoom.locked ? 'Room locked: nobody else can join' : 'Room unlocked');
+    broadcastWaitingRoomState(waitingRoom);
+  }
+
+  function changeSeat(socket, seat) {
+    const waitingRoomId = socketToWaitingRoom.get(socket.id);
+    if (!waitingRoomId) {
+      socket.emit('errorMessage', 'Not in a waiting room');
+      return;
+    }
+    
+    const waitingRoom = waitingRooms.get(waitingRoomId);
+    if (!waitingRoom) {
+      socket.emit('errorMessage', 'Waiting room not found');
+      return;
+    }
+    
+    if (!isSeat(waitingRoom, seat)) {
+      socket.emit('errorMessage', 'No such seat at this table');
+      return;
+    }
+    
+    if (!isFreeSeat(waitingRoom, seat)) {
+      socket.emit('errorMessage', 'That seat is taken');
+      return;
+    }
+    
+    waitingRoom.players.find(p => p.id === socket.id).seat = seat;
+    broadcastWaitingRoomState(waitingRoom);
+  }
+
+  function setRoomName(socket, name) {
+    const waitingRoomId = socketToWaitingRoom.get(socket.id);
+    if (!waitingRoomId) {
+      socket.emit('errorMessage', 'Not in a waiting room');
+      return;
+    }
+    
+    const waitingRoom = waitingRooms.get(waitingRoomId);
+    if (!waitingRoom) {
+      socket.emit('errorMessage', 'Waiting room not found');
+      return;
+    }
+    
+    if (waitingRoom.creator !== socket.id) {
+      socket.emit('errorMessage', 'Only the room creator can rename the table');
+      return;
+    }
+    
+    let title;
+    try {
+      title = checkTableName(name);
+    } catch (e) {
+      socket.emit('errorMessage', e.message);
+      return;
+    }
+    
+    if (waitingRoom.name === title) return;
+    waitingRoom.name = title;
+    sendWaitingRoomSystemMessage(waitingRoom, `Table renamed to ${tableName(waitingRoom)}`);
+    broadcastWaitingRoomState(waitingRoom);
+  }
+
+  function setTurnClock(socket, presetId) {
+    const waitingRoomId = socketToWaitingRoom.get(socket.id);
+    if (!waitingRoomId) {
+      socket.emit('errorMessage', 'Not in a waiting room');
+      return;
+    }
+    
+    const waitingRoom = waitingRooms.get(waitingRoomId);
+    if (!waitingRoom) {
+      socket.emit('errorMessage', 'Waiting room not found');
+      return;
+    }
+    
+    if (waitingRoom.creator !== socket.id) {
+      socket.emit('errorMessage', 'Only the room creator can change the turn clock');
+      return;
+    }
+    
+    const preset = getClockPreset(presetId);
+    if (!preset) {
+      socket.emit('errorMessage', 'Unknown turn clock');
+      return;
+    }
+    
+    if (waitingRoom.clock === preset.id) return;
+    waitingRoom.clock = preset.id;
+    sendWaitingRoomSystemMessage(waitingRoom, preset.turnSeconds
+      ? `Turn clock set to ${preset.name}: ${preset.turnSeconds}s a turn plus a ${preset.bankSeconds}s time bank`
+      : 'Turn clock turned off');
+    broadcastWaitingRoomState(waitingRoom);
+  }
+
+  function setRoomSettings(socket, changes) {
+    const waitingRoomId = socketToWaitingRoom.get(socket.id);
+    if (!waitingRoomId) {
+      socket.emit('errorMessage', 'Not in a waiting room');
+      return;
+    }
+    
+    const waitingRoom = waitingRooms.get(waitingRoomId);
+    if (!waitingRoom) {
+      socket.emit('errorMessage', 'Waiting room not found');
+      return;
+    }
+    
+    if (waitingRoom.creator !== socket.id) {
+      socket.emit('errorMessage', 'Only the room creator can change the room settings');
+      return;
+    }
+    
+    let settings;
+    try {
+      settings = updateRoomSettings(waitingRoom.settings, changes);
+    } catch (e) {
+      socket.emit('errorMessage', e.message);
+      return;
+    }
+    
+    const before = describeRoomSettings(waitingRoom.settings);
+    waitingRoom.settings = settings;
+    const after = describeRoomSettings(settings);
+    if (after !== before) sendWaitingRoomSystemMessage(waitingRoom, `Room settings: ${after}`);
+    broadcastWaitingRoomState(waitingRoom);
+  }
+
+  function setBotLevel(socket, seat, level) {
+    const waitingRoomId = socketToWaitingRoom.get(socket.id);
+    if (!waitingRoomId) {
+      socket.emit('errorMessage', 'Not in a waiting room');
+      return;
+    }
+    
+    const waitingRoom = waitingRooms.get(waitingRoomId);
+    if (!waitingRoom) {
+      socket.emit('errorMessage', 'Waiting room not found');
+      return;
+    }
+    
+    if (waitingRoom.creator !== socket.id) {
+      socket.emit('errorMessage', 'Only the room creator can choose bot difficulty');
+      return;
+    }
+    
+    if (!isOpenSeat(waitingRoom, seat)) {
+      socket.emit('errorMessage', 'That seat is not open for a bot');
+      return;
+    }
+    
+    if (!isBotLevel(level)) {
+      socket.emit('errorMessage', 'Unknown bot difficulty');
+      return;
+    }
+    
+    waitingRoom.botLevels[seat] = level;
+    const bot = waitingRoom.players.find(p => p.isBot && p.seat === seat);
+    if (bot) bot.botLevel = level;
+    broadcastWaitingRoomState(waitingRoom);
+  }
+
+  // Any player's ready toggle; the game starts when every human at a full table is ready
+  function setReady(socket, ready) {
+    const waitingRoom = waitingRooms.get(socketToWaitingRoom.get(socket.id));
+    if (!waitingRoom) {
+      socket.emit('errorMessage', 'Not in a waiting room');
+      return;
+    }
+    
+    const player = waitingRoom.players.find(p => p.id === socket.id);
+    if (player.ready === ready) return;
+    player.ready = ready;
+    broadcastWaitingRoomState(waitingRoom);
+    tryStart(waitingRoom);
+  }
+
+  // Host actions: each checks the socket hosts a waiting room (hostedRoom), emitting errorMessage otherwise
+
+  // The player cannot come back to this room under the same name
+  function kickPlayer(socket, playerId) {
+    const waitingRoom = hostedRoom(socket, 'remove players');
+    if (!waitingRoom) return;
+    
+    const target = waitingRoom.players.find(p => p.id === playerId && !p.isBot);
+    if (!target || target.id === socket.id) {
+      socket.emit('errorMessage', 'Pick another player in the room');
+      return;
+    }
+    
+    waitingRoom.players.splice(waitingRoom.players.indexOf(target), 1);
+    waitingRoom.kicked.add(target.name.toLowerCase());
+    socketToWaitingRoom.delete(target.id);
+    target.socket.leave(waitingRoom.id);
+    target.socket.emit('leftWaitingRoom');
+    target.socket.emit('errorMessage', 'The host removed you from the room');
+    scheduleBotFallback(waitingRoom);
+    sendWaitingRoomSystemMessage(waitingRoom, `${target.name} was removed by the host`);
+    broadcastWaitingRoomState(waitingRoom);
+  }
+
+  function transferHost(socket, playerId) {
+    const waitingRoom = hostedRoom(socket, 'hand the room over');
+    if (!waitingRoom) return;
+    
+    const target = waitingRoom.players.find(p => p.id === playerId && !p.isBot);
+    if (!target || target.id === socket.id) {
+      socket.emit('errorMessage', 'Pick another player in the room');
+      return;
+    }
+    
+    waitingRoom.creator = target.id;
+    sendWaitingRoomSystemMessage(waitingRoom, `${target.name} is now the host`);
+    broadcastWaitingRoomState(waitingRoom);
+  }
+
+  // A bot at the seat's chosen level; it gives the seat up to anyone who joins
+  function addBot(socket, seat) {
+    const waitingRoom = hostedRoom(socket, 'add bots');
+    if (!waitingRoom) return;
+    
+    if (!isFreeSeat(waitingRoom, seat)) {
+      socket.emit('errorMessage', 'That seat is taken');
+      return;
+    }
+    
+    const bot = newBot(waitingRoom, seat);
+    waitingRoom.players.push(bot);
+    scheduleBotFallback(waitingRoom);
+    sendWaitingRoomSystemMessage(waitingRoom, `${bot.name} (${bot.botLevel}) took seat ${seat + 1}`);
+    broadcastWaitingRoomState(waitingRoom);
+    tryStart(waitingRoom);
+  }
+
+  function removeBot(socket, seat) {
+    const waitingRoom = hostedRoom(socket, 'remove bots');
+    if (!waitingRoom) return;
+    
+    const bot = waitingRoom.players.find(p => p.isBot && p.seat === seat);
+    if (!bot) {
+      socket.emit('errorMessage', 'No bot in that seat');
+      return;
+    }
+    
+    waitingRoom.players.splice(waitingRoom.players.indexOf(bot), 1);
+    scheduleBotFallback(waitingRoom);
+    sendWaitingRoomSystemMessage(waitingRoom, `${bot.name} left seat ${seat + 1}`);
+    broadcastWaitingRoomState(waitingRoom);
+  }
+
+  // Moves a player or bot to another seat, swapping with whoever sits there
+  function moveSeat(socket, playerId, seat) {
+    const waitingRoom = hostedRoom(socket, 'rearrange seats');
+    if (!waitingRoom) return;
+    
+    const player = waitingRoom.players.find(p => p.id === playerId);
+    if (!player || !isSeat(waitingRoom, seat)) {
+      socket.emit('errorMessage', 'Pick a player and a seat at this table');
+      return;
+    }
+    
+    const occupant = waitingRoom.players.find(p => p.seat === seat);
+    if (occupant === player) return;
+    if (occupant) occupant.seat = player.seat;
+    player.seat = seat;
+    broadcastWaitingRoomState(waitingRoom);
+  }
+
+  function hostedRoom(socket, action) {
+    const waitingRoom = waitingRooms.get(socketToWaitingRoom.get(socket.id));
+    if (!waitingRoom) {
+      socket.emit('errorMessage', 'Not in a waiting room');
+      return null;
+    }
+    
+    if (waitingRoom.creator !== socket.id) {
+      socket.emit('errorMessage', `Only the room creator can ${action}`);
+      return null;
+    }
+    return waitingRoom;
   }
 
   function startGameFromWaitingRoom(waitingRoom) {
     console.log('=== startGameFromWaitingRoom called ===');
     console.log('Waiting room players:', waitingRoom.players.length);
     console.log('Players:', waitingRoom.players.map(p => ({ name: p.name, isBot: p.isBot })));
-    
+
+    for (const p of waitingRoom.players) {
+      if (p.socket) {
+        socketToWaitingRoom.delete(p.socket.id);
+        p.socket.leave(waitingRoom.id);
+      }
+    }
+    closeWaitingRoom(waitingRoom);
+    openRoom(waitingRoom.players.slice().sort((a, b) => a.seat - b.seat), waitingRoom, waitingRoom.chatHistory);
+  }
+
+  // Seats a tournament table (see tournamentManager.js): players [{ socket, name }] in seat order, straight into
+  // a game with the given table setup. A player waiting in a room or watching a game is taken out of it first.
+  // listener(event, payload) hears how the table is doing: 'matchEnded' { matchNumber, scores, matchWins }, then
+  // 'gameOver' or 'gameAborted' { ledger, sockets } (sockets: each seat's connected socket, or null).
+  // Returns the new room id.
+  function startTable({ players, ruleProfile = DEFAULT_RULE_PROFILE, ruleOptions = {}, clock = TURN_CLOCK, settings = DEFAULT_ROOM_SETTINGS }, listener) {
+    if (draining) throw new Error('The server is restarting, please try again in a minute');
+    const busy = players.find(p => isPlaying(p.socket));
+    if (busy) throw new Error(`${busy.name} is already playing a game`);
+    for (const p of players) {
+      if (socketToWaitingRoom.has(p.socket.id)) handleLeaveWaitingRoom(p.socket);
+      stopSpectating(p.socket);
+    }
+    const seated = players.map(p => ({ socket: p.socket, id: p.socket.id, name: p.name, isBot: false }));
+    return openRoom(seated, { ruleProfile, ruleOptions, clock, settings }, [], listener).id;
+  }
+
+  // Whether the socket holds a seat in a game that is still running
+  function isPlaying(socket) {
+    return !!getRoomBySocket(socket);
+  }
+
+  // Starts a game for players [{ socket, id, name, isBot, botLevel }] with the table setup
+  // { ruleProfile, ruleOptions, clock, settings } a waiting room or tournament chose
+  function openRoom(players, table, chatHistory = [], listener = null) {
     const roomId = randomId();
     const room = {
       id: roomId,
-      players: waitingRoom.players.map((p) => ({ 
+      players: players.map((p) => ({ 
         socket: p.socket, 
         id: p.id, 
         name: p.name, 
-        hand: [], 
-        passed: false,
         disconnected: false,
         disconnectTime: null,
-        isBot: p.isBot || false
+        isBot: p.isBot || false,
+        botLevel: p.botLevel || null,
+        sessionNonce: p.isBot ? null : createNonce(), // changes on every resume, retiring the previous token
+        standIn: false // a bot is playing this human's seat until they come back
       })),
-      lastPlay: null, // {by: playerIndex, combo, cards}
-      lastPlayType: null, // The classified combo of the last play
-      turn: null, // playerIndex whose turn
-      leader: null, // playerIndex who leads current trick
-      firstTrick: true,
-      finished: false, // true when entire game over (>100)
-      history: [], // array of { by, type, count, cards: [{id,r,s}] }
-      scores: [0, 0, 0, 0],
-      matchNumber: 1,
-      enforce3D: true, // only for the first match
-      playedCards: new Set(), // Track all cards played in current match
+      // Cards, turns and scores live in the game core (gameCore.js); the room only adds sockets and timers
+      game: createGame({
+        seats: players.length,
+        rules: resolveRules(table.ruleProfile, table.ruleOptions),
+        scoring: scoringSettings(table.settings)
+      }),
+      settings: table.settings, // autoPassSeconds, reconnectSeconds and spectatorDelayMoves are read from here
+      botTimer: null, // Pending bot move
+      clock: createClock(table.clock, players.length), // turnClock.js state, null without a clock
+      clockTimer: null, // Fires when the player on turn runs out of time
+      record: null, // Game record (gameRecord.js), sent to players at gameOver
       autoPassTimer: null, // Timer for automatic pass
       autoPassCountdown: 0, // Current countdown value
-      chatHistory: waitingRoom.chatHistory || [], // Transfer chat history from waiting room
-      disconnectTimers: {} // Track disconnect timers for each player
+      autoPassExempt: null, // Seat that played the unbeatable card
+      takeoverVotes: {}, // seat -> seats voting to hand that disconnected seat to a bot now
+      chatHistory, // Transfer chat history from waiting room
+      disconnectTimers: {}, // Track disconnect timers for each player
+      spectators: new Map(), // socket.id -> { socket, name }
+      spectatorChat: [], // the spectators' own channel; players never see it
+      spectatorFrames: [], // the last settings.spectatorDelayMoves + 1 game states; spectators are shown the oldest
+      listener // startTable's listener for tournament tables, null otherwise; not saved across restarts
     };
 
+    room.record = createRecord({ players: room.players.map(p => p.name), seats: room.game.seats, rules: room.game.rules, scoring: room.game.scoring });
     rooms.set(roomId, room);
     
     // Update socket mappings (only for human players)
     for (const p of room.players) {
       if (p.socket) {
         socketToRoom.set(p.socket.id, roomId);
-        socketToWaitingRoom.delete(p.socket.id);
-        p.socket.leave(waitingRoom.id);
         p.socket.join(roomId);
       }
     }
-    
-    // Remove waiting room
-    waitingRooms.delete(waitingRoom.id);
+
+    // Each human gets the token that resumes their seat after a reload or network drop
+    room.players.forEach((p, seat) => {
+      if (p.socket) p.socket.emit('sessionToken', { token: tokens.issue({ roomId, seat, nonce: p.sessionNonce }) });
+    });
     
     // Send existing chat history to all human players
     room.chatHistory.forEach(msg => {
@@ -391,316 +1018,254 @@ export function createGameRoomManager(io) {
     // Send system message that game is starting
     sendSystemMessage(room, 'Game is starting! Good luck!');
 
-    // Start first match; starter is holder of 3♦ and 3♦ must be included on first lead
-    startNewMatch(room, null, true);
+    // Start first match; starter is holder of the lowest card dealt (3♦ by default) and it must be included on first lead
+    startNewMatch(room);
+    return room;
   }
 
-  function handlePlay(socket, cardIds) {
-    const room = getRoomBySocket(socket);
-    if (!room || room.finished) throw new Error('Not in game');
-    const meIdx = room.players.findIndex(p => p.socket && p.socket.id === socket.id);
-    if (meIdx === -1) throw new Error('Player not found');
-    if (meIdx !== room.turn) throw new Error("Not your turn");
-
-    const me = room.players[meIdx];
-    const cards = cardIds.map(id => me.hand.find(c => c.id === id)).filter(Boolean);
-    if (cards.length !== cardIds.length) throw new Error('You do not hold these cards');
-
-    const combo = classify(cards);
-    if (!combo) throw new Error('Invalid combination');
-
-    if (room.firstTrick && room.lastPlay === null && room.enforce3D) {
-      if (!includes3D(cards)) throw new Error('First play must include 3♦');
-    }
-
-    if (room.lastPlay) {
-      if (cards.length !== room.lastPlay.cards.length) throw new Error('Must match number of cards');
-      if (!canBeat(room.lastPlay.combo, combo)) throw new Error('Does not beat previous');
-    }
+  // Runs an action through the game core and plays its events out on the room.
+  // Throws the core's error (with the room untouched) when the action is illegal.
+  function dispatch(room, action) {
+    if (draining) throw new Error('The server is restarting');
+    const { state, events } = reduce(room.game, action);
+    room.game = state;
+    recordEvents(room.record, state, events);
+    // The clock restarts with every turn, including a player leading again after winning the trick
+    if (state.turn === null || state.finished) stopTurnClock(room);
+    else if (events.some(e => e.type === 'turn')) startTurnClock(room, state.turn);
+    room.spectatorFrames.push(state);
+    if (room.spectatorFrames.length > room.settings.spectatorDelayMoves + 1) room.spectatorFrames.shift();
+    let sendState = true;
+    // Bots wait a little longer after their own move than after a new trick or deal
+    const botDelay = events.some(e => e.type === 'trickEnded' || e.type === 'matchStarted') ? 1000 : 1500;
+
+    for (const event of events) {
+      switch (event.type) {
+        case 'matchStarted':
+          cancelAutoPassCountdown(room);
+          broadcastState(room);
+          sendState = false;
+          room.players.forEach((p, idx) => {
+            if (p.socket) {
+              p.socket.emit('gameStarted', {
+                roomId: room.id,
+                seat: idx,
+                name: p.name,
+                hand: room.game.hands[idx],
+                turn: room.game.turn,
+                leader: room.game.leader,
+                scores: room.game.scores,
+                matchNumber: room.game.matchNumber,
+                rules: room.game.rules,
+                seats: room.game.seats,
+                startCard: event.startCard,
+                dealCommitment: event.dealCommitment
+              });
+            }
+          });
+          break;
 
-    // Check if this is the highest card BEFORE adding to playedCards
-    const highestCardInfo = checkHighestCardPlayed(room, cards, combo);
+        case 'played': {
+          const player = room.players[event.seat];
+          if (event.bomb) announceBomb(room, event.seat, event.combo, event.bombed);
+          if (event.highest) {
+            console.log(`Highest card played: ${player.name} played ${event.combo.type}`, event.highest);
+            room.players.forEach(p => {
+              if (p.socket) {
+                p.socket.emit('highestCardPlayed', {
+                  playerIndex: event.seat,
+                  playerName: player.name,
+                  info: event.highest,
+                  combo: event.combo.type
+                });
+              }
+            });
+            // Start 10-second countdown for auto-pass
+            startAutoPassCountdown(room, event.seat);
+          } else {
+            // Cancel any existing countdown if this is not the highest card
+            cancelAutoPassCountdown(room);
+          }
+          break;
+        }
 
-    // apply move: remove cards from hand and track played cards
-    me.hand = me.hand.filter(c => !cardIds.includes(c.id));
-    cards.forEach(c => room.playedCards.add(c.id));
-    me.passed = false;
-    room.lastPlay = { by: meIdx, combo, cards };
-    room.lastPlayType = combo;
-  // persist in history
-  room.history.push({ by: meIdx, type: combo.type, count: cards.length, cards: cards.map(c=>({ id: c.id, r: c.r, s: c.s })) });
-    room.firstTrick = false;
+        case 'passed':
+          if (event.auto) console.log(`Auto-passing ${room.players[event.seat].name}`);
+          break;
 
-    // Emit highest card notification if applicable
-    if (highestCardInfo) {
-      console.log(`Highest card played: ${me.name} played ${combo.type}`, highestCardInfo);
-      room.players.forEach(player => {
-        if (player.socket) {
-          player.socket.emit('highestCardPlayed', {
-            playerIndex: meIdx,
-            playerName: me.name,
-            info: highestCardInfo,
-            combo: combo.type
+        case 'oneCardLeft': {
+          const p = room.players[event.seat];
+          console.log(`Warning: ${p.name} has 1 card left!`);
+          room.players.forEach(player => {
+            if (player.socket) {
+              player.socket.emit('playerOneCardLeft', { playerIndex: event.seat, playerName: p.name });
+            }
           });
+          break;
         }
-      });
-      
-      // Start 10-second countdown for auto-pass
-      startAutoPassCountdown(room, meIdx);
-    } else {
-      // Cancel any existing countdown if this is not the highest card
-      cancelAutoPassCountdown(room);
-    }
 
-    // match win?
-    if (me.hand.length === 0) {
-      finishMatch(room, meIdx);
-      return;
-    }
-
-    // advance turn
-    const nextIdx = nextAlive(room, meIdx);
-    room.turn = nextIdx;
+        case 'trickEnded':
+          cancelAutoPassCountdown(room);
+          break;
 
-    // Check if any player has only 1 card left and emit warning BEFORE broadcasting state
-    room.players.forEach((p, idx) => {
-      if (p.hand.length === 1) {
-        console.log(`Warning: ${p.name} has 1 card left!`);
-        room.players.forEach(player => {
-          if (player.socket) {
-            player.socket.emit('playerOneCardLeft', { 
-              playerIndex: idx, 
-              playerName: p.name 
-            });
-          }
-        });
-      }
-    });
+        case 'turn':
+          if (botControlled(room.players[event.seat])) scheduleBotTurn(room, botDelay);
+          break;
 
-    // reset others' passed? We keep passed flags and only clear when trick ends; stepping continues.
-    broadcastState(room);
+        case 'matchEnded':
+          finishMatch(room, event);
+          break;
 
-    // If all others passed already (edge: can happen if only one competitor), end trick immediately
-    if (allOthersPassed(room)) {
-      endTrick(room);
-    } else if (room.players[nextIdx].isBot) {
-      // If next player is a bot, trigger AI turn
-      setTimeout(() => processAITurn(room), 1500);
+        case 'gameOver':
+          broadcastGameOver(room, {
+            scores: event.scores,
+            busted: event.busted,
+            champion: event.champion,
+            matchNumber: event.matchNumber,
+            ledger: event.ledger,
+            record: room.record
+          });
+          break;
+      }
     }
+
+    if (sendState) broadcastState(room);
+    saveRoom(room);
   }
 
-  function handlePass(socket) {
+  function handlePlay(socket, cardIds) {
     const room = getRoomBySocket(socket);
-    if (!room || room.finished) throw new Error('Not in game');
+    if (!room || room.game.finished) throw new Error('Not in game');
     const meIdx = room.players.findIndex(p => p.socket && p.socket.id === socket.id);
     if (meIdx === -1) throw new Error('Player not found');
-    if (meIdx !== room.turn) throw new Error('Not your turn');
-    if (!room.lastPlay) throw new Error('Cannot pass on a fresh trick');
-
-    room.players[meIdx].passed = true;
-    
-    // if passing makes all others passed -> end trick
-    if (allOthersPassed(room)) {
-      cancelAutoPassCountdown(room); // Cancel countdown when trick ends
-      endTrick(room);
-    } else {
-      room.turn = nextAlive(room, meIdx);
-      broadcastState(room);
-      
-      // If next player is a bot, trigger AI turn
-      if (room.players[room.turn].isBot) {
-        setTimeout(() => processAITurn(room), 1500);
-      }
-    }
+    dispatch(room, { type: 'play', seat: meIdx, cardIds });
   }
 
-  function allOthersPassed(room) {
-    if (!room.lastPlay) return false;
-    const lastBy = room.lastPlay.by;
-    return room.players.every((p, idx) => idx === lastBy || p.passed === true);
+  function handlePass(socket) {
+    const room = getRoomBySocket(socket);
+    if (!room || room.game.finished) throw new Error('Not in game');
+    const meIdx = room.players.findIndex(p => p.socket && p.socket.id === socket.id);
+    if (meIdx === -1) throw new Error('Player not found');
+    dispatch(room, { type: 'pass', seat: meIdx });
   }
 
-  function endTrick(room) {
-    // last player to play becomes leader and next turn
-    const lastBy = room.lastPlay.by;
-    room.players.forEach(p => p.passed = false);
-    room.leader = lastBy;
-    room.turn = lastBy;
-    room.lastPlay = null;
-    room.lastPlayType = null;
-    cancelAutoPassCountdown(room); // Cancel countdown when trick ends
-    broadcastState(room);
-    
-    // If the new turn is a bot, trigger AI turn
-    if (room.players[room.turn].isBot) {
-      setTimeout(() => processAITurn(room), 1000);
-    }
+  // Suggests a play for the player whose turn it is, taken from the best partition of their hand
+  // (the planned lead, or the weakest reply that does not break a planned combo)
+  function handleHint(socket) {
+    const room = getRoomBySocket(socket);
+    if (!room || room.game.finished) throw new Error('Not in game');
+    const meIdx = room.players.findIndex(p => p.socket && p.socket.id === socket.id);
+    if (meIdx === -1) throw new Error('Player not found');
+    const game = room.game;
+    if (meIdx !== game.turn) throw new Error('Not your turn');
+
+    const moves = movesFor(game, meIdx);
+    const hand = game.hands[meIdx];
+    const opts = { rules: game.rules, goal: 'strongest', unseen: unseenCards(playerView(game, meIdx)) };
+    const plan = planHand(hand, opts);
+    const cards = moves.length === 0 ? null
+      : game.lastPlay ? planFollow(hand, game.lastPlay.combo, opts)
+      : planLead(hand, { ...opts, mustInclude: requiredCard(game) });
+    socket.emit('hint', {
+      cardIds: cards ? cards.map(c => c.id) : [],
+      type: cards ? classify(cards, game.rules).type : null,
+      moveCount: moves.length,
+      plan: planSummary(plan)
+    });
   }
 
-  function processAITurn(room) {
-    if (room.finished) return;
-    
-    const currentPlayerIdx = room.turn;
-    const currentPlayer = room.players[currentPlayerIdx];
-    
-    // Make sure it's actually a bot's turn
-    if (!currentPlayer.isBot) return;
-    
-    // Get all player card counts for AI decision making
-    const allPlayerCounts = room.players.map((p, idx) => 
-      idx === currentPlayerIdx ? -1 : p.hand.length
-    );
-    
-    // Get AI decision
-    const aiPlay = getAIPlay(
-      currentPlayer.hand, 
-      room.lastPlay, 
-      room.lastPlayType, 
-      allPlayerCounts
-    );
-    
-    if (aiPlay && aiPlay.length > 0) {
-      // AI decided to play cards
-      const cardIds = aiPlay.map(c => c.id);
-      
-      try {
-        // Validate and execute the play
-        const cards = cardIds.map(id => currentPlayer.hand.find(c => c.id === id)).filter(Boolean);
-        if (cards.length !== cardIds.length) {
-          console.error('AI tried to play cards it doesn\'t have');
-          return;
-        }
-
-        const combo = classify(cards);
-        if (!combo) {
-          console.error('AI tried to play invalid combination');
-          return;
-        }
-
-        if (room.firstTrick && room.lastPlay === null && room.enforce3D) {
-          if (!includes3D(cards)) {
-            console.error('AI tried to play without 3♦ on first trick');
-            return;
-          }
-        }
-
-        if (room.lastPlay) {
-          if (cards.length !== room.lastPlay.cards.length) {
-            console.error('AI tried to play wrong number of cards');
-            return;
-          }
-          if (!canBeat(room.lastPlay.combo, combo)) {
-            console.error('AI tried to play cards that don\'t beat previous');
-            return;
-          }
-        }
+  function planSummary(plan) {
+    return {
+      combos: plan.combos.map(c => ({ cardIds: c.cards.map(card => card.id), type: c.combo.type, control: c.control })),
+      count: plan.count,
+      controls: plan.controls,
+      turns: plan.turns
+    };
+  }
 
-        // Check if this is the highest card BEFORE adding to playedCards
-        const highestCardInfo = checkHighestCardPlayed(room, cards, combo);
-
-        // Execute the play
-        currentPlayer.hand = currentPlayer.hand.filter(c => !cardIds.includes(c.id));
-        cards.forEach(c => room.playedCards.add(c.id));
-        currentPlayer.passed = false;
-        room.lastPlay = { by: currentPlayerIdx, combo, cards };
-        room.lastPlayType = combo;
-        room.history.push({ 
-          by: currentPlayerIdx, 
-          type: combo.type, 
-          count: cards.length, 
-          cards: cards.map(c => ({ id: c.id, r: c.r, s: c.s })) 
-        });
-        room.firstTrick = false;
+  function startTurnClock(room, seat) {
+    if (!room.clock) return;
+    if (room.clockTimer) clearTimeout(room.clockTimer);
+    const now = Date.now();
+    room.clock = startTurn(room.clock, seat, now);
+    const { turnMs, bankMs } = timeLeft(room.clock, now);
+    room.clockTimer = setTimeout(() => {
+      room.clockTimer = null;
+      handleTurnTimeout(room, seat);
+    }, turnMs + bankMs);
+  }
 
-        // Emit highest card notification if applicable
-        if (highestCardInfo) {
-          console.log(`Highest card played: ${currentPlayer.name} played ${combo.type}`, highestCardInfo);
-          room.players.forEach(player => {
-            if (player.socket) {
-              player.socket.emit('highestCardPlayed', {
-                playerIndex: currentPlayerIdx,
-                playerName: currentPlayer.name,
-                info: highestCardInfo,
-                combo: combo.type
-              });
-            }
-          });
-          
-          // Start 10-second countdown for auto-pass
-          startAutoPassCountdown(room, currentPlayerIdx);
-        } else {
-          // Cancel any existing countdown if this is not the highest card
-          cancelAutoPassCountdown(room);
-        }
+  function stopTurnClock(room) {
+    if (!room.clock) return;
+    if (room.clockTimer) {
+      clearTimeout(room.clockTimer);
+      room.clockTimer = null;
+    }
+    room.clock = stopTurn(room.clock, Date.now());
+  }
 
-        // Check for match win
-        if (currentPlayer.hand.length === 0) {
-          finishMatch(room, currentPlayerIdx);
-          return;
-        }
+  // Out of time: the server passes for the player, or leads their weakest play on a fresh trick
+  function handleTurnTimeout(room, seat) {
+    if (draining || !rooms.has(room.id) || room.game.finished || room.game.turn !== seat) return;
+    const action = timeoutAction(room.game);
+    sendSystemMessage(room, `⏱️ ${room.players[seat].name} ran out of time and ${action.type === 'pass' ? 'passes' : 'leads their lowest play'}.`);
+    try {
+      dispatch(room, action);
+    } catch (error) {
+      console.error(`Timeout move rejected for ${room.players[seat].name}:`, error.message);
+    }
+  }
 
-        // Advance turn
-        const nextIdx = nextAlive(room, currentPlayerIdx);
-        room.turn = nextIdx;
-
-        // Check if any player has only 1 card left
-        room.players.forEach((p, idx) => {
-          if (p.hand.length === 1) {
-            console.log(`Warning: ${p.name} has 1 card left!`);
-            room.players.forEach(player => {
-              if (player.socket) {
-                player.socket.emit('playerOneCardLeft', { 
-                  playerIndex: idx, 
-                  playerName: p.name 
-                });
-              }
-            });
-          }
-        });
+  // Clock as sent to clients: time left is measured when the state is sent
+  function clockState(room) {
+    const clock = room.clock;
+    if (!clock) return null;
+    const running = clock.seat !== null ? timeLeft(clock, Date.now()) : null;
+    return {
+      preset: clock.preset,
+      turnSeconds: clock.turnMs / 1000,
+      seat: clock.seat,
+      turnLeftMs: running ? running.turnMs : null,
+      banks: clock.banks.map((b, i) => i === clock.seat ? running.bankMs : b) // ms left per seat
+    };
+  }
 
-        broadcastState(room);
+  // One pending bot move per room; a newer turn replaces it
+  function scheduleBotTurn(room, delay) {
+    if (room.botTimer) clearTimeout(room.botTimer);
+    room.botTimer = setTimeout(() => {
+      room.botTimer = null;
+      processAITurn(room);
+    }, delay);
+  }
 
-        // If all others passed, end trick
-        if (allOthersPassed(room)) {
-          endTrick(room);
-          return;
-        }
-        
-        // If next player is also a bot, continue AI turns
-        if (room.players[nextIdx].isBot) {
-          setTimeout(() => processAITurn(room), 1500);
-        }
-        
-      } catch (error) {
-        console.error('Error processing AI play:', error);
-      }
-      
-    } else {
-      // AI decided to pass
-      if (!room.lastPlay) {
-        console.error('AI tried to pass on fresh trick');
-        return;
-      }
-      
-      currentPlayer.passed = true;
-      
-      // If passing makes all others passed -> end trick
-      if (allOthersPassed(room)) {
-        cancelAutoPassCountdown(room);
-        endTrick(room);
-      } else {
-        room.turn = nextAlive(room, currentPlayerIdx);
-        broadcastState(room);
-        
-        // If next player is also a bot, continue AI turns
-        if (room.players[room.turn].isBot) {
-          setTimeout(() => processAITurn(room), 1500);
-        }
-      }
+  function processAITurn(room) {
+    const game = room.game;
+    if (game.finished || !rooms.has(room.id)) return;
+    const seat = game.turn;
+    const currentPlayer = room.players[seat];
+
+    // Make sure it's actually a bot's turn (nobody's between matches)
+    if (!currentPlayer || !botControlled(currentPlayer)) return;
+
+    // Get AI decision for this bot's difficulty level
+    const aiPlay = getBotPlay(currentPlayer.botLevel || BOT_LEVEL, playerView(game, seat), { timeBudgetMs: EXPERT_BUDGET_MS });
+    try {
+      dispatch(room, aiPlay && aiPlay.length > 0
+        ? { type: 'play', seat, cardIds: aiPlay.map(c => c.id) }
+        : { type: 'pass', seat });
+    } catch (error) {
+      console.error(`AI move rejected for ${currentPlayer.name}:`, error.message);
     }
   }
 
   function handleDisconnect(socket) {
+    lobbyWatchers.delete(socket.id);
+    if (socketToSpectatedRoom.has(socket.id)) {
+      stopSpectating(socket);
+      return;
+    }
+
     // Check if in waiting room
     const waitingRoomId = socketToWaitingRoom.get(socket.id);
     if (waitingRoomId) {
@@ -713,12 +1278,14 @@ export function createGameRoomManager(io) {
           socketToWaitingRoom.delete(socket.id);
           socket.leave(waitingRoomId);
           
-          // If waiting room is empty, delete it
-          if (waitingRoom.players.length === 0) {
-            waitingRooms.delete(waitingRoomId);
+          // If only bots are left, delete it
+          if (!hasHumans(waitingRoom)) {
+            closeWaitingRoom(waitingRoom);
           } else {
             // Broadcast updated state and system message
+            scheduleBotFallback(waitingRoom);
             sendWaitingRoomSystemMessage(waitingRoom, `${playerName} left the waiting room`);
+            handOverRoom(waitingRoom, socket.id);
             broadcastWaitingRoomState(waitingRoom);
           }
         }
@@ -738,81 +1305,186 @@ export function createGameRoomManager(io) {
     if (idx >= 0) {
       const player = room.players[idx];
       
-      // Mark player as disconnected instead of ending game
-      player.disconnected = true;
-      player.disconnectTime = Date.now();
-      
-      // Store session for reconnection
-      const sessionKey = `${player.name}:${roomId}`;
-      playerSessions.set(sessionKey, {
-        playerIndex: idx,
-        roomId: roomId,
-        playerName: player.name,
-        disconnectTime: player.disconnectTime
-      });
+      // Sockets closing while the server shuts down: the room is already saved
+      if (draining) return;
+
+      markDisconnected(room, idx);
       
       // Notify other players
-      sendSystemMessage(room, `${player.name} disconnected. They have 60 seconds to reconnect.`);
+      sendSystemMessage(room, `${player.name} disconnected. A bot takes their seat if they are not back within ${room.settings.reconnectSeconds} seconds.`);
       
       // Broadcast updated state showing player as disconnected
       broadcastState(room);
-      
-      // Set timeout to end game if player doesn't reconnect
-      const disconnectTimer = setTimeout(() => {
-        // Check if player is still disconnected
-        const currentRoom = rooms.get(roomId);
-        if (currentRoom && currentRoom.players[idx]?.disconnected) {
-          // Player didn't reconnect in time - end the game
-          currentRoom.finished = true;
-          currentRoom.players.forEach(p => {
-            if (p.socket && p.socket.connected) {
-              p.socket.emit('gameAborted', { 
-                reason: `${player.name} disconnected and did not reconnect in time.` 
-              });
-              socketToRoom.delete(p.socket.id);
-              p.socket.leave(roomId);
-            }
-          });
-          
-          // Clean up
-          rooms.delete(roomId);
-          playerSessions.delete(sessionKey);
-          
-          // Cancel any active countdown
-          if (currentRoom.autoPassTimer) {
-            clearInterval(currentRoom.autoPassTimer);
-          }
-        }
-      }, 60000); // 60 second timeout
-      
-      // Store the timer reference
-      if (!room.disconnectTimers) {
-        room.disconnectTimers = {};
-      }
-      room.disconnectTimers[idx] = disconnectTimer;
+      saveRoom(room);
       
       // Remove socket mapping (but keep room intact)
       socketToRoom.delete(socket.id);
     }
   }
 
+  // Keeps a seat open for the room's reconnect window, then hands it to a bot until the player comes back
+  function markDisconnected(room, idx) {
+    const player = room.players[idx];
+    player.disconnected = true;
+    player.disconnectTime = Date.now();
+    room.takeoverVotes[idx] = [];
+    
+    const disconnectTimer = setTimeout(() => {
+      if (rooms.get(room.id) === room && player.disconnected && !player.standIn) {
+        handOverToBot(room, idx, `${player.name} did not come back in time, so a bot is playing their seat. They can take it back by rejoining.`);
+      }
+    }, room.settings.reconnectSeconds * 1000);
+    
+    // Store the timer reference
+    if (!room.disconnectTimers) {
+      room.disconnectTimers = {};
+    }
+    room.disconnectTimers[idx] = disconnectTimer;
+  }
+
+  function botControlled(player) {
+    return player.isBot || player.standIn;
+  }
+
+  // A bot plays a disconnected human's seat (at the room's default level) until handleReconnect gives it back.
+  // With no human left at the table there is nobody to play for, so the game ends instead.
+  function handOverToBot(room, idx, message) {
+    const player = room.players[idx];
+    if (room.disconnectTimers?.[idx]) {
+      clearTimeout(room.disconnectTimers[idx]);
+      delete room.disconnectTimers[idx];
+    }
+    delete room.takeoverVotes[idx];
+
+    if (!room.players.some(p => !p.isBot && !p.disconnected)) {
+      abortGame(room, 'Everyone has left the game.');
+      return;
+    }
+
+    player.standIn = true;
+    player.botLevel = BOT_LEVEL;
+    sendSystemMessage(room, message);
+    if (room.game.turn === idx) scheduleBotTurn(room, 1000);
+    broadcastState(room);
+    saveRoom(room);
+  }
+
+  // Connected players can agree to hand a disconnected seat to a bot at once instead of waiting out the
+  // grace period; a majority of the connected players is enough
+  function handleTakeoverVote(socket, seat) {
+    const room = getRoomBySocket(socket);
+    if (!room || room.game.finished) throw new Error('Not in game');
+    const voter = room.players.findIndex(p => p.socket && p.socket.id === socket.id);
+    if (voter === -1) throw new Error('Player not found');
+    const player = room.players[seat];
+    if (!player || player.isBot || !player.disconnected || player.standIn) throw new Error('That seat is not waiting for a disconnected player');
+
+    const connected = room.players.map((p, i) => i).filter(i => !room.players[i].isBot && !room.players[i].disconnected);
+    const votes = (room.takeoverVotes[seat] || []).filter(i => i !== voter && connected.includes(i));
+    votes.push(voter);
+    room.takeoverVotes[seat] = votes;
+    const needed = votesNeeded(room);
+    if (votes.length >= needed) {
+      handOverToBot(room, seat, `The table voted to play on: a bot is playing ${player.name}'s seat until they rejoin.`);
+      return;
+    }
+    sendSystemMessage(room, `${room.players[voter].name} votes to play on with a bot for ${player.name} (${votes.length}/${needed}).`);
+    broadcastState(room);
+  }
+
+  // Majority of the humans still connected
+  function votesNeeded(room) {
+    const connected = room.players.filter(p => !p.isBot && !p.disconnected).length;
+    return Math.floor(connected / 2) + 1;
+  }
+
+  // Ends a game early for everyone still connected and forgets the room
+  function abortGame(room, reason) {
+    room.game = { ...room.game, finished: true };
+    if (room.botTimer) clearTimeout(room.botTimer);
+    if (room.clockTimer) clearTimeout(room.clockTimer);
+    if (room.autoPassTimer) clearInterval(room.autoPassTimer);
+    Object.values(room.disconnectTimers || {}).forEach(clearTimeout);
+    room.players.forEach(p => {
+      if (p.socket && p.socket.connected) {
+        p.socket.emit('gameAborted', { reason });
+        socketToRoom.delete(p.socket.id);
+        p.socket.leave(room.id);
+      }
+    });
+    releaseSpectators(room, 'gameAborted', { reason });
+    rooms.delete(room.id);
+    store.remove(room.id);
+    const ledger = finalLedger(room.game.scores, room.game.scoring, room.game.matchWins);
+    recordStats(() => stats.recordGame(statsGame(room), { scores: room.game.scores, champion: null, ledger }));
+    room.listener?.('gameAborted', { ledger, sockets: seatSockets(room) });
+  }
+
+  // Each seat's socket while its player is connected, for startTable listeners
+  function seatSockets(room) {
+    return room.players.map(p => p.socket && !p.disconnected ? p.socket : null);
+  }
+
+  // Watch a running game by its room id. Spectators get spectatorStateFor() with every state update
+  // and chat among themselves; the players only see how many are watching.
+  function handleSpectate(socket, roomId, name) {
+    if (socketToRoom.has(socket.id) || socketToWaitingRoom.has(socket.id)) throw new Error('Leave your own game before watching another');
+    const room = rooms.get(roomId);
+    if (!room || room.game.finished) throw new Error('No game with that id is being played');
+    stopSpectating(socket);
+    const spectator = { socket, name: name || 'Spectator' };
+    room.spectators.set(socket.id, spectator);
+    socketToSpectatedRoom.set(socket.id, room.id);
+    room.spectatorChat.forEach(msg => socket.emit('chatMessage', msg));
+    sendSpectatorSystemMessage(room, `${spectator.name} is watching`);
+    broadcastState(room); // the new spectator's first state, and the new viewer count for everyone
+  }
+
+  function stopSpectating(socket) {
+    const roomId = socketToSpectatedRoom.get(socket.id);
+    if (!roomId) return;
+    socketToSpectatedRoom.delete(socket.id);
+    const room = rooms.get(roomId);
+    if (!room) return;
+    const spectator = room.spectators.get(socket.id);
+    room.spectators.delete(socket.id);
+    if (spectator) sendSpectatorSystemMessage(room, `${spectator.name} stopped watching`);
+    broadcastState(room);
+  }
+
+  // The game is over for the spectators too: they get the final table and the players' last event, and are let go
+  function releaseSpectators(room, event, payload) {
+    const view = room.spectators.size > 0 ? spectatorStateFor(room) : null;
+    room.spectators.forEach((s, socketId) => {
+      s.socket.emit('state', view);
+      s.socket.emit(event, payload);
+      socketToSpectatedRoom.delete(socketId);
+    });
+    room.spectators.clear();
+  }
+
   function broadcastState(room) {
-    for (let i=0;i<4;i++) {
+    for (let i=0;i<room.players.length;i++) {
       const p = room.players[i];
       if (p.socket) { // Only broadcast to human players
         const payload = roomStateFor(room, i);
         p.socket.emit('state', payload);
       }
     }
+    if (room.spectators.size > 0) {
+      const view = spectatorStateFor(room);
+      room.spectators.forEach(s => s.socket.emit('state', view));
+    }
   }
 
   function broadcastGameOver(room, summary) {
-    for (let i=0;i<4;i++) {
+    for (let i=0;i<room.players.length;i++) {
       const p = room.players[i];
       if (p.socket) { // Only broadcast to human players
         p.socket.emit('gameOver', summary);
       }
     }
+    releaseSpectators(room, 'gameOver', summary);
     // cleanup
     const roomId = room.id;
     room.players.forEach(p => {
@@ -821,25 +1493,89 @@ export function createGameRoomManager(io) {
       }
     });
     rooms.delete(roomId);
+    store.remove(roomId);
+    recordStats(() => stats.recordGame(statsGame(room), { scores: summary.scores, champion: summary.champion, ledger: summary.ledger }));
+    room.listener?.('gameOver', { ledger: summary.ledger, sockets: seatSockets(room) });
+  }
+
+  // Lifetime stats are a side record: a store that fails is logged and the game goes on
+  function recordStats(write) {
+    try {
+      write();
+    } catch (e) {
+      console.error('Failed to record stats:', e.message);
+    }
+  }
+
+  function statsGame(room) {
+    return {
+      id: room.id,
+      startedAt: room.record.startedAt,
+      players: room.players.map(p => ({ name: p.name, isBot: !!p.isBot, botLevel: p.botLevel })),
+      rules: room.game.rules.id,
+      scoring: room.game.scoring
+    };
   }
 
   function roomStateFor(room, viewerIdx) {
+    const game = room.game;
+    // Only worked out on the viewer's own turn: which cards can be played, and whether anything can
+    const moves = game.turn === viewerIdx && !game.finished ? movesFor(game, viewerIdx) : null;
     return {
-      roomId: room.id,
+      ...tableState(room, game),
       you: viewerIdx,
+      hand: sortHand(game.hands[viewerIdx], game.rules),
+      takeoverVotes: room.players.map((_, i) => room.takeoverVotes[i] || null), // voters per seat waiting on a disconnected player
+      takeoverVotesNeeded: votesNeeded(room),
+      playable: moves ? [...new Set(moves.flatMap(m => m.cards.map(c => c.id)))] : null,
+      hasLegalMove: moves ? moves.length > 0 : null,
+      clock: clockState(room)
+    };
+  }
+
+  // Same shape as roomStateFor for someone without a seat: no hand, and the table as it was
+  // settings.spectatorDelayMoves moves ago (the final table once the game is over)
+  function spectatorStateFor(room) {
+    const game = room.game.finished ? room.game : room.spectatorFrames[0] || room.game;
+    return {
+      ...tableState(room, game),
+      you: -1,
+      hand: [],
+      playable: null,
+      hasLegalMove: null,
+      clock: room.settings.spectatorDelayMoves ? null : clockState(room), // a live clock would give the delay away
+      spectating: true,
+      spectatorDelay: room.settings.spectatorDelayMoves
+    };
+  }
+
+  // Everything at the table anyone may see
+  function tableState(room, game) {
+    return {
+      roomId: room.id,
       names: room.players.map(p=>p.name),
-      hand: sortHand(room.players[viewerIdx].hand),
-      counts: room.players.map(p=>p.hand.length),
-      passed: room.players.map(p=>!!p.passed),
+      counts: game.hands.map(h=>h.length),
+      passed: game.passed.slice(),
       disconnected: room.players.map(p=>!!p.disconnected),
       isBot: room.players.map(p=>!!p.isBot), // Add bot status
-      lastPlay: room.lastPlay ? { by: room.lastPlay.by, type: room.lastPlay.combo.type, count: room.lastPlay.cards.length, cards: room.lastPlay.cards.map(c=>({ id: c.id, r: c.r, s: c.s })) } : null,
-      history: room.history.slice(-30),
-      scores: room.scores,
-      matchNumber: room.matchNumber,
-      turn: room.turn,
-      leader: room.leader,
-      finished: room.finished
+      standIn: room.players.map(p => !!p.standIn), // a bot is playing for a disconnected human
+      botLevels: room.players.map(p => botControlled(p) ? p.botLevel : null),
+      lastPlay: game.lastPlay ? { by: game.lastPlay.by, type: game.lastPlay.combo.type, count: game.lastPlay.cards.length, cards: game.lastPlay.cards.map(c=>({ id: c.id, r: c.r, s: c.s })) } : null,
+      history: game.history.slice(-30),
+      scores: game.scores,
+      matchWins: game.matchWins,
+      scoring: game.scoring,
+      matchNumber: game.matchNumber,
+      rules: game.rules,
+      seats: game.seats,
+      decks: game.decks,
+      undealtCount: game.undealt.length,
+      startCard: game.enforce3D ? game.startCard : null,
+      dealCommitment: game.deal?.commitment || null,
+      turn: game.turn,
+      leader: game.leader,
+      finished: game.finished,
+      spectatorCount: room.spectators.size
     };
   }
 
@@ -849,125 +1585,72 @@ export function createGameRoomManager(io) {
     return rooms.get(roomId) || null;
   }
 
-  function nextAlive(room, fromIdx) {
-    for (let k=1;k<=4;k++) {
-      const i = (fromIdx + k) % 4;
-      // if no one has played yet in trick, everyone is alive; otherwise alive means not passed or is lastBy
-      if (!room.lastPlay) return i;
-      if (i === room.lastPlay.by) return i; // next to leader allowed
-      if (!room.players[i].passed) return i;
-    }
-    return fromIdx; // shouldn't happen
-  }
-
   function randomId() { return randomUUID?.() || Math.random().toString(36).slice(2,10); }
 
   // Helpers for multi-match lifecycle
-  function startNewMatch(room, startingIdx /* number|null */, enforce3D) {
-    // Cancel any active countdown
-    cancelAutoPassCountdown(room);
-    
-    const deck = shuffle(makeDeck());
-    const hands = dealToFour(deck);
-    room.players.forEach((p, i) => {
-      p.hand = hands[i];
-      p.passed = false;
-    });
-    // determine starting player
-    let startIndex = startingIdx;
-    if (startIndex === null || startIndex === undefined) {
-      startIndex = room.players.findIndex(p => p.hand.some(c => c.id === '3D'));
-      if (startIndex < 0) startIndex = 0;
-    }
-    room.turn = startIndex;
-    room.leader = startIndex;
-    room.firstTrick = true;
-    room.lastPlay = null;
-    room.lastPlayType = null;
-    room.enforce3D = !!enforce3D;
-    room.playedCards = new Set(); // Reset played cards for new match
-
-    // Broadcast fresh state and a start event for the match
-    broadcastState(room);
-    room.players.forEach((p, idx) => {
-      if (p.socket) {
-        p.socket.emit('gameStarted', {
-          roomId: room.id,
-          seat: idx,
-          name: p.name,
-          hand: room.players[idx].hand,
-          turn: room.turn,
-          leader: room.leader,
-          scores: room.scores,
-          matchNumber: room.matchNumber
-        });
-      }
-    });
-    
-    // If the starting player is a bot, trigger AI turn
-    if (room.players[room.turn].isBot) {
-      setTimeout(() => processAITurn(room), 1000);
-    }
-  }
-
-  function penaltyPoints(cardsLeft) {
-    if (cardsLeft <= 0) return 0;
-    if (cardsLeft <= 4) return cardsLeft;
-    if (cardsLeft <= 9) return cardsLeft * 2;
-    return cardsLeft * 3; // 10 to 13
+  // Deals the next match from a fresh secret seed (its commitment goes out in gameStarted)
+  function startNewMatch(room) {
+    if (draining || !rooms.has(room.id) || room.game.finished) return;
+    dispatch(room, { type: 'startMatch', seed: createDealSeed() });
   }
 
-  function finishMatch(room, winnerIdx) {
+  function finishMatch(room, summary) {
     // Cancel any active countdown
     cancelAutoPassCountdown(room);
-    
-    // accumulate scores for others
-    const pointsAdded = [0, 0, 0, 0];
-    room.players.forEach((p, i) => {
-      if (i === winnerIdx) return;
-      const n = p.hand.length;
-      const add = penaltyPoints(n);
-      room.scores[i] += add;
-      pointsAdded[i] = add;
-    });
 
-    const handsLeft = room.players.map(p => p.hand.length);
+    // How strong each starting hand was: its best partition into plays
+    const analysis = room.game.deal.hands.map(ids => {
+      const plan = planHand(ids.map(cardFromId), { rules: room.game.rules, goal: 'strongest' });
+      return { count: plan.count, controls: plan.controls, turns: plan.turns };
+    });
 
     // notify match end summary
-    for (let i=0;i<4;i++) {
+    for (let i=0;i<room.players.length;i++) {
       const ps = room.players[i];
       if (ps.socket) { // Only emit to human players
         ps.socket.emit('matchEnded', {
-          winner: winnerIdx,
-          pointsAdded,
-          scores: room.scores,
-          handsLeft,
-          matchNumber: room.matchNumber
+          winner: summary.winner,
+          pointsAdded: summary.pointsAdded,
+          scores: summary.scores,
+          matchWins: summary.matchWins,
+          handsLeft: summary.handsLeft,
+          ledger: summary.ledger,
+          matchNumber: summary.matchNumber,
+          deal: summary.deal,
+          analysis
         });
       }
     }
 
-    // Check game over condition (> 100)
-    const busted = room.scores.map((s, i) => ({ i, s })).filter(x => x.s > 100).map(x => x.i);
-    if (busted.length > 0) {
-      room.finished = true;
-      const minScore = Math.min(...room.scores);
-      const champion = room.scores.findIndex(s => s === minScore);
-      broadcastGameOver(room, {
-        scores: room.scores,
-        busted,
-        champion,
-        matchNumber: room.matchNumber
-      });
-      return;
-    }
+    // Plays per seat by combo type, from the match's moves in the game record
+    const moves = room.record.matches.find(m => m.number === summary.matchNumber)?.moves || [];
+    const combos = room.players.map((_, seat) => {
+      const counts = {};
+      moves.forEach(m => { if (m.seat === seat && m.play) counts[m.type] = (counts[m.type] || 0) + 1; });
+      return counts;
+    });
+    recordStats(() => stats.recordMatch(statsGame(room), {
+      number: summary.matchNumber,
+      winner: summary.winner,
+      pointsAdded: summary.pointsAdded,
+      scores: summary.scores,
+      ledger: summary.ledger,
+      combos
+    }));
+    room.listener?.('matchEnded', { matchNumber: summary.matchNumber, scores: summary.scores, matchWins: summary.matchWins });
 
     // Start next match automatically with winner leading; no 3♦ enforcement from now on
-    room.matchNumber += 1;
-    setTimeout(() => startNewMatch(room, winnerIdx, false), 1200);
+    // (a gameOver event right after this one ends the game instead)
+    if (!room.game.finished) setTimeout(() => startNewMatch(room), 1200);
   }
 
   function handleChatMessage(socket, message) {
+    const spectatedRoom = rooms.get(socketToSpectatedRoom.get(socket.id));
+    if (spectatedRoom) {
+      handleSpectatorChatMessage(socket, spectatedRoom, message);
+      return;
+    }
+
     // Check if in waiting room first
     const waitingRoomId = socketToWaitingRoom.get(socket.id);
     if (waitingRoomId) {
@@ -980,7 +1663,7 @@ export function createGameRoomManager(io) {
     
     // Handle active game room chat
     const room = getRoomBySocket(socket);
-    if (!room || room.finished) {
+    if (!room || room.game.finished) {
       socket.emit('errorMessage', 'Not in an active game');
       return;
     }
@@ -1047,12 +1730,82 @@ export function createGameRoomManager(io) {
 
     // Broadcast chat message to all players in the room
     room.players.forEach(player => {
-      player.socket.emit('chatMessage', chatMessage);
+      if (player.socket) {
+        player.socket.emit('chatMessage', chatMessage);
+      }
     });
   }
 
+  // Spectator chat is a channel of its own, so nothing said there reaches the players
+  function handleSpectatorChatMessage(socket, room, message) {
+    const me = room.spectators.get(socket.id);
+    if (!me) {
+      socket.emit('errorMessage', 'Not watching this game');
+      return;
+    }
+
+    if (typeof message !== 'string') {
+      socket.emit('errorMessage', 'Invalid message format');
+      return;
+    }
+
+    const sanitizedMessage = message.toString().trim();
+    if (!sanitizedMessage) {
+      socket.emit('errorMessage', 'Message cannot be empty');
+      return;
+    }
+    if (sanitizedMessage.length > 200) {
+      socket.emit('errorMessage', 'Message too long (max 200 characters)');
+      return;
+    }
+
+    const now = Date.now();
+    if (!room.lastChatTimestamps) {
+      room.lastChatTimestamps = {};
+    }
+    if (now - (room.lastChatTimestamps[socket.id] || 0) < 500) { // 500ms cooldown
+      socket.emit('errorMessage', 'Please wait before sending another message');
+      return;
+    }
+    room.lastChatTimestamps[socket.id] = now;
+
+    const chatMessage = {
+      id: randomUUID(),
+      playerIndex: -1,
+      playerName: me.name,
+      message: sanitizedMessage,
+      timestamp: now,
+      type: 'spectator'
+    };
+
+    room.spectatorChat.push(chatMessage);
+    if (room.spectatorChat.length > 100) {
+      room.spectatorChat.shift();
+    }
+
+    room.spectators.forEach(s => s.socket.emit('chatMessage', chatMessage));
+  }
+
+  function sendSpectatorSystemMessage(room, message) {
+    const systemMessage = {
+      id: randomUUID(),
+      playerIndex: -1,
+      playerName: 'System',
+      message,
+      timestamp: Date.now(),
+      type: 'system'
+    };
+
+    room.spectatorChat.push(systemMessage);
+    if (room.spectatorChat.length > 100) {
+      room.spectatorChat.shift();
+    }
+
+    room.spectators.forEach(s => s.socket.emit('chatMessage', systemMessage));
+  }
+
   function handleWaitingRoomChatMessage(socket, waitingRoom, message) {
-    const meIdx = waitingRoom.players.findIndex(p => p.socket.id === socket.id);
+    const meIdx = waitingRoom.players.findIndex(p => p.socket && p.socket.id === socket.id);
     if (meIdx === -1) {
       socket.emit('errorMessage', 'Player not found');
       return;
@@ -1171,7 +1924,7 @@ export function createGameRoomManager(io) {
     if (waitingRoomId) {
       const waitingRoom = waitingRooms.get(waitingRoomId);
       if (waitingRoom) {
-        const meIdx = waitingRoom.players.findIndex(p => p.socket.id === socket.id);
+        const meIdx = waitingRoom.players.findIndex(p => p.socket && p.socket.id === socket.id);
         if (meIdx === -1) return;
 
         const me = waitingRoom.players[meIdx];
@@ -1192,7 +1945,7 @@ export function createGameRoomManager(io) {
     
     // Handle active game room typing
     const room = getRoomBySocket(socket);
-    if (!room || room.finished) return;
+    if (!room || room.game.finished) return;
     
     const meIdx = room.players.findIndex(p => p.socket && p.socket.id === socket.id);
     if (meIdx === -1) return;
@@ -1224,7 +1977,7 @@ export function createGameRoomManager(io) {
       return;
     }
     
-    const playerIdx = waitingRoom.players.findIndex(p => p.socket.id === socket.id);
+    const playerIdx = waitingRoom.players.findIndex(p => p.socket && p.socket.id === socket.id);
     if (playerIdx >= 0) {
       const playerName = waitingRoom.players[playerIdx].name;
       waitingRoom.players.splice(playerIdx, 1);
@@ -1234,89 +1987,75 @@ export function createGameRoomManager(io) {
       // Notify player they left
       socket.emit('leftWaitingRoom');
       
-      // If waiting room is empty, delete it
-      if (waitingRoom.players.length === 0) {
-        waitingRooms.delete(waitingRoomId);
+      // If only bots are left, delete it
+      if (!hasHumans(waitingRoom)) {
+        closeWaitingRoom(waitingRoom);
       } else {
         // Broadcast updated state and system message
+        scheduleBotFallback(waitingRoom);
         sendWaitingRoomSystemMessage(waitingRoom, `${playerName} left the waiting room`);
+        handOverRoom(waitingRoom, socket.id);
         broadcastWaitingRoomState(waitingRoom);
       }
     }
   }
 
-  function handleReconnect(socket, name) {
-    if (!name) {
-      socket.emit('errorMessage', 'Name required for reconnection');
-      return;
-    }
-    
-    const playerName = name.toString().trim();
-    
-    // Search for a session with this player name
-    let foundSession = null;
-    let sessionKey = null;
-    
-    for (const [key, session] of playerSessions.entries()) {
-      if (session.playerName === playerName) {
-        // Check if session is still valid (within 60 seconds)
-        const timeSinceDisconnect = Date.now() - session.disconnectTime;
-        if (timeSinceDisconnect < 60000) {
-          foundSession = session;
-          sessionKey = key;
-          break;
-        } else {
-          // Session expired, clean it up
-          playerSessions.delete(key);
-        }
-      }
-    }
-    
-    if (!foundSession) {
-      socket.emit('errorMessage', 'No active game found to reconnect to');
-      return;
-    }
-    
-    const room = rooms.get(foundSession.roomId);
-    if (!room || room.finished) {
-      socket.emit('errorMessage', 'Game has ended');
-      playerSessions.delete(sessionKey);
-      return;
-    }
-    
-    const playerIdx = foundSession.playerIndex;
-    const player = room.players[playerIdx];
-    
-    if (!player.disconnected) {
-      socket.emit('errorMessage', 'Player slot already occupied');
-      return;
-    }
+  // Resumes a seat from its signed token (sent as sessionToken when the game started, or with the last
+  // reconnected). Throws when the token is not valid for a seat in a game that is still running.
+  function handleReconnect(socket, token) {
+    const session = tokens.verify(token);
+    if (!session) throw new Error('No game to rejoin from this browser');
+    const room = rooms.get(session.roomId);
+    const playerIdx = session.seat;
+    const player = room?.players[playerIdx];
+    if (!player || player.isBot || player.sessionNonce !== session.nonce) throw new Error('This game is no longer available');
+    if (room.game.finished) throw new Error('Game has ended');
+    stopSpectating(socket);
     
     // Clear the disconnect timer
     if (room.disconnectTimers && room.disconnectTimers[playerIdx]) {
       clearTimeout(room.disconnectTimers[playerIdx]);
       delete room.disconnectTimers[playerIdx];
     }
-    
-    // Reconnect the player
+
+    // The seat may still be held by the old connection (a reload or dropped network the server has not
+    // noticed yet): that connection loses the seat
+    const previous = player.socket;
+    if (previous && previous.id !== socket.id && !player.disconnected) {
+      socketToRoom.delete(previous.id);
+      previous.leave(room.id);
+      previous.emit('sessionReplaced', { message: 'Your seat was resumed from another window.' });
+      previous.disconnect?.(true);
+    }
+    
+    // Reconnect the player, taking the seat back from the bot if one stood in
+    const reclaimed = player.standIn;
+    if (reclaimed) {
+      player.standIn = false;
+      player.botLevel = null;
+      if (room.game.turn === playerIdx && room.botTimer) {
+        clearTimeout(room.botTimer);
+        room.botTimer = null;
+      }
+    }
+    delete room.takeoverVotes[playerIdx];
     player.socket = socket;
     player.id = socket.id;
     player.disconnected = false;
     player.disconnectTime = null;
+    player.sessionNonce = createNonce();
     
     // Update socket data and mappings
-    socket.data.name = playerName;
-    socketToRoom.set(socket.id, foundSession.roomId);
-    socket.join(foundSession.roomId);
-    
-    // Clean up session
-    playerSessions.delete(sessionKey);
+    socket.data.name = player.name;
+    socketToRoom.set(socket.id, room.id);
+    socket.join(room.id);
     
     // Notify player of successful reconnection
     socket.emit('reconnected', {
       message: 'Successfully reconnected to the game',
-      roomId: foundSession.roomId,
-      playerIndex: playerIdx
+      roomId: room.id,
+      playerIndex: playerIdx,
+      token: tokens.issue({ roomId: room.id, seat: playerIdx, nonce: player.sessionNonce })
     });
     
     // Send chat history
@@ -1327,21 +2066,180 @@ export function createGameRoomManager(io) {
     }
     
     // Notify other players
-    sendSystemMessage(room, `${playerName} reconnected!`);
+    sendSystemMessage(room, reclaimed ? `${player.name} is back and takes their seat from the bot.` : `${player.name} reconnected!`);
     
     // Send current game state to reconnected player
     broadcastState(room);
+    saveRoom(room);
+  }
+
+  // What a restart needs to bring a room back: everything but sockets and timers
+  function roomSnapshot(room) {
+    return {
+      version: SNAPSHOT_VERSION,
+      id: room.id,
+      savedAt: Date.now(),
+      players: room.players.map(p => ({ name: p.name, isBot: !!p.isBot, botLevel: p.botLevel || null, sessionNonce: p.sessionNonce || null, standIn: !!p.standIn })),
+      game: room.game,
+      settings: room.settings,
+      record: room.record,
+      clock: room.clock,
+      chatHistory: room.chatHistory || [],
+      autoPass: room.autoPassTimer ? { exempt: room.autoPassExempt, countdown: room.autoPassCountdown } : null
+    };
+  }
+
+  function saveRoom(room) {
+    if (!rooms.has(room.id)) return; // game over or aborted
+    try {
+      store.save(roomSnapshot(room));
+    } catch (e) {
+      console.error(`Failed to save room ${room.id}:`, e.message);
+    }
+  }
+
+  // Brings back the rooms in the store after a restart. Human players come back disconnected, with the usual
+  // grace period to reconnect; bot turns, the next deal and any auto-pass countdown pick up where they stopped.
+  // Only started games are saved: waiting rooms are not, and a tournament table comes back without its listener,
+  // as an ordinary game (tournaments live in memory, see tournamentManager.js).
+  function restoreRooms() {
+    let restored = 0;
+    for (const snapshot of store.load()) {
+      if (snapshot.version !== SNAPSHOT_VERSION || !snapshot.game || snapshot.game.finished) {
+        store.remove(snapshot.id);
+        continue;
+      }
+      const room = {
+        id: snapshot.id,
+        players: snapshot.players.map(p => ({
+          socket: null,
+          id: null,
+          name: p.name,
+          disconnected: false,
+          disconnectTime: null,
+          isBot: p.isBot,
+          botLevel: p.botLevel,
+          sessionNonce: p.sessionNonce,
+          standIn: p.standIn
+        })),
+        game: snapshot.game,
+        settings: snapshot.settings,
+        botTimer: null,
+        clock: snapshot.clock && { ...snapshot.clock, seat: null, startedAt: null }, // restarted below
+        clockTimer: null,
+        record: snapshot.record,
+        autoPassTimer: null,
+        autoPassCountdown: 0,
+        autoPassExempt: null,
+        takeoverVotes: {},
+        chatHistory: snapshot.chatHistory,
+        disconnectTimers: {},
+        spectators: new Map(),
+        spectatorChat: [],
+        spectatorFrames: [snapshot.game],
+        listener: null
+      };
+      rooms.set(room.id, room);
+      // Seats a bot already plays for stay with the bot until their player rejoins
+      room.players.forEach((p, idx) => {
+        if (p.standIn) p.disconnected = true;
+        else if (!p.isBot) markDisconnected(room, idx);
+      });
+
+      const { game } = room;
+      if (game.turn === null) {
+        setTimeout(() => startNewMatch(room), 1200); // saved between two matches
+      } else {
+        if (snapshot.autoPass) startAutoPassCountdown(room, snapshot.autoPass.exempt, snapshot.autoPass.countdown);
+        startTurnClock(room, game.turn); // the turn starts over; the downtime is not charged to anyone
+        if (botControlled(room.players[game.turn])) scheduleBotTurn(room, 1000);
+      }
+      restored++;
+    }
+    return restored;
+  }
+
+  // For SIGTERM: saves every room with its timers stopped, warns everyone connected and refuses new games
+  // and moves from then on. Players reconnect to the saved rooms once the server is back.
+  function shutdown() {
+    draining = true;
+    const message = 'The server is restarting. Your game is saved; you will be reconnected when it is back.';
+    for (const room of rooms.values()) {
+      saveRoom(room); // before the countdown is stopped, so it is saved too
+      if (room.botTimer) clearTimeout(room.botTimer);
+      if (room.clockTimer) clearTimeout(room.clockTimer);
+      if (room.autoPassTimer) clearInterval(room.autoPassTimer);
+      Object.values(room.disconnectTimers || {}).forEach(clearTimeout);
+      room.players.forEach(p => {
+        if (p.socket && !p.disconnected) p.socket.emit('serverShutdown', { message });
+      });
+      room.spectators.forEach(s => s.socket.emit('serverShutdown', { message: 'The server is restarting. You can watch again in a minute.' }));
+    }
+    for (const waitingRoom of waitingRooms.values()) {
+      if (waitingRoom.botFallbackTimer) clearTimeout(waitingRoom.botFallbackTimer);
+      waitingRoom.players.forEach(p => {
+        if (p.socket) p.socket.emit('serverShutdown', { message: 'The server is restarting. Please join again in a minute.' });
+      });
+    }
   }
 
   return { 
     enqueuePlayer, 
+    createPrivateRoom,
+    joinByCode,
+    getPrivateRoom,
+    setRoomLocked,
+    createTable,
+    joinTable,
+    changeSeat,
+    setRoomName,
+    setReady,
+    kickPlayer,
+    transferHost,
+    addBot,
+    removeBot,
+    moveSeat,
+    getLobby,
+    watchLobby,
+    stopWatchingLobby,
     handlePlay, 
     handlePass, 
+    handleHint,
     handleDisconnect, 
     handleChatMessage, 
     handleTyping,
     handleLeaveWaitingRoom,
     handleReconnect,
-    startGameWithBots
+    startGameWithBots,
+    setRuleProfile,
+    setRuleOptions,
+    setTableSize,
+    setBotLevel,
+    setTurnClock,
+    setRoomSettings,
+    handleTakeoverVote,
+    handleSpectate,
+    stopSpectating,
+    startTable,
+    isPlaying,
+    restoreRooms,
+    shutdown
   };
 }
+
+function createRoomCode() {
+  let code = '';
+  for (let i = 0; i < ROOM_CODE_LENGTH; i++) code += ROOM_CODE_ALPHABET[randomInt(ROOM_CODE_ALPHABET.length)];
+  return code;
+}
+
+// A table name as typed, or null for the default (the host's name); throws when it is too long
+function checkTableName(name) {
+  const title = String(name ?? '').trim();
+  if (title.length > MAX_TABLE_NAME) throw new Error(`Table names must be ${MAX_TABLE_NAME} characters or fewer`);
+  return title || null;
+}
+
+function normalizeRoomCode(code) {
+  return String(code ?? '').trim().toUpperCase();
+}
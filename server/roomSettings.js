@@ -0,0 +1,61 @@
+// Room settings: how the game is scored, how long the room's timers wait and how far behind spectators watch,
+// chosen by the creator in the waiting room. The scoring fields go to the game core (see scoring.js); the rest
+// stays with the room.
+//   autoPassSeconds:     countdown after an unbeatable play before everyone else passes
+//   reconnectSeconds:    how long a disconnected player's seat waits before a bot takes it
+//   spectatorDelayMoves: spectators see the table this many moves late, so a watcher cannot relay it live
+
+import { DEFAULT_SCORING, resolveScoring } from './scoring.js';
+
+export const DEFAULT_ROOM_SETTINGS = { ...DEFAULT_SCORING, autoPassSeconds: 10, reconnectSeconds: 60, spectatorDelayMoves: 0 };
+
+const LIMITS = {
+  autoPassSeconds: { min: 3, max: 60, label: 'Auto-pass countdown', unit: 'seconds' },
+  reconnectSeconds: { min: 15, max: 600, label: 'Reconnect window', unit: 'seconds' },
+  spectatorDelayMoves: { min: 0, max: 10, label: 'Spectator delay', unit: 'moves' }
+};
+
+// `settings` with `changes` applied; throws an Error naming the first field out of range
+export function updateRoomSettings(settings, changes = {}) {
+  const next = { ...settings, ...resolveScoring({ ...scoringSettings(settings), ...pick(changes, Object.keys(DEFAULT_SCORING)) }) };
+  for (const [key, { min, max, label, unit }] of Object.entries(LIMITS)) {
+    if (changes[key] === undefined) continue;
+    if (!Number.isInteger(changes[key]) || changes[key] < min || changes[key] > max) throw new Error(`${label} must be ${min} to ${max} ${unit}`);
+    next[key] = changes[key];
+  }
+  return next;
+}
+
+// The part of the settings the game core scores with
+export function scoringSettings(settings) {
+  return pick(settings, Object.keys(DEFAULT_SCORING));
+}
+
+// One line for the waiting room chat
+export function describeRoomSettings(settings) {
+  return [
+    describeScoring(settings),
+    `${settings.autoPassSeconds}s auto-pass`,
+    `${settings.reconnectSeconds}s to reconnect`,
+    settings.spectatorDelayMoves ? `spectators ${settings.spectatorDelayMoves} move${settings.spectatorDelayMoves !== 1 ? 's' : ''} behind` : 'spectators watch live'
+  ].join(' · ');
+}
+
+function describeScoring(s) {
+  const plural = (n, word) => `${n} ${word}${n !== 1 ? 'es' : ''}`;
+  switch (s.mode) {
+    case 'chips':
+      return `chip settlement: ${s.startingChips} chips each, ${s.chipsPerCard} per card left to the winner (×2 holding a 2, ×2 never played), until someone is out of chips`;
+    case 'perCard':
+      return `pay the winner 1 per card left, over ${plural(s.matchesToPlay, 'match')}`;
+    default:
+      return [
+        s.goal === 'matches' ? `first to win ${plural(s.matchesToWin, 'match')}` : `game ends once a score goes over ${s.targetScore}`,
+        `penalty ×${s.penaltyMultipliers.join('/×')} per card left${s.twosDouble ? ', doubled when holding a 2' : ''}`
+      ].join(' · ');
+  }
+}
+
+function pick(obj, keys) {
+  return Object.fromEntries(keys.filter(k => obj[k] !== undefined).map(k => [k, obj[k]]));
+}
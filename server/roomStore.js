@@ -0,0 +1,53 @@
+// Room stores: where active game rooms are snapshotted so a restart can pick them up again
+// A store has three synchronous methods:
+//   load()          -> every saved snapshot
+//   save(snapshot)  snapshot.id names the room; replaces the previous snapshot
+//   remove(roomId)
+// ROOM_STORE=file keeps one JSON file per room in ROOM_STORE_DIR (default .data/rooms);
+// the default, memory, keeps nothing across restarts.
+
+import fs from 'fs';
+import path from 'path';
+
+export function createMemoryStore() {
+  const snapshots = new Map();
+  return {
+    load: () => [...snapshots.values()],
+    save: snapshot => { snapshots.set(snapshot.id, snapshot); },
+    remove: roomId => { snapshots.delete(roomId); }
+  };
+}
+
+// Each save writes a temporary file and renames it over the old one, so a crash mid-write never leaves half a snapshot
+export function createFileStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = roomId => path.join(dir, `${String(roomId).replace(/[^\w-]/g, '_')}.json`);
+  return {
+    load() {
+      const snapshots = [];
+      for (const name of fs.readdirSync(dir)) {
+        if (!name.endsWith('.json')) continue;
+        try {
+          snapshots.push(JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+        } catch (e) {
+          console.error(`Skipping unreadable room snapshot ${name}:`, e.message);
+        }
+      }
+      return snapshots;
+    },
+    save(snapshot) {
+      const file = fileFor(snapshot.id);
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(snapshot));
+      fs.renameSync(`${file}.tmp`, file);
+    },
+    remove(roomId) {
+      fs.rmSync(fileFor(roomId), { force: true });
+    }
+  };
+}
+
+export function createRoomStore(env = process.env) {
+  if (env.ROOM_STORE === 'file') return createFileStore(env.ROOM_STORE_DIR || path.join('.data', 'rooms'));
+  if (env.ROOM_STORE && env.ROOM_STORE !== 'memory') throw new Error(`Unknown ROOM_STORE: ${env.ROOM_STORE}`);
+  return createMemoryStore();
+}
@@ -0,0 +1,89 @@
+// Big Two rule profiles
+// Each profile is a plain object so it can be sent to clients as-is in state payloads.
+// - suitOrder: suits ascending (lowest first); the lowest 3 is the card that must open the first match
+// - flushOrder: 'suit' compares flushes by suit then top card, 'rank' by card ranks then suit
+// - straightA2345 / straight23456: whether the two straights that use a 2 are legal
+// - triples: whether three of a kind may be played on its own
+// - fourOfAKind: whether four of a kind plus a kicker is a legal five-card hand
+// - bombs: whether four of a kind and straight flushes can cut a single 2 or a pair of 2s (a table option)
+// - duplicatesBeat: with two decks, whether a play identical to the previous one beats it (a table option)
+
+export const RULE_PROFILES = {
+  hongkong: {
+    id: 'hongkong',
+    name: 'Hong Kong',
+    description: 'Standard Hong Kong rules. Flushes are ranked by suit first, and both A-2-3-4-5 and 2-3-4-5-6 are straights.',
+    suitOrder: ['D', 'C', 'H', 'S'],
+    flushOrder: 'suit',
+    straightA2345: true,
+    straight23456: true,
+    triples: true,
+    fourOfAKind: true,
+    bombs: false,
+    duplicatesBeat: false
+  },
+  taiwanese: {
+    id: 'taiwanese',
+    name: 'Taiwanese',
+    description: 'Clubs are the lowest suit, so 3♣ opens the game. Flushes are ranked by their highest card.',
+    suitOrder: ['C', 'D', 'H', 'S'],
+    flushOrder: 'rank',
+    straightA2345: true,
+    straight23456: true,
+    triples: true,
+    fourOfAKind: true,
+    bombs: false,
+    duplicatesBeat: false
+  },
+  vietnamese: {
+    id: 'vietnamese',
+    name: 'Vietnamese',
+    description: 'Tiến lên style suits (♠ < ♣ < ♦ < ♥), so 3♠ opens the game. Twos never appear in straights and four of a kind with a kicker is not a hand.',
+    suitOrder: ['S', 'C', 'D', 'H'],
+    flushOrder: 'rank',
+    straightA2345: false,
+    straight23456: false,
+    triples: true,
+    fourOfAKind: false,
+    bombs: false,
+    duplicatesBeat: false
+  },
+  pagat: {
+    id: 'pagat',
+    name: 'Pagat',
+    description: 'Rules as described on pagat.com. Flushes are ranked by their highest card, A-2-3-4-5 is the lowest straight and 2-3-4-5-6 is not allowed.',
+    suitOrder: ['D', 'C', 'H', 'S'],
+    flushOrder: 'rank',
+    straightA2345: true,
+    straight23456: false,
+    triples: true,
+    fourOfAKind: true,
+    bombs: false,
+    duplicatesBeat: false
+  }
+};
+
+export const DEFAULT_RULE_PROFILE = 'hongkong';
+export const DEFAULT_RULES = RULE_PROFILES[DEFAULT_RULE_PROFILE];
+
+export function getRuleProfile(id) {
+  return RULE_PROFILES[id] || null;
+}
+
+// Table options the room creator can toggle on top of any profile (option -> display label)
+export const RULE_OPTIONS = { bombs: 'Bombs', duplicatesBeat: 'Second identical card beats the first' };
+
+// A profile merged with the table options; this is the `rules` object the engine and clients see
+export function resolveRules(profileId, options = {}) {
+  const profile = getRuleProfile(profileId) || RULE_PROFILES[DEFAULT_RULE_PROFILE];
+  const rules = { ...profile };
+  for (const key of Object.keys(RULE_OPTIONS)) {
+    if (typeof options[key] === 'boolean') rules[key] = options[key];
+  }
+  return rules;
+}
+
+// Short list for pickers (id + display name only)
+export function listRuleProfiles() {
+  return Object.values(RULE_PROFILES).map(p => ({ id: p.id, name: p.name }));
+}
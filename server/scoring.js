@@ -0,0 +1,196 @@
+// Match scoring and the game-end rule, shared by rooms and the simulator
+// Each scoring mode settles a match from the cards left in every hand and decides when the game is over:
+// - classic: the winner scores 0; everyone else takes penalty points for the cards left in hand: the card count
+//   times the multiplier of its band (1-4, 5-9 or 10-13 cards), and twice that with twosDouble if a 2 is still held.
+//   goal 'score': the game ends once any score goes over targetScore, and the lowest score is the champion;
+//   goal 'matches': the first player to win matchesToWin matches is the champion.
+// - chips: everyone starts with startingChips. Each loser pays the winner chipsPerCard per card left, doubled when
+//   holding a 2 and doubled again when they never played a card. The game ends when someone has no chips left;
+//   the most chips is the champion.
+// - perCard: each loser pays the winner one point per card left, no multipliers. The game ends after matchesToPlay
+//   matches; the best total is the champion.
+// Scores are the running totals of the mode: penalty points (lower is better), chips, or points won and lost.
+
+export const GAME_OVER_SCORE = 100;
+export const PENALTY_BANDS = [4, 9, 13]; // most cards left for each multiplier
+
+export const DEFAULT_SCORING = {
+  mode: 'classic',
+  goal: 'score',
+  targetScore: GAME_OVER_SCORE,
+  matchesToWin: 5,
+  penaltyMultipliers: [1, 2, 3],
+  twosDouble: false,
+  startingChips: 100,
+  chipsPerCard: 1,
+  matchesToPlay: 10
+};
+
+export const SCORING_MODES = {
+  classic: {
+    id: 'classic',
+    name: 'Classic penalty',
+    description: 'Losers take penalty points for the cards left in hand; the lowest total wins.',
+    // Higher is better: fewer penalty points, or more match wins when the game is first to matchesToWin
+    standing: (scoring, scores, matchWins) => scoring.goal === 'matches' ? matchWins : scores.map(s => -s),
+    startingScore: () => 0,
+    // Penalty points per loser
+    charge: (scoring, seat) => ({ amount: matchPenalty(seat.cardsLeft, scoring, seat.holdsTwo), reasons: scoring.twosDouble && seat.holdsTwo ? ['holding a 2'] : [] }),
+    settle: (charges) => charges.map(c => c.amount),
+    result(scoring, scores, matchWins) {
+      if (scoring.goal === 'matches') {
+        const champion = matchWins.findIndex(w => w >= scoring.matchesToWin);
+        return champion === -1 ? null : { busted: [], champion };
+      }
+      const busted = seatsWhere(scores, s => s > scoring.targetScore);
+      return busted.length === 0 ? null : { busted, champion: bestSeat(scores, true) };
+    }
+  },
+  chips: {
+    id: 'chips',
+    name: 'Chip settlement',
+    description: 'Losers pay the winner chips per card left, double for holding a 2 and double again for never playing.',
+    standing: (scoring, scores) => scores,
+    startingScore: scoring => scoring.startingChips,
+    charge(scoring, seat) {
+      const reasons = [];
+      let multiplier = 1;
+      if (seat.holdsTwo) { multiplier *= 2; reasons.push('holding a 2'); }
+      if (seat.neverPlayed) { multiplier *= 2; reasons.push('never played'); }
+      return { amount: seat.cardsLeft * scoring.chipsPerCard * multiplier, reasons };
+    },
+    settle: payWinner,
+    result(scoring, scores) {
+      const busted = seatsWhere(scores, s => s <= 0);
+      return busted.length === 0 ? null : { busted, champion: bestSeat(scores, false) };
+    }
+  },
+  perCard: {
+    id: 'perCard',
+    name: 'Pay the winner',
+    description: 'Losers pay the winner one point per card left, over a set number of matches.',
+    standing: (scoring, scores) => scores,
+    startingScore: () => 0,
+    charge: (scoring, seat) => ({ amount: seat.cardsLeft, reasons: [] }),
+    settle: payWinner,
+    result(scoring, scores, matchWins) {
+      const played = matchWins.reduce((a, b) => a + b, 0);
+      return played < scoring.matchesToPlay ? null : { busted: [], champion: bestSeat(scores, false) };
+    }
+  }
+};
+
+export function getScoringMode(id) {
+  return Object.prototype.hasOwnProperty.call(SCORING_MODES, id) ? SCORING_MODES[id] : null;
+}
+
+// Short list for pickers
+export function listScoringModes() {
+  return Object.values(SCORING_MODES).map(({ id, name, description }) => ({ id, name, description }));
+}
+
+// Full scoring settings from DEFAULT_SCORING and the fields given; throws on a field out of range
+export function resolveScoring(options = {}) {
+  const scoring = { ...DEFAULT_SCORING };
+  const whole = (key, min, max, label) => {
+    if (options[key] === undefined) return;
+    if (!Number.isInteger(options[key]) || options[key] < min || options[key] > max) throw new Error(`${label} must be ${min} to ${max}`);
+    scoring[key] = options[key];
+  };
+  if (options.mode !== undefined) {
+    if (!getScoringMode(options.mode)) throw new Error(`Unknown scoring mode: ${options.mode}`);
+    scoring.mode = options.mode;
+  }
+  if (options.goal !== undefined) {
+    if (options.goal !== 'score' && options.goal !== 'matches') throw new Error('The game ends on a score or on match wins');
+    scoring.goal = options.goal;
+  }
+  whole('targetScore', 10, 500, 'Target score');
+  whole('matchesToWin', 1, 20, 'Matches to win');
+  if (options.penaltyMultipliers !== undefined) {
+    const m = options.penaltyMultipliers;
+    if (!Array.isArray(m) || m.length !== PENALTY_BANDS.length || !m.every(x => Number.isInteger(x) && x >= 0 && x <= 10)) {
+      throw new Error(`Penalty multipliers must be ${PENALTY_BANDS.length} whole numbers from 0 to 10`);
+    }
+    scoring.penaltyMultipliers = m.slice();
+  }
+  if (options.twosDouble !== undefined) {
+    if (typeof options.twosDouble !== 'boolean') throw new Error('Twos double is on or off');
+    scoring.twosDouble = options.twosDouble;
+  }
+  whole('startingChips', 10, 10000, 'Starting chips');
+  whole('chipsPerCard', 1, 100, 'Chips per card');
+  whole('matchesToPlay', 1, 50, 'Matches to play');
+  return scoring;
+}
+
+export function startingScores(scoring, seats) {
+  return new Array(seats).fill(getScoringMode(scoring.mode).startingScore(scoring));
+}
+
+// Penalty under the default table
+export function penaltyPoints(cardsLeft) {
+  return matchPenalty(cardsLeft, DEFAULT_SCORING, false);
+}
+
+export function matchPenalty(cardsLeft, scoring, holdsTwo) {
+  if (cardsLeft <= 0) return 0;
+  const band = PENALTY_BANDS.findIndex(most => cardsLeft <= most);
+  const points = cardsLeft * scoring.penaltyMultipliers[band === -1 ? PENALTY_BANDS.length - 1 : band];
+  return scoring.twosDouble && holdsTwo ? points * 2 : points;
+}
+
+// Classic penalties for one match: { pointsAdded, scores } with scores as the new running totals
+// (twosHeld: per seat, whether a 2 was left in hand)
+export function scoreMatch(scores, handsLeft, winnerIdx, scoring = DEFAULT_SCORING, twosHeld = []) {
+  const pointsAdded = handsLeft.map((n, i) => i === winnerIdx ? 0 : matchPenalty(n, scoring, !!twosHeld[i]));
+  return { pointsAdded, scores: scores.map((s, i) => s + pointsAdded[i]) };
+}
+
+// Settles a match under any mode. seats: per seat { cardsLeft, holdsTwo, neverPlayed }.
+// Returns { pointsAdded, scores, ledger } where ledger has one { cardsLeft, charged, reasons, change, total } per seat
+// (charged: what the mode charged that loser before settling; change: what their score moved by).
+export function settleMatch(scores, seats, winnerIdx, scoring = DEFAULT_SCORING) {
+  const mode = getScoringMode(scoring.mode);
+  const charges = seats.map((seat, i) => i === winnerIdx ? { amount: 0, reasons: [] } : mode.charge(scoring, seat));
+  const pointsAdded = mode.settle(charges, winnerIdx);
+  const totals = scores.map((s, i) => s + pointsAdded[i]);
+  const ledger = seats.map((seat, i) => ({
+    cardsLeft: seat.cardsLeft,
+    charged: charges[i].amount,
+    reasons: charges[i].reasons,
+    change: pointsAdded[i],
+    total: totals[i]
+  }));
+  return { pointsAdded, scores: totals, ledger };
+}
+
+// null while the game goes on, otherwise { busted, champion } (busted: seats past the mode's limit)
+export function gameResult(scores, scoring = DEFAULT_SCORING, matchWins = []) {
+  return getScoringMode(scoring.mode).result(scoring, scores, matchWins);
+}
+
+// Final standings, one { total, matchesWon, place } per seat (place 1 is the best; ties share a place)
+export function finalLedger(scores, scoring, matchWins) {
+  const standing = getScoringMode(scoring.mode).standing(scoring, scores, matchWins);
+  return scores.map((total, i) => ({
+    total,
+    matchesWon: matchWins[i],
+    place: 1 + standing.filter(s => s > standing[i]).length
+  }));
+}
+
+// Zero-sum: every loser pays what they were charged, the winner collects it all
+function payWinner(charges, winnerIdx) {
+  const pot = charges.reduce((sum, c) => sum + c.amount, 0);
+  return charges.map((c, i) => i === winnerIdx ? pot : -c.amount);
+}
+
+function seatsWhere(scores, test) {
+  return scores.map((s, i) => ({ i, s })).filter(x => test(x.s)).map(x => x.i);
+}
+
+function bestSeat(scores, lowest) {
+  const best = lowest ? Math.min(...scores) : Math.max(...scores);
+  return scores.findIndex(s => s === best);
+}
@@ -0,0 +1,41 @@
+// Signed reconnect tokens
+// A token names a room, a seat and the random nonce currently kept on that seat, signed with HMAC-SHA256.
+// The signature stops anyone forging a token for someone else's seat; the nonce lets the server retire
+// a token by changing it (a fresh token is issued on every resume).
+// SESSION_SECRET keeps tokens valid across restarts; without it each process signs with a random secret.
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+export function createNonce() {
+  return randomBytes(16).toString('hex');
+}
+
+export function createTokenSigner(secret = process.env.SESSION_SECRET) {
+  const key = secret || randomBytes(32).toString('hex');
+  const sign = body => createHmac('sha256', key).update(body).digest('base64url');
+
+  return {
+    issue({ roomId, seat, nonce }) {
+      const body = Buffer.from(JSON.stringify({ roomId, seat, nonce })).toString('base64url');
+      return `${body}.${sign(body)}`;
+    },
+
+    // { roomId, seat, nonce } for a token this signer issued, else null
+    verify(token) {
+      if (typeof token !== 'string') return null;
+      const parts = token.split('.');
+      if (parts.length !== 2) return null;
+      const [body, mac] = parts;
+      const expected = Buffer.from(sign(body));
+      const given = Buffer.from(mac);
+      if (expected.length !== given.length || !timingSafeEqual(expected, given)) return null;
+      try {
+        const { roomId, seat, nonce } = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        if (typeof roomId !== 'string' || !Number.isInteger(seat) || typeof nonce !== 'string') return null;
+        return { roomId, seat, nonce };
+      } catch {
+        return null;
+      }
+    }
+  };
+}
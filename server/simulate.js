@@ -0,0 +1,148 @@
+// Headless bot-vs-bot simulator
+// Plays full games (matches until a score goes over 100) through the same game core as a room
+// (gameCore.js), but without sockets or timers. Everything random comes from one seed, so a run can be
+// repeated exactly; expert bots are bounded by a sample count rather than wall-clock time for that reason.
+//
+// Usage: node server/simulate.js [--games 1000] [--seed sim] [--bots standard,standard,expert,beginner]
+//                                [--rules hongkong] [--bombs] [--duplicates-beat] [--samples 40] [--json]
+// --bots lists one level per seat (and so sets the table size). Seats rotate every game so each
+// player sits everywhere equally often; results are reported per player in --bots order.
+
+import { fileURLToPath } from 'url';
+import { createRng, tableConfig } from './engine.js';
+import { createGame, reduce, playerView } from './gameCore.js';
+import { resolveRules, getRuleProfile } from './rules.js';
+import { getBotPlay, isBotLevel } from './bots.js';
+
+const MAX_TURNS_PER_MATCH = 2000; // guard against a strategy that never finishes
+
+// Runs the simulation and returns the statistics (see report() for the fields)
+export function simulate({ games = 1000, seed = 'sim', bots = ['standard', 'standard', 'standard', 'standard'], rules = resolveRules('hongkong'), samples = 40 } = {}) {
+  if (!Number.isInteger(games) || games < 1) throw new Error('--games must be a positive integer');
+  const unknown = bots.find(level => !isBotLevel(level));
+  if (unknown) throw new Error(`Unknown bot level: ${unknown}`);
+  const { seats, decks } = tableConfig(bots.length);
+  const rng = createRng(seed);
+
+  const players = bots.map((level, i) => ({ label: `P${i + 1} ${level}`, level, wins: 0, matchWins: 0, penalty: 0, finalScore: 0 }));
+  const comboCounts = {};
+  let matches = 0, plies = 0, plays = 0, passes = 0;
+
+  for (let g = 0; g < games; g++) {
+    // Player p sits at seat (p + g) % seats this game
+    const playerAt = seat => (seat - g % seats + seats) % seats;
+    let game = createGame({ seats, rules });
+    let dealNext = true, turnsThisMatch = 0;
+    while (!game.finished) {
+      let action;
+      if (dealNext) {
+        dealNext = false;
+        action = { type: 'startMatch', seed: `${seed}:${g}:${game.matchNumber + 1}` };
+        turnsThisMatch = 0;
+      } else {
+        const seat = game.turn;
+        const level = bots[playerAt(seat)];
+        const cards = getBotPlay(level, playerView(game, seat), { rng, timeBudgetMs: Infinity, maxSamples: samples });
+        action = cards && cards.length > 0 ? { type: 'play', seat, cardIds: cards.map(c => c.id) } : { type: 'pass', seat };
+        if (++turnsThisMatch > MAX_TURNS_PER_MATCH) throw new Error(`Match did not finish within ${MAX_TURNS_PER_MATCH} turns`);
+      }
+
+      let events;
+      try {
+        ({ state: game, events } = reduce(game, action));
+      } catch (e) {
+        throw new Error(`${bots[playerAt(action.seat)]} bot made an illegal move (${e.message})`);
+      }
+
+      for (const event of events) {
+        if (event.type === 'played') {
+          plies++;
+          plays++;
+          comboCounts[event.combo.type] = (comboCounts[event.combo.type] || 0) + 1;
+        } else if (event.type === 'passed') {
+          plies++;
+          passes++;
+        } else if (event.type === 'matchEnded') {
+          matches++;
+          dealNext = true;
+          event.pointsAdded.forEach((pts, seat) => { players[playerAt(seat)].penalty += pts; });
+          players[playerAt(event.winner)].matchWins++;
+        } else if (event.type === 'gameOver') {
+          players[playerAt(event.champion)].wins++;
+          event.scores.forEach((s, seat) => { players[playerAt(seat)].finalScore += s; });
+        }
+      }
+    }
+  }
+
+  const totalPlays = Object.values(comboCounts).reduce((a, b) => a + b, 0);
+  return {
+    seed, games, seats, decks, rules: rules.id, bombs: !!rules.bombs, duplicatesBeat: !!rules.duplicatesBeat,
+    players: players.map(p => ({
+      label: p.label,
+      level: p.level,
+      winRate: p.wins / games,
+      matchWinRate: p.matchWins / matches,
+      avgPenaltyPerMatch: p.penalty / matches,
+      avgFinalScore: p.finalScore / games
+    })),
+    avgMatchesPerGame: matches / games,
+    avgTurnsPerMatch: plies / matches,
+    avgPlaysPerMatch: plays / matches,
+    passRate: plies ? passes / plies : 0,
+    comboFrequency: Object.fromEntries(Object.entries(comboCounts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([type, n]) => [type, n / totalPlays]))
+  };
+}
+
+// Plain-text report
+export function report(stats) {
+  const pct = x => `${(x * 100).toFixed(1)}%`;
+  const lines = [
+    `${stats.games} games · ${stats.seats} seats${stats.decks > 1 ? ' (two decks)' : ''} · rules ${stats.rules}` +
+      `${stats.bombs ? ' + bombs' : ''}${stats.duplicatesBeat ? ' + duplicates beat' : ''} · seed ${stats.seed}`,
+    '',
+    'Player            Games won   Matches won   Penalty/match   Final score',
+    ...stats.players.map(p =>
+      `${p.label.padEnd(16)}  ${pct(p.winRate).padStart(9)}   ${pct(p.matchWinRate).padStart(11)}   ${p.avgPenaltyPerMatch.toFixed(2).padStart(13)}   ${p.avgFinalScore.toFixed(1).padStart(11)}`),
+    '',
+    `Matches per game: ${stats.avgMatchesPerGame.toFixed(2)}`,
+    `Turns per match:  ${stats.avgTurnsPerMatch.toFixed(1)} (${stats.avgPlaysPerMatch.toFixed(1)} plays, ${pct(stats.passRate)} passes)`,
+    '',
+    'Combo frequency:',
+    ...Object.entries(stats.comboFrequency).map(([type, f]) => `  ${type.padEnd(14)} ${pct(f).padStart(6)}`)
+  ];
+  return lines.join('\n');
+}
+
+function parseArgs(argv) {
+  const opts = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    if (arg === '--games') opts.games = Number(next());
+    else if (arg === '--seed') opts.seed = next();
+    else if (arg === '--bots') opts.bots = next().split(',').map(s => s.trim());
+    else if (arg === '--rules') opts.profile = next();
+    else if (arg === '--bombs') opts.bombs = true;
+    else if (arg === '--duplicates-beat') opts.duplicatesBeat = true;
+    else if (arg === '--samples') opts.samples = Number(next());
+    else if (arg === '--json') opts.json = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  return opts;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  try {
+    const opts = parseArgs(process.argv.slice(2));
+    if (opts.profile && !getRuleProfile(opts.profile)) throw new Error(`Unknown rule profile: ${opts.profile}`);
+    const rules = resolveRules(opts.profile, { bombs: opts.bombs, duplicatesBeat: opts.duplicatesBeat });
+    const stats = simulate({ games: opts.games, seed: opts.seed, bots: opts.bots, rules, samples: opts.samples });
+    console.log(opts.json ? JSON.stringify(stats, null, 2) : report(stats));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,202 @@
+// Stats stores: every player's lifetime stats and a summary of each recent game, kept after the room is gone
+// A store has synchronous methods:
+//   recordMatch(game, match)  after every match; match: { number, winner, pointsAdded, scores, ledger, combos }
+//                             (combos: per seat, plays made by combo type, e.g. { single: 5, pair: 2 })
+//   recordGame(game, result)  when the game ends; result: { scores, champion, ledger } (champion null when aborted)
+//                             a finished game also updates the humans' ratings from the ledger's places (ratings.js)
+//   player(name)              -> lifetime stats, or null for a name that never finished a match
+//   rating(name)              -> { rating, ratedGames, provisional }, DEFAULT_RATING for a name never rated
+//   leaderboard({ sort, limit }) -> [{ rank, name, games, championships, matchesPlayed, matchesWon, winRate, penaltyTotal,
+//                                     rating, provisional }]
+//   game(id)                  -> game summary or null
+// game: { id, startedAt, players: [{ name, isBot, botLevel }], rules: profile id, scoring }. Bots get no stats of
+// their own; they count at their level's rating when the humans at their table are rated.
+// STATS_STORE=file keeps everything in one JSON file, STATS_FILE (default .data/stats.json);
+// the default, memory, keeps nothing across restarts.
+
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_RATING, botRating, isProvisional, rateGame } from './ratings.js';
+
+export const MAX_GAMES = 500; // game summaries kept; player totals include older games
+const RECENT_GAMES = 20; // game ids kept per player
+export const MIN_MATCHES_FOR_WIN_RATE = 10; // fewer matches than this and a player is left off the win rate board
+
+// Leaderboard orders; ties go to more matches won, then the name
+export const LEADERBOARD_SORTS = {
+  championships: (a, b) => b.championships - a.championships,
+  matchesWon: (a, b) => b.matchesWon - a.matchesWon,
+  winRate: (a, b) => b.winRate - a.winRate,
+  games: (a, b) => b.games - a.games,
+  rating: (a, b) => b.rating - a.rating
+};
+
+export function createMemoryStatsStore() {
+  return createStore(emptyStats(), () => {});
+}
+
+// Rewrites the file after every change, through a temporary file like the room store
+export function createFileStatsStore(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let data = emptyStats();
+  if (fs.existsSync(file)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      data = { players: Object.assign(Object.create(null), saved.players), games: Object.assign(Object.create(null), saved.games) };
+    } catch (e) {
+      console.error(`Stats file ${file} is unreadable (${e.message}); moving it aside and starting over`);
+      fs.renameSync(file, `${file}.unreadable`);
+    }
+  }
+  return createStore(data, () => {
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(data));
+    fs.renameSync(`${file}.tmp`, file);
+  });
+}
+
+export function createStatsStore(env = process.env) {
+  if (env.STATS_STORE === 'file') return createFileStatsStore(env.STATS_FILE || path.join('.data', 'stats.json'));
+  if (env.STATS_STORE && env.STATS_STORE !== 'memory') throw new Error(`Unknown STATS_STORE: ${env.STATS_STORE}`);
+  return createMemoryStatsStore();
+}
+
+// Keyed by names players typed, so no prototype to trip over
+function emptyStats() {
+  return { players: Object.create(null), games: Object.create(null) };
+}
+
+// The store's logic over plain data; save() persists it after every change
+function createStore(data, save) {
+  function gameSummary(game) {
+    if (!data.games[game.id]) {
+      data.games[game.id] = {
+        id: game.id,
+        startedAt: game.startedAt,
+        endedAt: null,
+        status: 'playing',
+        players: game.players.map(p => p.name),
+        bots: game.players.map(p => !!p.isBot),
+        rules: game.rules,
+        scoring: game.scoring,
+        matches: [],
+        result: null,
+        ratings: null // per seat { before, after } once rated, null for bots
+      };
+      // Oldest first: object keys keep insertion order
+      const ids = Object.keys(data.games);
+      ids.slice(0, Math.max(0, ids.length - MAX_GAMES)).forEach(id => delete data.games[id]);
+    }
+    return data.games[game.id];
+  }
+
+  // Lifetime stats of each human seat
+  function humans(game) {
+    return game.players.map(p => p.isBot ? null : playerStats(p.name));
+  }
+
+  function playerStats(name) {
+    if (!data.players[name]) {
+      data.players[name] = {
+        name,
+        games: 0,
+        championships: 0,
+        matchesPlayed: 0,
+        matchesWon: 0,
+        penaltyTotal: 0, // classic penalty points taken
+        cardsLeftTotal: 0,
+        combos: {},
+        rating: DEFAULT_RATING,
+        ratedGames: 0, // finished games rated
+        recentGames: [], // newest first
+        lastPlayedAt: null
+      };
+    }
+    return data.players[name];
+  }
+
+  // Everyone's new rating from the places the game finished in; bots stay at their level's rating
+  function rate(game, summary, ledger) {
+    const seats = humans(game);
+    const entrants = game.players.map((p, seat) => p.isBot
+      ? { rating: botRating(p.botLevel), ratedGames: 0, fixed: true }
+      : { ...ratingOf(seats[seat]), fixed: false });
+    const after = rateGame(entrants, ledger.map(l => l.place));
+    summary.ratings = seats.map((stats, seat) => stats ? { before: entrants[seat].rating, after: after[seat] } : null);
+    seats.forEach((stats, seat) => {
+      if (!stats) return;
+      stats.rating = after[seat];
+      stats.ratedGames = (stats.ratedGames ?? 0) + 1;
+    });
+  }
+
+  return {
+    recordMatch(game, match) {
+      const now = new Date().toISOString();
+      gameSummary(game).matches.push({ number: match.number, winner: match.winner, pointsAdded: match.pointsAdded, scores: match.scores });
+      humans(game).forEach((stats, seat) => {
+        if (!stats) return;
+        const line = match.ledger[seat];
+        stats.matchesPlayed++;
+        if (seat === match.winner) stats.matchesWon++;
+        if (game.scoring.mode === 'classic') stats.penaltyTotal += line.charged;
+        stats.cardsLeftTotal += line.cardsLeft;
+        for (const [type, count] of Object.entries(match.combos[seat] || {})) stats.combos[type] = (stats.combos[type] || 0) + count;
+        stats.lastPlayedAt = now;
+      });
+      save();
+    },
+
+    recordGame(game, result) {
+      const summary = gameSummary(game);
+      if (summary.status !== 'playing') return;
+      summary.endedAt = new Date().toISOString();
+      summary.status = result.champion === null ? 'aborted' : 'finished';
+      summary.result = { scores: result.scores, champion: result.champion, ledger: result.ledger };
+      humans(game).forEach((stats, seat) => {
+        if (!stats) return;
+        stats.games++;
+        if (seat === result.champion) stats.championships++;
+        stats.recentGames = [game.id, ...stats.recentGames.filter(id => id !== game.id)].slice(0, RECENT_GAMES);
+      });
+      if (result.champion !== null) rate(game, summary, result.ledger);
+      save();
+    },
+
+    rating(name) {
+      return ratingOf(data.players[name]);
+    },
+
+    player(name) {
+      const stats = data.players[name];
+      return stats ? { ...stats, ...ratingOf(stats), winRate: winRate(stats) } : null;
+    },
+
+    leaderboard({ sort = 'championships', limit = 20 } = {}) {
+      const compare = Object.prototype.hasOwnProperty.call(LEADERBOARD_SORTS, sort) ? LEADERBOARD_SORTS[sort] : null;
+      if (!compare) throw new Error(`Unknown leaderboard order: ${sort}`);
+      const count = Math.min(100, Math.max(1, Math.floor(Number(limit)) || 20));
+      return Object.values(data.players)
+        .filter(p => sort !== 'winRate' || p.matchesPlayed >= MIN_MATCHES_FOR_WIN_RATE)
+        .filter(p => sort !== 'rating' || p.ratedGames > 0)
+        .map(p => ({ name: p.name, games: p.games, championships: p.championships, matchesPlayed: p.matchesPlayed, matchesWon: p.matchesWon, winRate: winRate(p), penaltyTotal: p.penaltyTotal, ...ratingOf(p) }))
+        .sort((a, b) => compare(a, b) || b.matchesWon - a.matchesWon || a.name.localeCompare(b.name))
+        .slice(0, count)
+        .map((line, i) => ({ rank: i + 1, ...line }));
+    },
+
+    game(id) {
+      return data.games[id] || null;
+    }
+  };
+}
+
+// Stats saved before ratings existed have none yet
+function ratingOf(stats) {
+  const rating = stats?.rating ?? DEFAULT_RATING;
+  const ratedGames = stats?.ratedGames ?? 0;
+  return { rating, ratedGames, provisional: isProvisional(ratedGames) };
+}
+
+function winRate(stats) {
+  return stats.matchesPlayed ? stats.matchesWon / stats.matchesPlayed : 0;
+}
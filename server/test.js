@@ -1,6 +1,28 @@
 // Minimal sanity tests for engine
 import assert from 'assert';
-import { classify, canBeat } from './engine.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { classify, canBeat, isBombCut, sortHand, startingCardId, getAIPlay, createRng, tableConfig, makeDeck, dealHands, findStartingCard, legalMoves, compareCombos, fiveCardCombos, shuffle } from './engine.js';
+import { bruteForceFiveCardCombos } from './bench/fiveCardCombos.js';
+import { getExpertPlay, sampleHands } from './expertBot.js';
+import { getBotPlay, getBeginnerPlay, listBotLevels } from './bots.js';
+import { planHand, planLead, planFollow, isControl } from './planner.js';
+import { penaltyPoints, scoreMatch, gameResult, resolveScoring, settleMatch, finalLedger } from './scoring.js';
+import { DEFAULT_ROOM_SETTINGS, updateRoomSettings } from './roomSettings.js';
+import { simulate } from './simulate.js';
+import { createGame, reduce, playerView, timeoutAction } from './gameCore.js';
+import { createRecord, recordEvents, validateRecord } from './gameRecord.js';
+import { createFileStore, createMemoryStore, createRoomStore } from './roomStore.js';
+import { createFileStatsStore, createMemoryStatsStore, createStatsStore } from './statsStore.js';
+import { createTokenSigner } from './sessionTokens.js';
+import { createClock, startTurn, stopTurn, timeLeft } from './turnClock.js';
+import { RULE_PROFILES, resolveRules } from './rules.js';
+import { createDealSeed, commitToSeed, dealFromSeed, verifyDeal } from './fairness.js';
+import { createTournament, addPlayer, removePlayer, seatRound, recordTable, standings } from './tournament.js';
+import { DEFAULT_RATING, PROVISIONAL_K, RATING_K, expectedScore, rateGame } from './ratings.js';
+import { matchmakingConfig, pickWaitingRoom, roomRating, searchWindow } from './matchmaking.js';
+import { createGameRoomManager } from './roomManager.js';
 
 function cards(ids){ return ids.map(id=>({ id, r: id.slice(0,-1), s: id.slice(-1) })); }
 
@@ -37,4 +59,801 @@ const s4 = classify(cards(['4D']));
 assert(canBeat(s3, s4) === false ? false : true);
 assert.equal(canBeat(s3, classify(cards(['3S']))), true); // suit tiebreaker
 
+// Rule profiles
+const { hongkong, taiwanese, vietnamese, pagat } = RULE_PROFILES;
+assert.equal(startingCardId(hongkong), '3D');
+assert.equal(startingCardId(taiwanese), '3C');
+assert.equal(startingCardId(vietnamese), '3S');
+// Suit order changes single ranking
+assert.equal(canBeat(classify(cards(['3H']), vietnamese), classify(cards(['3D']), vietnamese)), false);
+assert.equal(canBeat(classify(cards(['3D']), vietnamese), classify(cards(['3H']), vietnamese)), true);
+assert.deepEqual(sortHand(cards(['3H','3S','3D','3C']), vietnamese).map(c=>c.id), ['3S','3C','3D','3H']);
+// Low straights
+assert.equal(classify(cards(['AD','2C','3S','4D','5H']), pagat).type, 'straight');
+assert.equal(classify(cards(['2C','3S','4D','5H','6D']), pagat), null);
+assert.equal(classify(cards(['AD','2C','3S','4D','5H']), vietnamese), null);
+assert.equal(classify(cards(['2C','3S','4D','5H','6D']), hongkong).type, 'straight');
+// Triples and four of a kind
+assert.equal(classify(cards(['QC','QD','QS']), vietnamese).type, 'triple');
+assert.equal(classify(cards(['KD','KS','KH','KC','3D']), vietnamese), null);
+// Flush comparison: by suit (Hong Kong) vs by rank (Taiwanese)
+const lowSpades = cards(['3S','5S','7S','9S','JS']);
+const highDiamonds = cards(['4D','6D','8D','10D','AD']);
+assert.equal(canBeat(classify(lowSpades, hongkong), classify(highDiamonds, hongkong)), false);
+assert.equal(canBeat(classify(lowSpades, taiwanese), classify(highDiamonds, taiwanese)), true);
+assert.equal(canBeat(classify(highDiamonds, taiwanese), classify(lowSpades, taiwanese)), false);
+// Rank flushes compare the next card down when the top cards tie
+assert.equal(canBeat(classify(cards(['3S','5S','7S','9S','AS']), pagat), classify(cards(['3H','5H','7H','10H','AH']), pagat)), true);
+
+// Bombs
+const bombRules = resolveRules('hongkong', { bombs: true });
+const single2 = cards(['2S']);
+const pair2 = cards(['2S','2H']);
+const quads = cards(['5D','5C','5H','5S','3D']);
+const sflush = cards(['6H','7H','8H','9H','10H']);
+assert.equal(canBeat(classify(single2), classify(quads)), false); // off by default
+assert.equal(canBeat(classify(single2, bombRules), classify(quads, bombRules), bombRules), true);
+assert.equal(canBeat(classify(pair2, bombRules), classify(sflush, bombRules), bombRules), true);
+assert.equal(isBombCut(classify(pair2, bombRules), classify(sflush, bombRules), bombRules), true);
+assert.equal(canBeat(classify(cards(['AS']), bombRules), classify(quads, bombRules), bombRules), false); // only 2s can be cut
+assert.equal(canBeat(classify(cards(['3S','4D','5H','6C','7D']), bombRules), classify(quads, bombRules), bombRules), true);
+assert.equal(isBombCut(classify(cards(['3S','4D','5H','6C','7D']), bombRules), classify(quads, bombRules), bombRules), false); // ordinary five-card win
+const aiBomb = getAIPlay(sortHand(quads.concat(cards(['9D']))), { by: 1 }, classify(single2, bombRules), [-1, 10, 10, 10], bombRules);
+assert.equal(aiBomb.length, 5);
+assert.equal(getAIPlay(sortHand(quads.concat(cards(['9D']))), { by: 1 }, classify(single2), [-1, 10, 10, 10]), null);
+
+// Seeded shuffles and deal verification
+const rngA = createRng('seed-1'), rngB = createRng('seed-1'), rngC = createRng('seed-2');
+const seqA = [rngA(), rngA(), rngA()];
+assert.deepEqual([rngB(), rngB(), rngB()], seqA);
+assert.notDeepEqual([rngC(), rngC(), rngC()], seqA);
+assert(seqA.every(x => x >= 0 && x < 1));
+const dealSeed = createDealSeed();
+const dealt = dealFromSeed(dealSeed).hands;
+assert.deepEqual(dealFromSeed(dealSeed).hands, dealt);
+assert.equal(new Set(dealt.flat().map(c => c.id)).size, 52);
+const commitment = commitToSeed(dealSeed);
+assert.equal(verifyDeal({ seed: dealSeed, commitment, hands: dealt }).valid, true);
+assert.equal(verifyDeal({ seed: dealSeed, commitment, hands: [null, dealt[1].map(c => c.id)] }).valid, true);
+assert.equal(verifyDeal({ seed: createDealSeed(), commitment, hands: dealt }).valid, false);
+const swapped = [dealt[1], dealt[0], dealt[2], dealt[3]];
+assert.equal(verifyDeal({ seed: dealSeed, commitment, hands: swapped }).valid, false);
+
+// Table sizes and two-deck play
+assert.deepEqual(tableConfig(3), { seats: 3, decks: 1, handSize: 13 });
+assert.deepEqual(tableConfig(6), { seats: 6, decks: 2, handSize: 13 });
+assert.throws(() => tableConfig(1));
+assert.throws(() => tableConfig(9));
+const twoDecks = makeDeck(2);
+assert.equal(twoDecks.length, 104);
+assert.equal(new Set(twoDecks.map(c => c.id)).size, 104);
+assert(twoDecks.some(c => c.id === '3D#2' && c.r === '3' && c.s === 'D'));
+for (const seats of [2, 3, 5, 8]) {
+  const { hands, undealt } = dealFromSeed(dealSeed, seats);
+  assert.equal(hands.length, seats);
+  assert(hands.every(h => h.length === 13));
+  assert.equal(undealt.length, tableConfig(seats).decks * 52 - seats * 13);
+}
+assert.equal(verifyDeal({ seed: dealSeed, commitment, hands: dealFromSeed(dealSeed, 6).hands, seats: 6 }).valid, true);
+assert.equal(verifyDeal({ seed: dealSeed, commitment, hands: dealFromSeed(dealSeed, 6).hands }).valid, false);
+// Starting card is the lowest card dealt, first deck's copy first
+const startHands = [cards(['5S','9D']), cards(['4C','KH']), [{ id: '4C#2', r: '4', s: 'C' }]];
+assert.deepEqual(findStartingCard(startHands), { seat: 1, card: startHands[1][0] });
+assert.equal(dealHands(makeDeck(), 2).undealt.length, 26);
+// Identical cards tie; duplicatesBeat lets the second copy win
+const dupRules = resolveRules('hongkong', { duplicatesBeat: true });
+const firstCopy = classify(cards(['9H'])), secondCopy = classify([{ id: '9H#2', r: '9', s: 'H' }]);
+assert.equal(canBeat(firstCopy, secondCopy), false);
+assert.equal(canBeat(firstCopy, secondCopy, dupRules), true);
+assert.equal(classify([{ id: '9H', r: '9', s: 'H' }, { id: '9H#2', r: '9', s: 'H' }]).type, 'pair');
+
+// legalMoves
+const moveIds = moves => moves.map(m => m.cards.map(c => c.id).join(' '));
+const lmHand = cards(['3D','3S','4H','5C','6D','7S','7H','7C','9S','JD','QD','KD','2D']);
+const leads = legalMoves(lmHand);
+// 13 singles, 4 pairs (3D3S + three 7 pairs), 1 triple, and five-card hands
+assert.equal(leads.filter(m => m.cards.length === 1).length, 13);
+assert.equal(leads.filter(m => m.cards.length === 2).length, 4);
+assert.equal(leads.filter(m => m.cards.length === 3).length, 1);
+assert(leads.some(m => m.combo.type === 'straight'));
+assert(leads.some(m => m.combo.type === 'flush'));
+assert(leads.some(m => m.combo.type === 'fullhouse'));
+// Sorted weakest first: by size, then strength
+for (let i = 1; i < leads.length; i++) {
+  const a = leads[i - 1], b = leads[i];
+  assert(a.cards.length < b.cards.length || (a.cards.length === b.cards.length && compareCombos(a.combo, b.combo) <= 0));
+}
+assert.equal(moveIds(leads)[0], '3D');
+// First lead must include the starting card
+const firstLeads = legalMoves(lmHand, null, { mustInclude: '3D' });
+assert(firstLeads.length > 0 && firstLeads.every(m => m.cards.some(c => c.id === '3D')));
+assert.deepEqual(moveIds(firstLeads.filter(m => m.cards.length < 5)), ['3D', '3D 3S']);
+// Following a single / pair / five
+assert.deepEqual(moveIds(legalMoves(lmHand, classify(cards(['QS'])))), ['KD', '2D']);
+const overSixes = legalMoves(lmHand, classify(cards(['6S','6H'])));
+assert.equal(overSixes.length, 3);
+assert(overSixes.every(m => m.combo.type === 'pair' && m.cards[0].r === '7'));
+assert.equal(moveIds(legalMoves(lmHand, classify(cards(['7D','7H'])))).length, 2); // 7C7H ties on top suit, so only pairs with 7S
+assert.equal(legalMoves(lmHand, classify(cards(['2S']))).length, 0);
+const overStraight = legalMoves(lmHand, classify(cards(['3C','4D','5H','6S','7D'])));
+assert(overStraight.length > 0 && overStraight.every(m => m.cards.length === 5));
+assert.equal(legalMoves(lmHand, classify(cards(['8S','8H','8C','4S','4D']))).length, 0);
+// Profile without triples
+assert.equal(legalMoves(cards(['7S','7H','7C']), null, { rules: { ...hongkong, triples: false } }).filter(m => m.cards.length === 3).length, 0);
+// Bombs are listed after ordinary plays
+const bombHand = cards(['5D','5C','5H','5S','3D','2H']);
+const vsTwo = legalMoves(bombHand, classify(cards(['2D']), bombRules), { rules: bombRules });
+assert.deepEqual(vsTwo.map(m => m.combo.type), ['single', 'fourkind', 'fourkind']); // 2H, then quads with either kicker
+assert.equal(legalMoves(bombHand, classify(cards(['2D']))).length, 1);
+// Two decks: identical combos are listed once
+const dupHand = [...cards(['9H','9S']), { id: '9H#2', r: '9', s: 'H' }];
+const dupMoves = legalMoves(dupHand);
+assert.equal(dupMoves.filter(m => m.cards.length === 1).length, 2);
+assert.deepEqual(dupMoves.filter(m => m.cards.length === 2).map(m => m.cards.map(c => c.r + c.s).sort().join()), ['9H,9H', '9H,9S']);
+assert.deepEqual(legalMoves([]), []);
+// AI honours the first-lead requirement
+const aiFirst = getAIPlay(sortHand(lmHand), null, null, [-1, 13, 13, 13], hongkong, '3D');
+assert(aiFirst.some(c => c.id === '3D'));
+
+// Five-card generator matches the old brute-force enumeration (same combos, same order)
+const fiveRng = createRng('five-card-equivalence');
+for (const rules of [...Object.values(RULE_PROFILES), resolveRules('hongkong', { bombs: true })]) {
+  for (const decks of [1, 2]) {
+    for (let n = 0; n < 15; n++) {
+      const hand = dealHands(shuffle(makeDeck(decks), fiveRng), decks * 4).hands[0];
+      const ids = list => list.map(c => c.map(x => x.id).join(' '));
+      assert.deepEqual(ids(fiveCardCombos(hand, rules)), ids(bruteForceFiveCardCombos(hand, rules)), `${rules.id} ${hand.map(c => c.id).join(' ')}`);
+    }
+  }
+}
+// Hands built to contain every five-card type, including straight flushes and two-deck duplicates
+const richHand = sortHand(cards(['3D','4D','5D','6D','7D','7C','7H','7S','AS','2S','2H','9S','KS']));
+const richTypes = new Set(fiveCardCombos(richHand).map(c => classify(c).type));
+assert.deepEqual([...richTypes].sort(), ['flush', 'fourkind', 'fullhouse', 'straight', 'straightflush']);
+const twinHand = sortHand([...cards(['3D','4D','5D','6D','7D','7S']), ...['3D','4D','5D'].map(id => ({ id: id + '#2', r: id[0], s: 'D' }))]);
+assert.equal(fiveCardCombos(twinHand).length, bruteForceFiveCardCombos(twinHand).length);
+
+// Expert bot
+const expertView = (hand, extra = {}) => ({ seat: 0, hand: sortHand(cards(hand)), handCounts: [hand.length, 13, 13, 13], played: [], lastPlay: null, passed: [false, false, false, false], decks: 1, mustInclude: null, ...extra });
+// Sampled opponent hands come only from unseen cards, at the real hand sizes
+const seenView = expertView(['3D', '9C', 'KH'], { handCounts: [3, 5, 4, 2], played: ['2S', '2H', 'AS'] });
+const sampled = sampleHands(seenView, createRng('sample'));
+assert.deepEqual(sampled.map(h => h.length), [3, 5, 4, 2]);
+assert.deepEqual(sampled[0].map(c => c.id), ['3D', '9C', 'KH']);
+const sampledIds = sampled.slice(1).flat().map(c => c.id);
+assert.equal(new Set(sampledIds).size, sampledIds.length);
+assert(!sampledIds.some(id => ['3D', '9C', 'KH', '2S', '2H', 'AS'].includes(id)));
+// A player who passed on a single is dealt no single that beats it
+const passView = expertView(['3D', '4D'], { handCounts: [2, 3, 3, 3], played: makeDeck().slice(0, 30).map(c => c.id).filter(id => id !== '3D' && id !== '4D'), lastPlay: { by: 2, combo: classify(cards(['JD'])) }, passed: [false, true, false, false] });
+for (let n = 0; n < 5; n++) assert(sampleHands(passView, createRng('pass' + n))[1].every(c => !canBeat(classify(cards(['JD'])), classify([c]))));
+// Goes out when it can
+assert.deepEqual(getExpertPlay(expertView(['9S', '9H'])).map(c => c.id).sort(), ['9H', '9S']);
+// Against a player on one card, holding the top single: lead it rather than the 3
+const lastCardView = expertView(['3C', '2S'], { handCounts: [2, 1, 13, 13] });
+assert.deepEqual(getExpertPlay(lastCardView, { maxSamples: 40, rng: createRng('one-left') }).map(c => c.id), ['2S']);
+// Honours the starting card and the time budget
+const expertHand = dealHands(shuffle(makeDeck(), createRng('expert-hand')), 4).hands[0];
+const budgetStart = Date.now();
+const expertFirst = getExpertPlay(expertView(expertHand.map(c => c.id), { mustInclude: expertHand[0].id }), { timeBudgetMs: 50 });
+assert(expertFirst.some(c => c.id === expertHand[0].id));
+assert(Date.now() - budgetStart < 1000);
+// Planning counts against the budget: with none left the bot plays the planned lead without searching
+assert.deepEqual(getExpertPlay(expertView(['4D', '9C', '2S']), { timeBudgetMs: 0 }).map(c => c.id), ['4D']);
+assert.equal(planHand(expertHand, { deadline: 0 }).exact, false);
+const spadesStart = Date.now();
+getExpertPlay(expertView(makeDeck().filter(c => c.s === 'S').map(c => c.id)), { timeBudgetMs: 50 });
+assert(Date.now() - spadesStart < 1000);
+
+// Bot levels
+assert.deepEqual(listBotLevels().map(l => l.id), ['beginner', 'standard', 'expert']);
+const levelHand = sortHand(cards(['4D','6C','9H','JS','2C']));
+const levelView = expertView(levelHand.map(c => c.id), { handCounts: [5, 13, 13, 13], lastPlay: { by: 1, combo: classify(cards(['5S'])) } });
+// Beginner spends its 2 at once; standard keeps it and plays low
+for (let n = 0; n < 5; n++) assert.deepEqual(getBeginnerPlay(levelView, createRng('beginner' + n)).map(c => c.id), ['2C']);
+assert.deepEqual(getBotPlay('standard', levelView).map(c => c.id), ['6C']);
+assert.deepEqual(getBotPlay('standard', levelView), getAIPlay(levelHand, levelView.lastPlay, levelView.lastPlay.combo, [-1, 13, 13, 13]));
+assert(getBotPlay('expert', levelView, { timeBudgetMs: 20 }) !== undefined);
+
+// Hand planner
+// Straight 3-7 plus the spare 3 and 7 beats splitting into two pairs and three singles
+const straightPlan = planHand(cards(['3D','3C','4H','5S','6D','7C','7H']));
+assert.equal(straightPlan.count, 3);
+assert(straightPlan.combos.some(c => c.combo.type === 'straight'));
+// Every card is used exactly once, and turns = plays - controls
+const planHandCards = dealHands(shuffle(makeDeck(), createRng('plan-hand')), 4).hands[1];
+for (const goal of ['fewest', 'strongest']) {
+  const plan = planHand(planHandCards, { goal });
+  assert.deepEqual(plan.combos.flatMap(c => c.cards.map(x => x.id)).sort(), planHandCards.map(c => c.id).sort());
+  assert.equal(plan.turns, plan.count - plan.controls);
+}
+assert(planHand(planHandCards, { goal: 'strongest' }).turns <= planHand(planHandCards, { goal: 'fewest' }).turns);
+assert.throws(() => planHand(planHandCards, { goal: 'longest' }));
+assert.equal(planHand(planHandCards).exact, true);
+// Thirteen spades is past the search cap: the greedy plan still uses every card once
+const allSpades = makeDeck().filter(c => c.s === 'S');
+const spadesPlan = planHand(allSpades, { goal: 'strongest' });
+assert.equal(spadesPlan.exact, false);
+assert.deepEqual(spadesPlan.combos.flatMap(c => c.cards.map(x => x.id)).sort(), allSpades.map(c => c.id).sort());
+assert.equal(spadesPlan.turns, spadesPlan.count - spadesPlan.controls);
+assert.equal(planHand(cards(['3D','3C','4H','5S','6D','7C','7H']), { maxNodes: 5 }).exact, false);
+// Controls: 2s by default, or anything nothing unseen can beat
+assert.equal(isControl(cards(['2D']), classify(cards(['2D']))), true);
+assert.equal(isControl(cards(['KS']), classify(cards(['KS']))), false);
+assert.equal(isControl(cards(['KS']), classify(cards(['KS'])), { unseen: cards(['4D', 'QH', 'KD']) }), true);
+// Leads keep controls back; replies avoid breaking a planned pair
+assert.deepEqual(planLead(cards(['4D','9C','2S'])).map(c => c.id), ['4D']);
+assert.equal(planLead(cards(['3D','4C','5H','6S','7D','9C']), { mustInclude: '3D' }).length, 5); // the straight, not the lone 3
+assert.deepEqual(planFollow(cards(['5D','5C','9H']), classify(cards(['4S']))).map(c => c.id), ['9H']);
+assert.equal(planFollow(cards(['5D']), classify(cards(['6S']))), null);
+
+// Scoring
+assert.deepEqual([0, 1, 4, 5, 9, 10, 13].map(penaltyPoints), [0, 1, 4, 10, 18, 30, 39]);
+assert.deepEqual(scoreMatch([10, 20, 30, 40], [0, 3, 7, 13], 0), { pointsAdded: [0, 3, 14, 39], scores: [10, 23, 44, 79] });
+assert.equal(gameResult([40, 100, 60]), null);
+assert.deepEqual(gameResult([40, 101, 30]), { busted: [1], champion: 2 });
+// Room settings change the penalty table, the game end and the timers
+const steep = resolveScoring({ penaltyMultipliers: [1, 3, 5], twosDouble: true, targetScore: 50 });
+assert.deepEqual(scoreMatch([0, 0, 0], [0, 5, 10], 0, steep, [false, true, false]).pointsAdded, [0, 30, 50]);
+assert.deepEqual(gameResult([40, 51, 30], steep), { busted: [1], champion: 2 });
+const firstToTwo = resolveScoring({ goal: 'matches', matchesToWin: 2 });
+assert.equal(gameResult([0, 200], firstToTwo, [1, 1]), null);
+assert.deepEqual(gameResult([0, 200], firstToTwo, [1, 2]), { busted: [], champion: 1 });
+assert.throws(() => resolveScoring({ goal: 'time' }), /ends on a score or on match wins/);
+assert.throws(() => resolveScoring({ mode: 'poker' }), /Unknown scoring mode/);
+// Scoring modes: classic penalties, zero-sum chips, and flat pay-the-winner
+const ledgerSeats = [{ cardsLeft: 0 }, { cardsLeft: 5, holdsTwo: true }, { cardsLeft: 13, holdsTwo: true, neverPlayed: true }, { cardsLeft: 2 }];
+const classicMatch = settleMatch([0, 0, 0, 0], ledgerSeats, 0);
+assert.deepEqual(classicMatch.pointsAdded, scoreMatch([0, 0, 0, 0], [0, 5, 13, 2], 0).pointsAdded);
+const chipMatch = settleMatch([100, 100, 100, 100], ledgerSeats, 0, resolveScoring({ mode: 'chips' }));
+assert.deepEqual(chipMatch.pointsAdded, [64, -10, -52, -2]);
+assert.deepEqual(chipMatch.ledger[2], { cardsLeft: 13, charged: 52, reasons: ['holding a 2', 'never played'], change: -52, total: 48 });
+assert.deepEqual(settleMatch([0, 0, 0, 0], ledgerSeats, 0, resolveScoring({ mode: 'perCard' })).pointsAdded, [20, -5, -13, -2]);
+assert.deepEqual(gameResult([150, 0, 30, 20], resolveScoring({ mode: 'chips' })), { busted: [1], champion: 0 });
+assert.equal(gameResult([5, -5], resolveScoring({ mode: 'perCard', matchesToPlay: 3 }), [1, 1]), null);
+assert.deepEqual(gameResult([5, -5], resolveScoring({ mode: 'perCard', matchesToPlay: 3 }), [2, 1]), { busted: [], champion: 0 });
+assert.deepEqual(finalLedger([40, 101, 40], DEFAULT_ROOM_SETTINGS, [2, 0, 1]).map(l => l.place), [1, 3, 1]);
+assert.deepEqual(finalLedger([40, 101, 40], firstToTwo, [2, 0, 1]).map(l => l.place), [1, 3, 2]);
+assert.deepEqual(finalLedger([130, 0, 70], resolveScoring({ mode: 'chips' }), [3, 0, 1]).map(l => l.place), [1, 3, 2]);
+assert.throws(() => resolveScoring({ penaltyMultipliers: [1, 2] }), /Penalty multipliers/);
+assert.deepEqual(updateRoomSettings(DEFAULT_ROOM_SETTINGS, { autoPassSeconds: 5, targetScore: 150 }), { ...DEFAULT_ROOM_SETTINGS, autoPassSeconds: 5, targetScore: 150 });
+assert.throws(() => updateRoomSettings(DEFAULT_ROOM_SETTINGS, { reconnectSeconds: 5 }), /Reconnect window must be 15 to 600 seconds/);
+assert.throws(() => updateRoomSettings(DEFAULT_ROOM_SETTINGS, { spectatorDelayMoves: 11 }), /Spectator delay must be 0 to 10 moves/);
+assert.equal(updateRoomSettings(DEFAULT_ROOM_SETTINGS, { spectatorDelayMoves: 3 }).spectatorDelayMoves, 3);
+assert.throws(() => updateRoomSettings(DEFAULT_ROOM_SETTINGS, { matchesToWin: 0 }), /Matches to win must be 1 to 20/);
+
+// Game core
+const deepFreeze = o => { Object.values(o).forEach(v => { if (v && typeof v === 'object') deepFreeze(v); }); return Object.freeze(o); };
+const coreStart = reduce(createGame({ seats: 4, rules: resolveRules('hongkong') }), { type: 'startMatch', seed: 'core-test' });
+const coreLeader = coreStart.state.turn;
+assert.equal(coreStart.state.startCard, '3D');
+assert(coreStart.state.hands[coreLeader].some(c => c.id === '3D'));
+assert.deepEqual(coreStart.events.map(e => e.type), ['matchStarted', 'turn']);
+// The state passed in is never modified
+deepFreeze(coreStart.state);
+const coreOther = coreStart.state.hands[coreLeader].find(c => c.id !== '3D');
+assert.throws(() => reduce(coreStart.state, { type: 'play', seat: (coreLeader + 1) % 4, cardIds: ['3D'] }), /Not your turn/);
+assert.throws(() => reduce(coreStart.state, { type: 'play', seat: coreLeader, cardIds: [coreOther.id] }), /First play must include 3♦/);
+assert.throws(() => reduce(coreStart.state, { type: 'pass', seat: coreLeader }), /Cannot pass on a fresh trick/);
+const coreOpen = reduce(coreStart.state, { type: 'play', seat: coreLeader, cardIds: ['3D'] });
+assert.equal(coreOpen.state.hands[coreLeader].length, 12);
+assert.equal(coreStart.state.hands[coreLeader].length, 13);
+assert.deepEqual(coreOpen.events.map(e => e.type), ['played', 'turn']);
+// Auto-pass ends the trick and hands the lead back
+const coreAuto = reduce(coreOpen.state, { type: 'autoPass', exempt: coreLeader });
+assert.deepEqual(coreAuto.events.map(e => e.type), ['passed', 'passed', 'passed', 'trickEnded', 'turn']);
+assert.equal(coreAuto.state.turn, coreLeader);
+assert.equal(coreAuto.state.lastPlay, null);
+// A whole game from fixed seeds always plays out the same way
+// (the highest card left ends its trick at once, as when a room's auto-pass countdown runs out)
+function playCoreGame(scoring) {
+  const rng = createRng('core-game');
+  const rules = resolveRules('hongkong');
+  let game = createGame({ seats: 3, rules, scoring });
+  const record = createRecord({ players: ['Ann', 'Bo', 'Cy'], seats: 3, rules, scoring, startedAt: '2024-01-01T00:00:00.000Z' });
+  const log = [];
+  let dealNext = true, autoPassFor = null;
+  while (!game.finished) {
+    const seat = game.turn;
+    const botCards = dealNext || autoPassFor !== null ? null : getBotPlay('standard', playerView(game, seat), { rng });
+    const action = dealNext ? { type: 'startMatch', seed: `core-game:${game.matchNumber + 1}` }
+      : autoPassFor !== null ? { type: 'autoPass', exempt: autoPassFor }
+      : botCards ? { type: 'play', seat, cardIds: botCards.map(c => c.id) } : { type: 'pass', seat };
+    const step = reduce(game, action);
+    game = step.state;
+    recordEvents(record, game, step.events);
+    dealNext = step.events.some(e => e.type === 'matchEnded');
+    autoPassFor = dealNext ? null : step.events.find(e => e.type === 'played' && e.highest)?.seat ?? null;
+    log.push(...step.events.filter(e => e.type === 'matchEnded' || e.type === 'gameOver').map(e => e.scores));
+  }
+  return { log, scores: game.scores, matches: game.matchNumber, record, game };
+}
+const coreGame = playCoreGame();
+assert.deepEqual(playCoreGame(), coreGame);
+assert(coreGame.scores.some(s => s > 100));
+// Chips only change hands, and the game stops when someone runs out
+const chipGame = playCoreGame(resolveScoring({ mode: 'chips', startingChips: 30 }));
+assert.equal(chipGame.scores.reduce((a, b) => a + b, 0), 90);
+assert(chipGame.scores.some(s => s <= 0));
+assert.deepEqual(validateRecord(JSON.parse(JSON.stringify(chipGame.record))), chipGame.record);
+assert.throws(() => reduce({ ...createGame({ seats: 4 }), finished: true }, { type: 'startMatch', seed: 'x' }), /Game is over/);
+// No one can move between matches
+assert.throws(() => reduce({ ...coreOpen.state, turn: null }, { type: 'pass', seat: 0 }), /Not your turn/);
+// Out of time: lead the weakest legal play (the starting card on the first trick), otherwise pass
+assert.deepEqual(timeoutAction(coreStart.state), { type: 'play', seat: coreLeader, cardIds: ['3D'] });
+assert.deepEqual(timeoutAction(coreOpen.state), { type: 'pass', seat: coreOpen.state.turn });
+const coreLead = sortHand(coreAuto.state.hands[coreLeader], coreAuto.state.rules)[0].id;
+assert.deepEqual(timeoutAction(coreAuto.state), { type: 'play', seat: coreLeader, cardIds: [coreLead] });
+
+// Game records replay through the core
+const gameRecord = coreGame.record;
+assert.equal(gameRecord.matches.length, coreGame.matches);
+assert.deepEqual(gameRecord.result.scores, coreGame.scores);
+assert(gameRecord.matches.some(m => m.moves.some(move => move.auto)));
+assert.deepEqual(validateRecord(JSON.parse(JSON.stringify(gameRecord))), gameRecord);
+const tamperedRecord = (change) => { const r = JSON.parse(JSON.stringify(gameRecord)); change(r); return r; };
+assert.throws(() => validateRecord(tamperedRecord(r => { r.version = 99; })), /Unsupported record version/);
+assert.equal(validateRecord(tamperedRecord(r => { r.version = 1; delete r.scoring; })).matches.length, gameRecord.matches.length); // scored by the defaults
+assert.throws(() => validateRecord(tamperedRecord(r => { r.scoring.targetScore = 200; })), /Final result does not match|scores do not match/);
+assert.throws(() => validateRecord(tamperedRecord(r => { r.matches[0].seed = 'other'; })), /Match 1: Seed does not match commitment/);
+assert.throws(() => validateRecord(tamperedRecord(r => { r.matches[0].moves[0].seat = (r.matches[0].moves[0].seat + 1) % 3; })), /Match 1, move 1: Not your turn/);
+assert.throws(() => validateRecord(tamperedRecord(r => { r.matches[1].moves.pop(); })), /Match 2: ends before/);
+assert.throws(() => validateRecord(tamperedRecord(r => { r.matches[0].scores[0] += 1; })), /Match 1: scores do not match/);
+assert.throws(() => validateRecord(tamperedRecord(r => { r.matches[0].moves[0].type = 'flush'; })), /Match 1, move 1: does not match the replay/);
+
+// Room stores
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'big2-rooms-'));
+const fileStore = createFileStore(storeDir);
+fileStore.save({ id: 'room-1', game: coreOpen.state });
+fileStore.save({ id: 'room-2', game: null });
+fileStore.save({ id: 'room-1', game: coreAuto.state }); // replaces the first snapshot
+fs.writeFileSync(path.join(storeDir, 'broken.json'), '{ "id": ');
+const consoleError = console.error;
+console.error = () => {};
+const storedRooms = createFileStore(storeDir).load(); // skips the unreadable file
+console.error = consoleError;
+fs.rmSync(path.join(storeDir, 'broken.json'));
+assert.deepEqual(storedRooms.map(r => r.id).sort(), ['room-1', 'room-2']);
+assert.deepEqual(storedRooms.find(r => r.id === 'room-1').game, JSON.parse(JSON.stringify(coreAuto.state)));
+fileStore.remove('room-2');
+fileStore.remove('room-3'); // nothing to remove
+assert.equal(createFileStore(storeDir).load().length, 1);
+fs.rmSync(storeDir, { recursive: true, force: true });
+assert.equal(createRoomStore({}).load().length, 0);
+assert.throws(() => createRoomStore({ ROOM_STORE: 'redis' }), /Unknown ROOM_STORE/);
+
+// Stats stores: lifetime totals per human, a summary per game
+const statsGame = { id: 'g1', startedAt: '2024-01-01T00:00:00.000Z', players: [{ name: 'Ann' }, { name: 'Bot', isBot: true, botLevel: 'standard' }, { name: 'Cy' }], rules: 'hongkong', scoring: DEFAULT_ROOM_SETTINGS };
+const statsLedger = [{ cardsLeft: 0, charged: 0 }, { cardsLeft: 5, charged: 10 }, { cardsLeft: 3, charged: 3 }];
+const playStats = store => {
+  store.recordMatch(statsGame, { number: 1, winner: 0, pointsAdded: [0, 10, 3], scores: [0, 10, 3], ledger: statsLedger, combos: [{ single: 3, pair: 1 }, { single: 2 }, { flush: 1 }] });
+  store.recordMatch(statsGame, { number: 2, winner: 2, pointsAdded: [4, 2, 0], scores: [4, 12, 3], ledger: [{ cardsLeft: 4, charged: 4 }, { cardsLeft: 2, charged: 2 }, { cardsLeft: 0, charged: 0 }], combos: [{ single: 1 }, {}, { single: 4 }] });
+  store.recordGame(statsGame, { scores: [4, 12, 3], champion: 2, ledger: [{ place: 2 }, { place: 3 }, { place: 1 }] });
+  store.recordGame(statsGame, { scores: [4, 12, 3], champion: 0, ledger: [{ place: 1 }, { place: 3 }, { place: 2 }] }); // a game ends once
+};
+const memoryStats = createMemoryStatsStore();
+playStats(memoryStats);
+assert.equal(memoryStats.player('Bot'), null);
+assert.deepEqual(memoryStats.player('Ann'), {
+  name: 'Ann', games: 1, championships: 0, matchesPlayed: 2, matchesWon: 1, penaltyTotal: 4, cardsLeftTotal: 4,
+  combos: { single: 4, pair: 1 }, recentGames: ['g1'], lastPlayedAt: memoryStats.player('Ann').lastPlayedAt, winRate: 0.5,
+  rating: 1498, ratedGames: 1, provisional: true
+});
+// Ann beat the standard bot (1450) but lost to Cy; Cy beat both. The bot is not rated.
+assert.deepEqual(memoryStats.rating('Cy'), { rating: 1522, ratedGames: 1, provisional: true });
+assert.deepEqual(memoryStats.rating('Nobody'), { rating: DEFAULT_RATING, ratedGames: 0, provisional: true });
+assert.deepEqual(memoryStats.game('g1').ratings, [{ before: 1500, after: 1498 }, null, { before: 1500, after: 1522 }]);
+assert.deepEqual(memoryStats.leaderboard({ sort: 'rating' }).map(l => [l.name, l.rating]), [['Cy', 1522], ['Ann', 1498]]);
+const abortedStats = createMemoryStatsStore();
+abortedStats.recordGame(statsGame, { scores: [0, 0, 0], champion: null, ledger: [{ place: 1 }, { place: 1 }, { place: 1 }] });
+assert.equal(abortedStats.rating('Ann').ratedGames, 0); // an aborted game is not rated
+assert.deepEqual(memoryStats.leaderboard().map(l => [l.rank, l.name, l.championships]), [[1, 'Cy', 1], [2, 'Ann', 0]]);
+assert.deepEqual(memoryStats.leaderboard({ sort: 'winRate' }), []); // too few matches to be rated
+assert.throws(() => memoryStats.leaderboard({ sort: 'elo' }), /Unknown leaderboard order/);
+assert.deepEqual(memoryStats.game('g1').matches.map(m => m.winner), [0, 2]);
+assert.equal(memoryStats.game('g1').status, 'finished');
+assert.equal(memoryStats.game('nope'), null);
+assert.equal(memoryStats.player('__proto__'), null);
+const statsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'big2-stats-'));
+playStats(createFileStatsStore(path.join(statsDir, 'stats.json')));
+const reloadedStats = createFileStatsStore(path.join(statsDir, 'stats.json'));
+assert.deepEqual({ ...reloadedStats.player('Cy'), lastPlayedAt: null }, { ...memoryStats.player('Cy'), lastPlayedAt: null });
+assert.deepEqual(reloadedStats.leaderboard(), memoryStats.leaderboard());
+fs.rmSync(statsDir, { recursive: true, force: true });
+assert.throws(() => createStatsStore({ STATS_STORE: 'sqlite' }), /Unknown STATS_STORE/);
+
+// Ratings: a round robin of head-to-head results from the final places
+assert.equal(expectedScore(1500, 1500), 0.5);
+assert.ok(Math.abs(expectedScore(1900, 1500) - 10 / 11) < 1e-9);
+const evenTable = Array.from({ length: 4 }, () => ({ rating: 1500, ratedGames: 20, fixed: false }));
+assert.deepEqual(rateGame(evenTable, [1, 2, 3, 4]), [1500 + RATING_K / 2, 1500 + RATING_K / 6, 1500 - RATING_K / 6, 1500 - RATING_K / 2]);
+assert.deepEqual(rateGame(evenTable.slice(0, 2), [1, 1]), [1500, 1500]); // a shared place is a draw
+// New players move faster; a bot's rating stays put
+assert.deepEqual(rateGame([{ rating: 1500, ratedGames: 0 }, { rating: 1500, ratedGames: 0, fixed: true }], [1, 2]), [1500 + PROVISIONAL_K / 2, 1500]);
+// Beating a much stronger table is worth more than beating a weaker one
+const upset = rateGame([{ rating: 1300, ratedGames: 20 }, { rating: 1700, ratedGames: 20 }], [1, 2]);
+const expected = rateGame([{ rating: 1700, ratedGames: 20 }, { rating: 1300, ratedGames: 20 }], [1, 2]);
+assert.ok(upset[0] - 1300 > expected[0] - 1700);
+
+// Matchmaking: the closest room in reach, with a window that widens as a room waits
+const mm = { window: 100, widenPerSecond: 10, botFallbackSeconds: 90 };
+assert.equal(searchWindow(0, mm), 100);
+assert.equal(searchWindow(30000, mm), 400);
+assert.equal(roomRating([1400, 1601]), 1501);
+assert.equal(roomRating([]), null);
+const waiting = [{ id: 'pros', rating: 1900, waitedMs: 0 }, { id: 'mid', rating: 1560, waitedMs: 0 }, { id: 'new', rating: 1480, waitedMs: 0 }];
+assert.equal(pickWaitingRoom(waiting, 1500, mm), 'new');
+assert.equal(pickWaitingRoom(waiting, 1250, mm), null); // nothing in reach: open a new room
+assert.equal(pickWaitingRoom([{ id: 'pros', rating: 1900, waitedMs: 70000 }], 1250, mm), 'pros'); // waited long enough
+assert.equal(pickWaitingRoom([{ id: 'a', rating: 1450, waitedMs: 1000 }, { id: 'b', rating: 1550, waitedMs: 5000 }], 1500, mm), 'b');
+assert.equal(pickWaitingRoom([{ id: 'empty', rating: null, waitedMs: 0 }], 2400, mm), 'empty');
+assert.deepEqual(matchmakingConfig({ MATCHMAKING_WINDOW: '50', MATCHMAKING_BOT_FALLBACK_SECONDS: '0', MATCHMAKING_WIDEN_PER_SECOND: 'fast' }), { window: 50, widenPerSecond: 10, botFallbackSeconds: 0 });
+
+// Reconnect tokens
+const signer = createTokenSigner('secret-1');
+const seatToken = signer.issue({ roomId: 'room-1', seat: 2, nonce: 'n1' });
+assert.deepEqual(signer.verify(seatToken), { roomId: 'room-1', seat: 2, nonce: 'n1' });
+assert.deepEqual(createTokenSigner('secret-1').verify(seatToken), { roomId: 'room-1', seat: 2, nonce: 'n1' }); // same secret after a restart
+assert.equal(createTokenSigner('secret-2').verify(seatToken), null);
+const [tokenBody, tokenMac] = seatToken.split('.');
+const otherSeat = Buffer.from(JSON.stringify({ roomId: 'room-1', seat: 0, nonce: 'n1' })).toString('base64url');
+assert.equal(signer.verify(`${otherSeat}.${tokenMac}`), null);
+assert.equal(signer.verify(`${tokenBody}.${tokenMac}.x`), null);
+for (const junk of [undefined, 'Alice', '', '.', 42]) assert.equal(signer.verify(junk), null);
+
+// Turn clock: time past the turn limit comes out of the bank
+assert.equal(createClock('off', 4), null);
+const clock = startTurn(createClock('blitz', 3), 1, 0);
+assert.deepEqual(timeLeft(clock, 4000), { turnMs: 6000, bankMs: 30000 });
+assert.deepEqual(timeLeft(clock, 15000), { turnMs: 0, bankMs: 25000 });
+assert.deepEqual(timeLeft(clock, 60000), { turnMs: 0, bankMs: 0 });
+assert.deepEqual(stopTurn(clock, 15000).banks, [30000, 25000, 30000]);
+assert.deepEqual(startTurn(clock, 2, 15000), { ...stopTurn(clock, 15000), seat: 2, startedAt: 15000 }); // the next turn charges the last one
+assert.deepEqual(stopTurn(startTurn(clock, 1, 0), 9000).banks, [30000, 30000, 30000]);
+
+// Tournaments: tables by place points, Swiss re-seating and elimination down to a final
+assert.throws(() => createTournament({ format: 'ladder' }), /Unknown tournament format/);
+assert.throws(() => createTournament({ tableSize: 9 }), /Table size must be 2 to 8/);
+assert.throws(() => createTournament({ format: 'elimination', tableSize: 4, advancePerTable: 4 }), /must be 1 to 3/);
+assert.throws(() => createTournament({ settings: { matchesToPlay: 0 } }), /Matches to play must be 1 to 50/);
+const register = (t, n) => Array.from({ length: n }, (_, i) => i).reduce((acc, i) => addPlayer(acc, { id: `p${i}`, name: `P${i}` }), t);
+const tableLedger = (seats, winner) => seats.map((_, i) => ({ place: i === winner ? 1 : 2, matchesWon: i === winner ? 1 : 0 }));
+let swiss = register(createTournament({ id: 't1', rounds: 2 }), 10);
+assert.throws(() => addPlayer(swiss, { id: 'p0', name: 'Again' }), /Already registered/);
+assert.throws(() => addPlayer(swiss, { id: 'x', name: 'P1' }), /already registered as P1/);
+assert.equal(swiss.settings.mode, 'perCard');
+swiss = seatRound(swiss, createRng('seating'));
+assert.deepEqual(swiss.tables.map(tb => tb.seats.length), [4, 3, 3]);
+assert.deepEqual(swiss.tables.flatMap(tb => tb.seats).sort(), swiss.players.map(p => p.id).sort());
+swiss.tables.forEach(tb => { swiss = recordTable(swiss, tb.number, tableLedger(tb.seats, 0)); });
+assert.equal(swiss.status, 'break');
+const winners = swiss.pastRounds[0].map(tb => tb.seats[0]);
+assert.deepEqual(standings(swiss).slice(0, 3).map(l => l.id).sort(), winners.slice().sort());
+assert.equal(standings(swiss).find(l => l.id === winners[0]).points, swiss.pastRounds[0][0].seats.length - 1);
+const dropout = swiss.players.find(p => !winners.includes(p.id)).id;
+swiss = seatRound(removePlayer(swiss, dropout));
+assert.equal(swiss.round, 2);
+assert.deepEqual(swiss.tables[0].seats.slice(0, 3).sort(), winners.slice().sort()); // the leaders meet
+assert(!swiss.tables.some(tb => tb.seats.includes(dropout)));
+swiss.tables.forEach(tb => { swiss = recordTable(swiss, tb.number, tableLedger(tb.seats, 1)); });
+assert.equal(swiss.status, 'finished');
+assert.equal(swiss.champion, standings(swiss)[0].id);
+let knockout = seatRound(register(createTournament({ id: 't2', format: 'elimination', tableSize: 3, advancePerTable: 1 }), 6), createRng('ko'));
+assert.deepEqual(knockout.tables.map(tb => tb.seats.length), [3, 3]);
+knockout.tables.forEach(tb => { knockout = recordTable(knockout, tb.number, tableLedger(tb.seats, 2)); });
+assert.equal(knockout.players.filter(p => p.out === 1).length, 4);
+knockout = seatRound(knockout);
+assert.deepEqual(knockout.tables[0].seats.sort(), knockout.pastRounds[0].map(tb => tb.seats[2]).sort());
+const finalist = knockout.tables[0].seats[1];
+knockout = recordTable(knockout, 1, tableLedger(knockout.tables[0].seats, 1));
+assert.equal(knockout.status, 'finished');
+assert.equal(knockout.champion, finalist);
+assert.deepEqual(standings(knockout).map(l => l.out).slice(0, 2), [null, 2]);
+// Two-seat tables and an odd field: never more than tableSize at a table, the odd player out has a bye
+let pairs = seatRound(register(createTournament({ id: 't3', tableSize: 2, rounds: 3 }), 3), createRng('pairs'));
+assert.deepEqual(pairs.tables.map(tb => tb.seats.length), [2]);
+assert.equal(pairs.byes.length, 1);
+assert.deepEqual([...pairs.tables[0].seats, ...pairs.byes].sort(), ['p0', 'p1', 'p2']);
+pairs = recordTable(pairs, 1, tableLedger(pairs.tables[0].seats, 0));
+const byePlayer = pairs.players.find(p => p.id === pairs.byes[0]);
+assert.deepEqual([byePlayer.points, byePlayer.tablesPlayed, byePlayer.byes], [0, 0, 1]);
+pairs = seatRound(pairs);
+assert(!pairs.byes.includes(byePlayer.id)); // the lowest ranked without a bye yet
+assert.equal(pairs.players.find(p => p.id === pairs.byes[0]).points, 0);
+assert.deepEqual(seatRound(register(createTournament({ id: 't4', tableSize: 2 }), 5)).tables.map(tb => tb.seats.length), [2, 2]);
+// Elimination: a round with a bye is not the final, the player with the bye goes through
+let pairKo = seatRound(register(createTournament({ id: 't5', format: 'elimination', tableSize: 2 }), 3), createRng('pair-ko'));
+const seeded = pairKo.byes[0];
+const firstWinner = pairKo.tables[0].seats[0];
+pairKo = recordTable(pairKo, 1, tableLedger(pairKo.tables[0].seats, 0));
+assert.equal(pairKo.status, 'break');
+assert.deepEqual(pairKo.players.filter(p => p.out === null).map(p => p.id).sort(), [seeded, firstWinner].sort());
+pairKo = seatRound(pairKo);
+assert.deepEqual([pairKo.tables[0].seats.slice().sort(), pairKo.byes], [[seeded, firstWinner].sort(), []]);
+pairKo = recordTable(pairKo, 1, tableLedger(pairKo.tables[0].seats, pairKo.tables[0].seats.indexOf(seeded)));
+assert.equal(pairKo.status, 'finished');
+assert.equal(pairKo.champion, seeded);
+
+// Simulator: seeded runs repeat exactly
+const simA = simulate({ games: 3, seed: 'sim-test', bots: ['standard', 'beginner', 'standard'] });
+assert.deepEqual(simulate({ games: 3, seed: 'sim-test', bots: ['standard', 'beginner', 'standard'] }), simA);
+assert.equal(simA.seats, 3);
+assert(Math.abs(simA.players.reduce((t, p) => t + p.winRate, 0) - 1) < 1e-9);
+assert(Math.abs(Object.values(simA.comboFrequency).reduce((t, f) => t + f, 0) - 1) < 1e-9);
+assert(simA.avgMatchesPerGame >= 1);
+assert.throws(() => simulate({ bots: ['standard', 'grandmaster'] }), /Unknown bot level/);
+
+// Room manager, driven through fake sockets. Its timers are queued instead of started and fired by hand
+// (runTimers), in due order on a virtual clock, so these tests neither wait nor leave anything running.
+const realTimers = { setTimeout, clearTimeout, setInterval, clearInterval };
+const queuedTimers = new Map();
+let timerId = 0, virtualNow = 0;
+const queueTimer = (fn, ms, every) => { queuedTimers.set(++timerId, { fn, ms: ms || 0, due: virtualNow + (ms || 0), every }); return timerId; };
+Object.assign(globalThis, {
+  setTimeout: (fn, ms) => queueTimer(fn, ms, false),
+  setInterval: (fn, ms) => queueTimer(fn, ms, true),
+  clearTimeout: id => queuedTimers.delete(id),
+  clearInterval: id => queuedTimers.delete(id)
+});
+// Fires queued timers, earliest first, until `until()` holds (or `limit` timers have fired); returns how many fired
+function runTimers(until = () => false, limit = 5000) {
+  let fired = 0;
+  while (fired < limit && !until() && queuedTimers.size > 0) {
+    const [id, timer] = [...queuedTimers].reduce((a, b) => b[1].due < a[1].due ? b : a);
+    virtualNow = timer.due;
+    if (timer.every) timer.due += timer.ms; else queuedTimers.delete(id);
+    timer.fn();
+    fired++;
+  }
+  return fired;
+}
+function fakeSocket(id) {
+  const events = [];
+  return {
+    id, data: {}, connected: true, events,
+    emit(event, payload) { events.push([event, payload]); },
+    join() {}, leave() {},
+    last(event) { return events.filter(e => e[0] === event).map(e => e[1]).pop(); },
+    all(event) { return events.filter(e => e[0] === event).map(e => e[1]); }
+  };
+}
+const fakeIo = { to() { return { emit() {} }; }, emit() {} };
+const logs = console.log;
+console.log = () => {}; // the room manager narrates every move
+const managers = [];
+const roomManager = () => { const m = createGameRoomManager(fakeIo); managers.push(m); return m; };
+
+// Disconnected seats: the table votes a stand-in bot in, the reconnect window runs out, or the player comes back
+const standIns = roomManager();
+const seated = ['seat0', 'seat1', 'seat2', 'seat3'].map(fakeSocket);
+seated.forEach((socket, i) => standIns.enqueuePlayer(socket, `S${i}`));
+seated.forEach(socket => standIns.setReady(socket, true));
+const [seat0, seat1, seat2, seat3] = seated;
+const table = () => seat0.last('state');
+const drop = socket => { socket.connected = false; standIns.handleDisconnect(socket); };
+drop(seat3);
+assert.deepEqual([table().disconnected[3], table().takeoverVotes[3], table().takeoverVotesNeeded], [true, [], 2]);
+standIns.handleTakeoverVote(seat0, 3);
+standIns.handleTakeoverVote(seat0, 3); // a second vote from the same player does not count
+assert.deepEqual(table().takeoverVotes[3], [0]);
+assert.throws(() => standIns.handleTakeoverVote(seat1, 2), /not waiting for a disconnected player/);
+// Back before the vote passes: the votes are dropped and the seat is theirs
+const s3Back = fakeSocket('seat3-back');
+standIns.handleReconnect(s3Back, seat3.last('sessionToken').token);
+assert.deepEqual([table().disconnected[3], table().takeoverVotes[3], table().standIn[3]], [false, null, false]);
+assert.throws(() => standIns.handleTakeoverVote(seat0, 3), /not waiting for a disconnected player/);
+// A majority of the connected players hands the seat to a bot at once
+drop(s3Back);
+standIns.handleTakeoverVote(seat0, 3);
+standIns.handleTakeoverVote(seat1, 3);
+assert.deepEqual([table().standIn[3], table().takeoverVotes[3]], [true, null]);
+// With one vote of two in, the reconnect window running out hands the seat over all the same
+drop(seat2);
+assert.equal(table().takeoverVotesNeeded, 2);
+standIns.handleTakeoverVote(seat1, 2);
+runTimers(() => table().standIn[2]);
+assert.deepEqual([table().standIn[2], table().takeoverVotes[2]], [true, null]);
+assert.match(seat0.all('chatMessage').map(m => m.message).join('\n'), /S2 did not come back in time/);
+// The player takes the seat back from the stand-in bot
+const s2Back = fakeSocket('seat2-back');
+standIns.handleReconnect(s2Back, seat2.last('sessionToken').token);
+assert.deepEqual([table().standIn[2], table().disconnected[2]], [false, false]);
+
+// Spectators: the table settings.spectatorDelayMoves moves late, the final table once the game is over
+const tableKey = st => JSON.stringify([st.counts, st.passed, st.lastPlay, st.turn]);
+const watchGame = delay => {
+  const m = roomManager();
+  const [host, watcher] = [fakeSocket('host'), fakeSocket('watcher')];
+  m.enqueuePlayer(host, 'Host');
+  m.setTableSize(host, 2);
+  m.setTurnClock(host, 'blitz');
+  m.setRoomSettings(host, { spectatorDelayMoves: delay });
+  m.startGameWithBots(host);
+  m.handleSpectate(watcher, host.last('state').roomId, 'Wes');
+  // One move: the host plays its hint, or the bot's move comes due
+  const nextMove = () => {
+    const st = host.last('state');
+    if (st.turn !== st.you) return runTimers(() => tableKey(host.last('state')) !== tableKey(st));
+    m.handleHint(host);
+    const { cardIds } = host.last('hint');
+    if (cardIds.length > 0) m.handlePlay(host, cardIds); else m.handlePass(host);
+  };
+  return { host, watcher, nextMove };
+};
+const { host, watcher, nextMove } = watchGame(2);
+assert.equal(DEFAULT_ROOM_SETTINGS.spectatorDelayMoves, 0);
+assert.deepEqual([watcher.last('state').spectatorDelay, watcher.last('state').clock], [2, null]); // a live clock would give the delay away
+const hostTables = [tableKey(host.last('state'))];
+for (let moves = 0; moves < 6; moves++) {
+  nextMove();
+  hostTables.push(tableKey(host.last('state')));
+  if (hostTables.length > 3) assert.equal(tableKey(watcher.last('state')), hostTables[hostTables.length - 3]);
+}
+for (let moves = 0; moves < 5000 && !host.last('gameOver'); moves++) nextMove();
+assert(host.last('gameOver'));
+assert.deepEqual(watcher.last('gameOver'), host.last('gameOver'));
+const finalTable = watcher.last('state');
+assert.equal(finalTable.finished, true);
+assert.deepEqual(finalTable.counts, host.last('state').counts);
+assert(finalTable.counts.includes(0));
+const live = watchGame(0);
+for (let moves = 0; moves < 5; moves++) live.nextMove();
+assert.equal(tableKey(live.watcher.last('state')), tableKey(live.host.last('state')));
+assert.notEqual(live.watcher.last('state').clock, null);
+
+// Private rooms: joined by code only, in any case; the host's lock and a full table turn people away
+const privates = roomManager();
+const [host2, guest, late, stranger] = ['host2', 'guest', 'late', 'stranger'].map(fakeSocket);
+const code = privates.createPrivateRoom(host2, 'Hana');
+assert.match(code, /^[A-HJ-NP-Z2-9]{6}$/);
+assert.throws(() => privates.joinByCode(guest, 'Gus', 'ZZZZZZ'), /No open room with that code/);
+privates.joinByCode(guest, 'Gus', ` ${code.toLowerCase()} `);
+assert.equal(guest.last('waitingRoomState').code, code);
+privates.enqueuePlayer(stranger, 'Stan'); // matchmaking never sends anyone to a private room
+assert.notEqual(stranger.last('waitingRoomState').roomId, guest.last('waitingRoomState').roomId);
+assert.deepEqual(privates.getLobby().map(t => t.roomId), [stranger.last('waitingRoomState').roomId]);
+assert.deepEqual(privates.getPrivateRoom(code.toLowerCase()), { code, host: 'Hana', players: 2, seats: 4, locked: false });
+assert.equal(privates.getPrivateRoom('ZZZZZZ'), null);
+privates.setRoomLocked(guest, true);
+assert.equal(guest.last('errorMessage'), 'Only the room creator can lock the room');
+privates.setRoomLocked(host2, true);
+assert.equal(privates.getPrivateRoom(code).locked, true);
+assert.throws(() => privates.joinByCode(late, 'Lou', code), /That room is locked/);
+privates.setRoomLocked(host2, false);
+privates.setTableSize(host2, 3);
+privates.joinByCode(late, 'Lou', code);
+assert.throws(() => privates.joinByCode(fakeSocket('fourth'), 'Fay', code), /That room is full/);
+assert.throws(() => privates.joinByCode(late, 'Lou', code), /already in a room/);
+privates.setRoomLocked(stranger, true);
+assert.equal(stranger.last('errorMessage'), 'Only private rooms can be locked');
+
+// Lobby: public tables with an open seat, updated for watchers once per burst of changes
+const lobbyManager = roomManager();
+const lobbyTick = () => new Promise(resolve => setImmediate(resolve));
+const [looker, opener, sitter, third] = ['looker', 'opener', 'sitter', 'third'].map(fakeSocket);
+lobbyManager.watchLobby(looker);
+assert.deepEqual(looker.last('lobbyState'), { tables: [] });
+const tableId = lobbyManager.createTable(opener, 'Oli', 'Friday night');
+await lobbyTick();
+assert.deepEqual(looker.last('lobbyState').tables.map(t => [t.roomId, t.name, t.host]), [[tableId, 'Friday night', 'Oli']]);
+const { botFallbackMs, ...listed } = looker.last('lobbyState').tables[0]; // what GET /api/lobby serves too
+assert.deepEqual(lobbyManager.getLobby().map(({ botFallbackMs, ...t }) => t), [listed]);
+assert(botFallbackMs > 0);
+lobbyManager.joinTable(sitter, 'Sid', tableId, 2);
+await lobbyTick();
+assert.deepEqual(looker.last('lobbyState').tables[0].seats.map(seat => seat?.name ?? null), ['Oli', null, 'Sid', null]);
+assert.equal(looker.all('lobbyState').length, 3); // one update for the join, not one per change it made
+assert.throws(() => lobbyManager.joinTable(third, 'Tia', tableId, 2), /That seat is taken/);
+assert.throws(() => lobbyManager.joinTable(third, 'Tia', tableId, 4), /No such seat at that table/);
+assert.throws(() => lobbyManager.joinTable(third, 'Tia', 'no-such-table'), /That table is no longer open/);
+lobbyManager.changeSeat(sitter, 0);
+assert.equal(sitter.last('errorMessage'), 'That seat is taken');
+lobbyManager.changeSeat(sitter, -1);
+assert.equal(sitter.last('errorMessage'), 'No such seat at this table');
+lobbyManager.changeSeat(sitter, 3);
+lobbyManager.addBot(opener, 1);
+lobbyManager.addBot(opener, 2);
+await lobbyTick();
+assert.deepEqual(looker.last('lobbyState').tables[0].seats.map(seat => seat?.isBot ?? null), [false, true, true, false]); // bots' seats stay open
+lobbyManager.joinTable(third, 'Tia', tableId, 1); // takes a bot's seat
+lobbyManager.setReady(sitter, true);
+lobbyManager.setReady(third, true);
+lobbyManager.setReady(opener, true); // the table starts
+await lobbyTick();
+assert(opener.last('state'));
+assert.deepEqual(looker.last('lobbyState'), { tables: [] });
+const fullTable = lobbyManager.createTable(fakeSocket('f0'), 'F0', 'Full house');
+['f1', 'f2', 'f3'].forEach(id => lobbyManager.joinTable(fakeSocket(id), id.toUpperCase(), fullTable));
+await lobbyTick();
+assert.deepEqual(looker.last('lobbyState'), { tables: [] }); // every seat held by a person: not open
+lobbyManager.stopWatchingLobby(looker);
+
+// Waiting room: the ready check and the host's controls
+const seating = st => st.players.slice().sort((a, b) => a.seat - b.seat).map(p => `${p.seat}:${p.isBot ? 'bot' : p.name}${p.ready ? '*' : ''}`);
+const hosting = roomManager();
+const [ann, ben, cy, di] = ['ann', 'ben', 'cy', 'di'].map(fakeSocket);
+[[ann, 'Ann'], [ben, 'Ben'], [cy, 'Cy'], [di, 'Di']].forEach(([socket, name]) => hosting.enqueuePlayer(socket, name));
+assert.equal(ann.last('waitingRoomState').hostId, 'ann');
+assert.equal(ann.last('state'), undefined); // a full table waits for everyone to be ready
+hosting.setReady(ann, true);
+hosting.setReady(ben, true);
+hosting.kickPlayer(ben, 'cy');
+assert.equal(ben.last('errorMessage'), 'Only the room creator can remove players');
+hosting.kickPlayer(ann, 'di');
+assert.equal(di.all('leftWaitingRoom').length, 1);
+assert.deepEqual(seating(ann.last('waitingRoomState')), ['0:Ann*', '1:Ben*', '2:Cy']);
+// The ban holds on a new connection under the same name, in any case; matchmaking opens another room instead
+const diAgain = fakeSocket('di-again');
+hosting.enqueuePlayer(diAgain, 'di');
+assert.notEqual(diAgain.last('waitingRoomState').roomId, ann.last('waitingRoomState').roomId);
+hosting.handleLeaveWaitingRoom(diAgain);
+assert.throws(() => hosting.joinTable(fakeSocket('di-3'), 'Di', ann.last('waitingRoomState').roomId), /The host removed you from that table/);
+hosting.addBot(ann, 1);
+assert.equal(ann.last('errorMessage'), 'That seat is taken');
+hosting.addBot(ann, 3);
+assert.deepEqual(seating(ann.last('waitingRoomState')), ['0:Ann*', '1:Ben*', '2:Cy', '3:bot*']);
+hosting.moveSeat(ann, 'cy', 3); // swaps with the bot
+assert.deepEqual(seating(ann.last('waitingRoomState')), ['0:Ann*', '1:Ben*', '2:bot*', '3:Cy']);
+hosting.moveSeat(ann, 'cy', 4);
+assert.equal(ann.last('errorMessage'), 'Pick a player and a seat at this table');
+hosting.removeBot(ann, 2);
+hosting.removeBot(ann, 2);
+assert.equal(ann.last('errorMessage'), 'No bot in that seat');
+hosting.transferHost(ann, 'ben');
+assert.deepEqual([ben.last('waitingRoomState').isCreator, ann.last('waitingRoomState').isCreator], [true, false]);
+hosting.addBot(ann, 2);
+assert.equal(ann.last('errorMessage'), 'Only the room creator can add bots');
+hosting.addBot(ben, 2);
+hosting.setReady(ann, false);
+hosting.setReady(cy, true);
+assert.equal(cy.last('state'), undefined);
+hosting.setReady(ann, true); // the last human ready starts the game, in seat order
+assert.deepEqual(ann.last('state').names.filter((_, i) => i !== 2), ['Ann', 'Ben', 'Cy']);
+assert.equal(ann.last('state').isBot[2], true);
+
+// Seated after a bot: chatting, typing and leaving find the player all the same
+const botFirst = roomManager();
+const [hal, joe] = [fakeSocket('hal'), fakeSocket('joe')];
+botFirst.enqueuePlayer(hal, 'Hal');
+botFirst.addBot(hal, 1);
+botFirst.joinTable(joe, 'Joe', hal.last('waitingRoomState').roomId, 2);
+botFirst.handleChatMessage(joe, 'hi');
+assert.equal(hal.last('chatMessage').message, 'hi');
+botFirst.handleTyping(joe, true);
+assert.deepEqual(hal.last('playerTyping'), { playerIndex: 2, playerName: 'Joe', isTyping: true });
+botFirst.handleLeaveWaitingRoom(joe);
+assert.equal(joe.all('leftWaitingRoom').length, 1);
+assert.deepEqual(seating(hal.last('waitingRoomState')), ['0:Hal', '1:bot*']);
+
+// Restarts: started games come back; waiting rooms do not, and a tournament table returns as an ordinary game
+const savedRooms = createMemoryStore();
+const restartTokens = createTokenSigner('restart-test');
+const beforeRestart = createGameRoomManager(fakeIo, { store: savedRooms, tokens: restartTokens });
+beforeRestart.enqueuePlayer(fakeSocket('queued'), 'Quinn');
+const savedCode = beforeRestart.createPrivateRoom(fakeSocket('private'), 'Pia');
+const tableEvents = [];
+const [entrant1, entrant2] = ['entrant1', 'entrant2'].map(fakeSocket);
+const tournamentTable = beforeRestart.startTable({ players: [{ socket: entrant1, name: 'E1' }, { socket: entrant2, name: 'E2' }] }, event => tableEvents.push(event));
+beforeRestart.shutdown();
+runTimers();
+assert.deepEqual(savedRooms.load().map(r => r.id), [tournamentTable]);
+const restarted = createGameRoomManager(fakeIo, { store: savedRooms, tokens: restartTokens });
+managers.push(restarted);
+assert.equal(restarted.restoreRooms(), 1);
+assert.deepEqual([restarted.getLobby(), restarted.getPrivateRoom(savedCode)], [[], null]);
+const entrant1Back = fakeSocket('entrant1-back');
+restarted.handleReconnect(entrant1Back, entrant1.last('sessionToken').token);
+assert.equal(entrant1Back.last('state').roomId, tournamentTable);
+// Nobody left at the table ends the game, and no tournament hears about it
+entrant1Back.connected = false;
+restarted.handleDisconnect(entrant1Back);
+runTimers(() => savedRooms.load().length === 0);
+assert.deepEqual(savedRooms.load(), []);
+assert.throws(() => restarted.handleReconnect(fakeSocket('entrant2-back'), entrant2.last('sessionToken').token), /no longer available/);
+assert.deepEqual(tableEvents, []);
+
+managers.forEach(m => m.shutdown());
+runTimers();
+Object.assign(globalThis, realTimers);
+console.log = logs;
+
 console.log('Engine tests: OK');
@@ -0,0 +1,222 @@
+// Tournaments: registered players seated at several tables, round after round
+// A round is one game at every table, played under the tournament's room settings (a fixed number of matches
+// with 'perCard' scoring by default, or a score target with 'classic'). Each table awards points by place: a seat
+// scores one point for every player at its table who finished below it. Between rounds the format re-seats:
+// - swiss: a fixed number of rounds; everyone plays every round, at a table with players on similar points
+// - elimination: the best advancePerTable at each table go through; once the survivors fit at one table,
+//   that table's game is the final and its winner is the champion
+// No table seats more than tableSize or fewer than two; when the field can't be split that way (two-seat tables
+// and an odd field) the odd player out has a bye: they sit the round out without points and, in elimination, go
+// through. Byes go to whoever has had the fewest, the lowest ranked first in Swiss and the top seed in elimination.
+// Tournaments are plain data like games (gameCore.js): the tournament manager seats the tables as game rooms
+// and feeds their results back in with recordTable.
+//   { id, name, format, rounds, tableSize, advancePerTable, settings, ruleProfile, clock,
+//     status: 'registering' | 'playing' | 'break' | 'finished', round, tables, byes, pastRounds, players, champion }
+//   players: [{ id, name, points, matchesWon, tablesPlayed, byes, out: round knocked out in | null, withdrawn }]
+//   tables: [{ number, seats: [player ids], result: null | [{ place, matchesWon, points }] per seat }]
+//   byes: player ids sitting the round out
+
+import { MIN_SEATS, MAX_SEATS, shuffle } from './engine.js';
+import { DEFAULT_RULE_PROFILE, getRuleProfile } from './rules.js';
+import { DEFAULT_CLOCK_PRESET, getClockPreset } from './turnClock.js';
+import { DEFAULT_ROOM_SETTINGS, updateRoomSettings } from './roomSettings.js';
+
+export const MAX_TOURNAMENT_PLAYERS = 64;
+export const MAX_ROUNDS = 10;
+
+// Every table plays four matches unless the director picks other settings, so a round's tables finish together
+export const DEFAULT_TOURNAMENT_SETTINGS = { ...DEFAULT_ROOM_SETTINGS, mode: 'perCard', matchesToPlay: 4 };
+
+export const TOURNAMENT_FORMATS = {
+  swiss: {
+    id: 'swiss',
+    name: 'Swiss',
+    description: 'Everyone plays every round, re-seated with players on similar points.',
+    // Who plays the next round, in seating order, or null when the tournament is over
+    field: (t, ranked) => t.round >= t.rounds ? null : ranked.filter(p => !p.withdrawn),
+    seat: chunkTables,
+    // Who gets a bye first (among those with the fewest): the lowest ranked
+    byeOrder: field => field.slice().reverse(),
+    // Most points first
+    compare: byPoints
+  },
+  elimination: {
+    id: 'elimination',
+    name: 'Elimination',
+    description: 'The best players at each table go through to the next round until one table plays the final.',
+    field: (t, ranked) => t.round > 0 && isFinal(t.pastRounds[t.pastRounds.length - 1], t.byes) ? null : ranked.filter(p => p.out === null && !p.withdrawn),
+    seat: snakeTables, // spreads the top seeds over the tables
+    byeOrder: field => field,
+    // Still in first, then whoever lasted longest, then points
+    compare: (a, b) => lasted(b) - lasted(a) || byPoints(a, b)
+  }
+};
+
+export function getTournamentFormat(id) {
+  return Object.prototype.hasOwnProperty.call(TOURNAMENT_FORMATS, id) ? TOURNAMENT_FORMATS[id] : null;
+}
+
+// Short list for pickers
+export function listTournamentFormats() {
+  return Object.values(TOURNAMENT_FORMATS).map(({ id, name, description }) => ({ id, name, description }));
+}
+
+// A tournament open for registration; throws on an option out of range.
+// settings: room setting changes on top of DEFAULT_TOURNAMENT_SETTINGS (see roomSettings.js)
+export function createTournament({ id, name, format = 'swiss', rounds = 3, tableSize = 4, advancePerTable, settings, ruleProfile = DEFAULT_RULE_PROFILE, clock = DEFAULT_CLOCK_PRESET } = {}) {
+  const title = String(name ?? '').trim() || 'Big Two tournament';
+  if (title.length > 40) throw new Error('Tournament name must be 40 characters or fewer');
+  if (!getTournamentFormat(format)) throw new Error(`Unknown tournament format: ${format}`);
+  if (!Number.isInteger(tableSize) || tableSize < MIN_SEATS || tableSize > MAX_SEATS) throw new Error(`Table size must be ${MIN_SEATS} to ${MAX_SEATS}`);
+  const swiss = format === 'swiss';
+  if (swiss && (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_ROUNDS)) throw new Error(`Rounds must be 1 to ${MAX_ROUNDS}`);
+  const advance = advancePerTable ?? Math.floor(tableSize / 2);
+  if (!swiss && (!Number.isInteger(advance) || advance < 1 || advance > tableSize - 1)) throw new Error(`Players going through per table must be 1 to ${tableSize - 1}`);
+  if (!getRuleProfile(ruleProfile)) throw new Error(`Unknown rule profile: ${ruleProfile}`);
+  if (!getClockPreset(clock)) throw new Error(`Unknown turn clock: ${clock}`);
+  return {
+    id,
+    name: title,
+    format,
+    rounds: swiss ? rounds : null,
+    tableSize,
+    advancePerTable: swiss ? null : advance,
+    settings: updateRoomSettings(DEFAULT_TOURNAMENT_SETTINGS, settings || {}),
+    ruleProfile,
+    clock,
+    status: 'registering',
+    round: 0,
+    tables: [],
+    byes: [],
+    pastRounds: [],
+    players: [],
+    champion: null
+  };
+}
+
+export function addPlayer(t, { id, name }) {
+  if (t.status !== 'registering') throw new Error('Registration is closed');
+  if (t.players.length >= MAX_TOURNAMENT_PLAYERS) throw new Error(`The tournament is full (${MAX_TOURNAMENT_PLAYERS} players)`);
+  if (t.players.some(p => p.id === id)) throw new Error('Already registered');
+  if (t.players.some(p => p.name === name)) throw new Error(`Someone is already registered as ${name}`);
+  const player = { id, name, points: 0, matchesWon: 0, tablesPlayed: 0, byes: 0, out: null, withdrawn: false };
+  return { ...t, players: [...t.players, player] };
+}
+
+// Before the start a player simply leaves; afterwards they are withdrawn: they keep their points but are not
+// seated again (a game they are playing carries on)
+export function removePlayer(t, id) {
+  if (t.status === 'registering') return { ...t, players: t.players.filter(p => p.id !== id) };
+  return { ...t, players: t.players.map(p => p.id === id ? { ...p, withdrawn: true } : p) };
+}
+
+// Seats the next round, or finishes the tournament when the format has no round left (or too few players
+// for one table). rng: Math.random-style, shuffles the first round's seating.
+export function seatRound(t, rng = Math.random) {
+  const format = getTournamentFormat(t.format);
+  const ranked = t.round === 0 ? shuffle(t.players.slice(), rng) : rankPlayers(t);
+  const field = format.field(t, ranked);
+  if (!field || field.length < MIN_SEATS) return finish(t);
+  // As many tables as tableSize needs, as long as nobody is left alone at one; whoever doesn't fit has a bye
+  const count = Math.min(Math.ceil(field.length / t.tableSize), Math.floor(field.length / MIN_SEATS));
+  const byes = new Set(format.byeOrder(field)
+    .map((p, order) => ({ id: p.id, byes: p.byes, order }))
+    .sort((a, b) => a.byes - b.byes || a.order - b.order)
+    .slice(0, Math.max(0, field.length - count * t.tableSize))
+    .map(p => p.id));
+  const tables = format.seat(field.filter(p => !byes.has(p.id)).map(p => p.id), count)
+    .map((seats, i) => ({ number: i + 1, seats, result: null }));
+  const players = t.players.map(p => byes.has(p.id) ? { ...p, byes: p.byes + 1 } : p);
+  return { ...t, status: 'playing', round: t.round + 1, tables, byes: [...byes], players };
+}
+
+// Records a table's finished game. ledger: the game's final ledger, one { place, matchesWon } per seat
+// (scoring.js finalLedger). Once every table is in, the round is over: knocked-out players are marked and the
+// tournament takes a break before the next round, or finishes.
+export function recordTable(t, number, ledger) {
+  const table = t.tables.find(tb => tb.number === number);
+  if (!table || table.result) return t;
+  const result = ledger.map(l => ({
+    place: l.place,
+    matchesWon: l.matchesWon,
+    points: ledger.filter(o => o.place > l.place).length
+  }));
+  const tables = t.tables.map(tb => tb === table ? { ...tb, result } : tb);
+  const players = t.players.map(p => {
+    const seat = table.seats.indexOf(p.id);
+    if (seat === -1) return p;
+    return { ...p, points: p.points + result[seat].points, matchesWon: p.matchesWon + result[seat].matchesWon, tablesPlayed: p.tablesPlayed + 1 };
+  });
+  let next = { ...t, tables, players };
+  if (tables.some(tb => !tb.result)) return next;
+
+  if (next.format === 'elimination') {
+    const out = new Set(tables.flatMap(tb => tableOrder(tb).slice(isFinal(tables, next.byes) ? 1 : Math.min(next.advancePerTable, tb.seats.length - 1))));
+    next = { ...next, players: next.players.map(p => out.has(p.id) ? { ...p, out: next.round } : p) };
+  }
+  next = { ...next, pastRounds: [...next.pastRounds, tables] };
+  const format = getTournamentFormat(next.format);
+  const field = format.field(next, rankPlayers(next));
+  return field && field.length >= MIN_SEATS ? { ...next, status: 'break' } : finish(next);
+}
+
+// Players best first
+export function rankPlayers(t) {
+  const compare = getTournamentFormat(t.format).compare;
+  const order = new Map(t.players.map((p, i) => [p.id, i]));
+  return t.players.slice().sort((a, b) => compare(a, b) || order.get(a.id) - order.get(b.id));
+}
+
+// One line per player, best first: { rank, id, name, points, matchesWon, tablesPlayed, out, withdrawn }
+export function standings(t) {
+  return rankPlayers(t).map((p, i) => ({ rank: i + 1, ...p }));
+}
+
+function finish(t) {
+  const ranked = rankPlayers(t);
+  return { ...t, status: 'finished', tables: [], byes: [], champion: t.round > 0 && ranked.length > 0 ? ranked[0].id : null };
+}
+
+// An elimination round with one table and nobody sitting out is the final
+function isFinal(tables, byes) {
+  return tables.length === 1 && byes.length === 0;
+}
+
+// A table's seats by how they finished: place, then matches won, then seat
+function tableOrder(table) {
+  return table.seats
+    .map((id, seat) => ({ id, seat, ...table.result[seat] }))
+    .sort((a, b) => a.place - b.place || b.matchesWon - a.matchesWon || a.seat - b.seat)
+    .map(s => s.id);
+}
+
+// Rounds a player lasted in an elimination tournament
+function lasted(p) {
+  return p.out ?? Number.MAX_SAFE_INTEGER;
+}
+
+function byPoints(a, b) {
+  return b.points - a.points || b.matchesWon - a.matchesWon;
+}
+
+// Consecutive runs of the field: neighbours in the standings share a table
+function chunkTables(ids, count) {
+  const tables = Array.from({ length: count }, () => []);
+  let next = 0;
+  tables.forEach((table, i) => {
+    const size = Math.floor(ids.length / count) + (i < ids.length % count ? 1 : 0);
+    table.push(...ids.slice(next, next + size));
+    next += size;
+  });
+  return tables;
+}
+
+// Deals the field out 1, 2, …, n, n, …, 2, 1 so every table gets a share of the top seeds
+function snakeTables(ids, count) {
+  const tables = Array.from({ length: count }, () => []);
+  ids.forEach((id, i) => {
+    const lap = Math.floor(i / count), pos = i % count;
+    tables[lap % 2 === 0 ? pos : count - 1 - pos].push(id);
+  });
+  return tables;
+}
@@ -0,0 +1,266 @@
+import { randomUUID } from 'crypto';
+import { addPlayer, createTournament, listTournamentFormats, recordTable, removePlayer, seatRound, standings } from './tournament.js';
+
+// Pause between rounds so everyone can look at the standings (TOURNAMENT_ROUND_BREAK_SECONDS)
+const ROUND_BREAK_MS = (Number(process.env.TOURNAMENT_ROUND_BREAK_SECONDS) || 30) * 1000;
+// A finished tournament stays up for its standings this long, then is dropped
+const FINISHED_TTL_MS = 60 * 60 * 1000;
+
+// Runs tournaments (tournament.js) on top of the game room manager: registration, seating each round's tables
+// as game rooms (games.startTable), collecting their results and publishing the standings. Anyone can watch a
+// tournament's channel; watchers get tournamentState after every change. Tournaments are kept in memory only:
+// tables in play when the server restarts come back as ordinary games.
+export function createTournamentManager(games) {
+  const tournaments = new Map(); // tournament id -> { tournament, director, sockets, watchers, tables, nextRoundAt, timer }
+  const socketToTournament = new Map(); // socket.id -> id of the tournament the socket is registered in
+  const watching = new Map(); // socket.id -> id of the tournament channel the socket listens to
+  let draining = false; // set by shutdown()
+
+  // The director (whoever creates it) starts the tournament; they may register to play as well
+  function handleCreate(socket, options = {}) {
+    if (draining) throw new Error('The server is restarting, please try again in a minute');
+    const id = randomUUID().slice(0, 8);
+    const entry = {
+      tournament: createTournament({ ...options, id }),
+      director: socket.id,
+      sockets: new Map(), // player id -> socket to seat them with
+      watchers: new Map(), // socket.id -> socket
+      tables: [], // per table of the round in play: { roomId, live: { matchNumber, scores } | null }
+      nextRoundAt: null,
+      timer: null
+    };
+    tournaments.set(id, entry);
+    watch(socket, entry);
+    return id;
+  }
+
+  function handleRegister(socket, tournamentId, name) {
+    if (socketToTournament.has(socket.id)) throw new Error('You are already registered in a tournament');
+    const entry = tournaments.get(tournamentId);
+    if (!entry) throw new Error('No tournament with that id');
+    const playerId = randomUUID();
+    entry.tournament = addPlayer(entry.tournament, { id: playerId, name: name || 'Player' });
+    entry.sockets.set(playerId, socket);
+    socketToTournament.set(socket.id, tournamentId);
+    watch(socket, entry);
+  }
+
+  // Leaving before the start gives the place up; afterwards the player is withdrawn from later rounds
+  function handleLeave(socket) {
+    const entry = tournaments.get(socketToTournament.get(socket.id));
+    if (!entry) throw new Error('Not registered in a tournament');
+    const playerId = playerIdOf(entry, socket);
+    socketToTournament.delete(socket.id);
+    if (entry.tournament.status === 'finished') return;
+    entry.tournament = removePlayer(entry.tournament, playerId);
+    if (entry.tournament.status === 'registering') entry.sockets.delete(playerId);
+    broadcast(entry);
+  }
+
+  function handleStart(socket) {
+    const entry = tournaments.get(watching.get(socket.id));
+    if (!entry || entry.director !== socket.id) throw new Error('Only the tournament director can start it');
+    if (entry.tournament.status !== 'registering') throw new Error('The tournament has already started');
+    if (entry.tournament.players.length < 2) throw new Error('At least 2 players must register first');
+    if (draining) throw new Error('The server is restarting, please try again in a minute');
+    seatNextRound(entry);
+  }
+
+  function handleWatch(socket, tournamentId) {
+    const entry = tournaments.get(tournamentId);
+    if (!entry) throw new Error('No tournament with that id');
+    watch(socket, entry);
+  }
+
+  function stopWatching(socket) {
+    const entry = tournaments.get(watching.get(socket.id));
+    watching.delete(socket.id);
+    entry?.watchers.delete(socket.id);
+  }
+
+  // Registration is given up; a player in a running tournament keeps their place, and their table's reconnect
+  // window and stand-in bot cover them as in any game
+  function handleDisconnect(socket) {
+    const entry = tournaments.get(socketToTournament.get(socket.id));
+    if (entry?.tournament.status === 'registering') handleLeave(socket);
+    stopWatching(socket);
+  }
+
+  function watch(socket, entry) {
+    stopWatching(socket);
+    watching.set(socket.id, entry.tournament.id);
+    entry.watchers.set(socket.id, socket);
+    socket.emit('tournamentState', viewFor(entry, socket));
+  }
+
+  // Seats the next round's tables, withdrawing anyone who is gone or busy in another game
+  function seatNextRound(entry) {
+    entry.timer = null;
+    entry.nextRoundAt = null;
+    const { tournament } = entry;
+    for (const p of tournament.players) {
+      const socket = entry.sockets.get(p.id);
+      if (p.withdrawn || p.out !== null) continue;
+      if (!socket?.connected || games.isPlaying(socket)) entry.tournament = removePlayer(entry.tournament, p.id);
+    }
+    entry.tournament = seatRound(entry.tournament);
+    const t = entry.tournament;
+    entry.tables = [];
+    if (t.status === 'finished') {
+      finish(entry);
+      return;
+    }
+    const names = new Map(t.players.map(p => [p.id, p.name]));
+    for (const table of t.tables) {
+      const round = t.round;
+      const roomId = games.startTable({
+        players: table.seats.map(id => ({ socket: entry.sockets.get(id), name: names.get(id) })),
+        ruleProfile: t.ruleProfile,
+        clock: t.clock,
+        settings: t.settings
+      }, (event, payload) => handleTableEvent(entry, round, table.number, event, payload));
+      entry.tables[table.number - 1] = { roomId, live: null };
+    }
+    broadcast(entry);
+  }
+
+  function handleTableEvent(entry, round, number, event, payload) {
+    if (tournaments.get(entry.tournament.id) !== entry || entry.tournament.round !== round) return;
+    if (event === 'matchEnded') {
+      entry.tables[number - 1].live = { matchNumber: payload.matchNumber, scores: payload.scores };
+      broadcast(entry);
+      return;
+    }
+    // gameOver or gameAborted: players who reconnected during the game are seated next time with their new socket
+    const table = entry.tournament.tables.find(tb => tb.number === number);
+    table.seats.forEach((id, seat) => {
+      const socket = payload.sockets[seat];
+      if (!socket || entry.sockets.get(id) === socket) return;
+      socketToTournament.delete(entry.sockets.get(id)?.id);
+      entry.sockets.set(id, socket);
+      socketToTournament.set(socket.id, entry.tournament.id);
+      watch(socket, entry);
+    });
+    entry.tournament = recordTable(entry.tournament, number, payload.ledger);
+    if (entry.tournament.status === 'break') {
+      entry.nextRoundAt = Date.now() + ROUND_BREAK_MS;
+      entry.timer = setTimeout(() => seatNextRound(entry), ROUND_BREAK_MS);
+    } else if (entry.tournament.status === 'finished') {
+      finish(entry);
+      return;
+    }
+    broadcast(entry);
+  }
+
+  function finish(entry) {
+    const id = entry.tournament.id;
+    broadcast(entry);
+    entry.sockets.forEach(socket => {
+      if (socketToTournament.get(socket.id) === id) socketToTournament.delete(socket.id);
+    });
+    setTimeout(() => {
+      if (tournaments.get(id) !== entry) return;
+      entry.watchers.forEach(socket => watching.delete(socket.id));
+      tournaments.delete(id);
+    }, FINISHED_TTL_MS).unref?.();
+  }
+
+  function broadcast(entry) {
+    entry.watchers.forEach(socket => socket.emit('tournamentState', viewFor(entry, socket)));
+  }
+
+  function formatSummary(id) {
+    return listTournamentFormats().find(f => f.id === id);
+  }
+
+  function playerIdOf(entry, socket) {
+    for (const [id, s] of entry.sockets) if (s.id === socket.id) return id;
+    return null;
+  }
+
+  // Public standings and tables: what the REST endpoint serves and the channel sends
+  function tournamentView(entry) {
+    const t = entry.tournament;
+    const names = new Map(t.players.map(p => [p.id, p.name]));
+    return {
+      id: t.id,
+      name: t.name,
+      format: formatSummary(t.format),
+      status: t.status,
+      round: t.round,
+      rounds: t.rounds,
+      tableSize: t.tableSize,
+      advancePerTable: t.advancePerTable,
+      settings: t.settings,
+      ruleProfile: t.ruleProfile,
+      clock: t.clock,
+      players: t.players.length,
+      standings: standings(t).map(({ id, ...line }) => line),
+      tables: t.tables.map((table, i) => ({
+        number: table.number,
+        roomId: entry.tables[i]?.roomId ?? null,
+        names: table.seats.map(id => names.get(id)),
+        finished: !!table.result,
+        matchNumber: entry.tables[i]?.live?.matchNumber ?? 0,
+        scores: entry.tables[i]?.live?.scores ?? null,
+        places: table.result ? table.result.map(r => r.place) : null
+      })),
+      byes: t.byes.map(id => names.get(id)),
+      pastRounds: t.pastRounds.map(tables => tables.map(table => ({
+        number: table.number,
+        names: table.seats.map(id => names.get(id)),
+        places: table.result.map(r => r.place)
+      }))),
+      champion: t.champion ? names.get(t.champion) : null,
+      nextRoundAt: entry.nextRoundAt
+    };
+  }
+
+  // The view plus who is asking: whether they direct it, and their name if they play in it
+  function viewFor(entry, socket) {
+    const playerId = playerIdOf(entry, socket);
+    return {
+      ...tournamentView(entry),
+      isDirector: entry.director === socket.id,
+      you: entry.tournament.players.find(p => p.id === playerId)?.name ?? null
+    };
+  }
+
+  function getTournament(id) {
+    const entry = tournaments.get(id);
+    return entry ? tournamentView(entry) : null;
+  }
+
+  function listTournaments() {
+    return [...tournaments.values()].map(({ tournament: t }) => ({
+      id: t.id,
+      name: t.name,
+      format: t.format,
+      status: t.status,
+      round: t.round,
+      players: t.players.length
+    }));
+  }
+
+  // For SIGTERM: no next round will be seated
+  function shutdown() {
+    draining = true;
+    for (const entry of tournaments.values()) {
+      if (entry.timer) clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+  }
+
+  return {
+    handleCreate,
+    handleRegister,
+    handleLeave,
+    handleStart,
+    handleWatch,
+    stopWatching,
+    handleDisconnect,
+    getTournament,
+    listTournaments,
+    shutdown
+  };
+}
@@ -0,0 +1,56 @@
+// Turn clock: a time limit on every turn plus a time bank per seat
+// A turn may take up to turnSeconds; anything longer comes out of that seat's bank, and once the bank is empty
+// the turn has timed out (the room then passes for the player, or leads their lowest play: see timeoutAction).
+// Clocks are plain data, so rooms can snapshot them; the room manager owns the timer and passes in the time.
+//   { preset, turnMs, banks: [ms per seat], seat: seat on the clock | null, startedAt }
+
+export const CLOCK_PRESETS = {
+  off: { id: 'off', name: 'No clock', turnSeconds: 0, bankSeconds: 0 },
+  relaxed: { id: 'relaxed', name: 'Relaxed', turnSeconds: 60, bankSeconds: 180 },
+  standard: { id: 'standard', name: 'Standard', turnSeconds: 30, bankSeconds: 90 },
+  blitz: { id: 'blitz', name: 'Blitz', turnSeconds: 10, bankSeconds: 30 }
+};
+
+export const DEFAULT_CLOCK_PRESET = 'off';
+
+export function getClockPreset(id) {
+  return Object.prototype.hasOwnProperty.call(CLOCK_PRESETS, id) ? CLOCK_PRESETS[id] : null;
+}
+
+// Short list for pickers
+export function listClockPresets() {
+  return Object.values(CLOCK_PRESETS);
+}
+
+// A stopped clock with full banks, or null for a preset without one
+export function createClock(presetId, seats) {
+  const preset = getClockPreset(presetId);
+  if (!preset || preset.turnSeconds === 0) return null;
+  return {
+    preset: preset.id,
+    turnMs: preset.turnSeconds * 1000,
+    banks: new Array(seats).fill(preset.bankSeconds * 1000),
+    seat: null,
+    startedAt: null
+  };
+}
+
+export function startTurn(clock, seat, now) {
+  return { ...stopTurn(clock, now), seat, startedAt: now };
+}
+
+// Stops the running turn, charging whatever it took past the turn limit to that seat's bank
+export function stopTurn(clock, now) {
+  if (clock.seat === null) return clock;
+  const { bankMs } = timeLeft(clock, now);
+  return { ...clock, banks: clock.banks.map((b, i) => i === clock.seat ? bankMs : b), seat: null, startedAt: null };
+}
+
+// What the running turn has left: { turnMs, bankMs }; out of time when both are 0
+export function timeLeft(clock, now) {
+  const used = Math.max(0, now - clock.startedAt);
+  return {
+    turnMs: Math.max(0, clock.turnMs - used),
+    bankMs: Math.max(0, clock.banks[clock.seat] - Math.max(0, used - clock.turnMs))
+  };
+}